@@ -1,12 +1,42 @@
 let controller;
 let preferenceMessagePort = undefined;
 
-let myFirstVariable = false;
+// Package settings (see src/settings.ts), edited in Preferences and
+// persisted through persist-data.
+let settings;
+
+// Diagnostics are polled while the Preferences panel is open and pushed
+// to it whenever they change.
+const DIAGNOSTICS_INTERVAL_MS = 1000;
+let diagnosticsTimer;
+let lastDiagnostics = "";
 
 let messagePorts = new Set();
 let windowMessagePort;
 
+// Event subscriptions per Grid module, keyed "dx:dy". While no module has
+// subscribed, events are broadcast to every module.
+const moduleSubscriptions = new Map();
+
+// Coalescing outbox while event batching is enabled (see set_event_batching),
+// and the largest Lua script a single batch may produce.
+let eventOutbox;
+let maxBatchPayload = 4000;
+
+// Longest string sent to modules; longer names are truncated.
+let maxStringLength = 64;
+
 const ableton = require("./src/index.js");
+const { EventOutbox } = require("./src/event-outbox.js");
+const { encodeCompact, luaDecoder } = require("./src/wire-format.js");
+const { toLua } = require("./src/lua-serializer.js");
+const { logger } = require("./src/logger.js");
+const {
+  DEFAULT_SETTINGS,
+  migrateSettings,
+  persistableSettings,
+  validateSettings,
+} = require("./src/settings.js");
 const path = require("path");
 
 exports.loadPackage = async function (gridController, persistedData) {
@@ -38,14 +68,10 @@ exports.loadPackage = async function (gridController, persistedData) {
   //   },
   // });
 
-  myFirstVariable = persistedData?.myFirstVariable ?? false;
+  settings = undefined;
+  applySettings(migrateSettings(persistedData));
 
-  ableton.init((args) => {
-    gridController.sendMessageToEditor({
-      type: "execute-lua-script",
-      script: `ableton_js_callback(${jsonToLuaTable(args)})`,
-    });
-  });
+  ableton.init(sendEvent, notifyStatusChange);
 };
 
 exports.unloadPackage = async function () {
@@ -54,6 +80,10 @@ exports.unloadPackage = async function () {
     actionId: 0,
   });
   controller = undefined;
+  moduleSubscriptions.clear();
+  eventOutbox?.destroy();
+  eventOutbox = undefined;
+  stopDiagnostics();
   messagePorts.forEach((port) => port.close());
   messagePorts.clear();
   windowMessagePort?.close();
@@ -67,6 +97,7 @@ exports.addMessagePort = async function (port, senderId) {
     preferenceMessagePort = port;
     port.on("close", () => {
       preferenceMessagePort = undefined;
+      stopDiagnostics();
     });
     port.on("message", (e) => {
       if (e.data.type === "install-midi-script") {
@@ -84,7 +115,7 @@ exports.addMessagePort = async function (port, senderId) {
               "MIDI script installed successfully! Please restart Ableton.",
           });
         } catch (error) {
-          console.error("Error installing MIDI script:", error);
+          logger.error("Error installing MIDI script:", error);
           port.postMessage({
             type: "midi-script-status",
             success: false,
@@ -102,7 +133,7 @@ exports.addMessagePort = async function (port, senderId) {
           const openRemoteScripts = require(scriptPath);
           openRemoteScripts.main();
         } catch (error) {
-          console.error("Error opening Remote Scripts folder:", error);
+          logger.error("Error opening Remote Scripts folder:", error);
         }
       }
 
@@ -115,7 +146,7 @@ exports.addMessagePort = async function (port, senderId) {
           const openMidiScriptSource = require(scriptPath);
           openMidiScriptSource.main();
         } catch (error) {
-          console.error("Error opening MIDI script source:", error);
+          logger.error("Error opening MIDI script source:", error);
         }
       }
 
@@ -124,23 +155,23 @@ exports.addMessagePort = async function (port, senderId) {
         ableton.ringSetOffset(track_offset, scene_offset);
       }
 
-      if (e.data.type === "set-setting") {
-        myFirstVariable = e.data.myFirstVariable;
+      if (e.data.type === "set-settings") {
+        applySettings(validateSettings(e.data.settings, settings));
         controller.sendMessageToEditor({
           type: "persist-data",
-          data: {
-            myFirstVariable,
-          },
+          data: persistableSettings(settings),
         });
+        notifyStatusChange();
       }
     });
     port.start();
     notifyStatusChange();
+    startDiagnostics();
   }
 };
 
 function onMessage(msg) {
-  console.log("onMessage", msg);
+  logger.info("onMessage", msg);
 }
 
 async function sendImmediate(dx, dy, script) {
@@ -152,67 +183,330 @@ async function sendImmediate(dx, dy, script) {
   });
 }
 
-// Command dispatch table — O(1) lookup instead of sequential if-chain
+function sendEvent(event) {
+  if (eventOutbox) {
+    eventOutbox.push(event);
+  } else {
+    deliverEvents([event]);
+  }
+}
+
+/**
+ * Deliver events to the modules subscribed to them, or to every module
+ * while there are no subscriptions.
+ */
+function deliverEvents(events) {
+  ableton.countDeliveredEvents(events.length);
+  if (moduleSubscriptions.size === 0) {
+    const tables = events.map((event) =>
+      settings.wireFormat === "compact"
+        ? toCompactTable(event, 127)
+        : toLuaTable(event),
+    );
+    for (const script of toLuaScripts(tables)) {
+      controller?.sendMessageToEditor({ type: "execute-lua-script", script });
+    }
+    return;
+  }
+  for (const sub of moduleSubscriptions.values()) {
+    const tables = events
+      .filter((event) => wantsEvent(sub, event))
+      .map((event) =>
+        sub.format === "compact"
+          ? toCompactTable(event, sub.resolution)
+          : toLuaTable(event),
+      );
+    for (const script of toLuaScripts(tables)) {
+      sendImmediate(sub.dx, sub.dy, script);
+    }
+  }
+}
+
+/**
+ * Apply new settings. Event rate and wire format only take effect when
+ * they changed, so set_event_batching from Grid isn't undone by unrelated
+ * setting changes; the rest is applied by the managers.
+ */
+function applySettings(next) {
+  const previous = settings ?? DEFAULT_SETTINGS;
+  const initial = !settings;
+  settings = next;
+
+  if (initial || next.eventRate !== previous.eventRate) {
+    setEventBatching(next.eventRate);
+  }
+  if (
+    next.wireFormat === "compact" &&
+    (initial || previous.wireFormat !== "compact")
+  ) {
+    // Modules without a subscription decode broadcast events themselves
+    controller?.sendMessageToEditor({
+      type: "execute-lua-script",
+      script: luaDecoder(),
+    });
+  }
+  ableton.applySettings(next);
+}
+
+function toLuaTable(event) {
+  return toLua(event, { maxLength: maxStringLength, pretty: true });
+}
+
+function toCompactTable(event, resolution) {
+  return toLua(encodeCompact(event, resolution), {
+    maxLength: maxStringLength,
+  });
+}
+
+/** Set the longest string sent to modules (0 = unlimited). */
+function setMaxStringLength(length) {
+  maxStringLength = Math.max(0, Math.round(Number(length) || 0));
+}
+
+function wantsEvent(sub, event) {
+  if (sub.events && !sub.events.has(event.evt)) return false;
+  return !sub.ring || event.ring === undefined || event.ring === sub.ring;
+}
+
+/**
+ * Turn serialized event tables into Lua scripts: one ableton_js_callback
+ * call per event, or ableton_js_batch calls split so no script exceeds
+ * maxBatchPayload.
+ */
+function toLuaScripts(tables) {
+  if (!eventOutbox) {
+    return tables.map((table) => `ableton_js_callback(${table})`);
+  }
+
+  const scripts = [];
+  let chunk = [];
+  let size = 0;
+  for (const table of tables) {
+    if (chunk.length > 0 && size + table.length > maxBatchPayload) {
+      scripts.push(`ableton_js_batch({${chunk.join(",")}})`);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push(table);
+    size += table.length + 1;
+  }
+  if (chunk.length > 0) {
+    scripts.push(`ableton_js_batch({${chunk.join(",")}})`);
+  }
+  return scripts;
+}
+
+/**
+ * Enable event batching at `hz` frames per second (0 disables it). While
+ * enabled, events are coalesced per frame and delivered through
+ * ableton_js_batch, which receives an array of event tables.
+ */
+function setEventBatching(hz, maxPayload) {
+  if (maxPayload > 0) maxBatchPayload = maxPayload;
+  if (!hz) {
+    eventOutbox?.flushNow();
+    eventOutbox = undefined;
+    return;
+  }
+  if (eventOutbox) {
+    eventOutbox.setFrameRate(hz);
+  } else {
+    eventOutbox = new EventOutbox(deliverEvents, hz);
+  }
+}
+
+/**
+ * Register the module at (dx, dy) for a comma-separated list of event types
+ * ("*" or empty for all) and optionally a single ring. Events without a
+ * ring (transport, device, mixer) ignore the ring filter.
+ */
+function subscribeModule(dx, dy, events, ring) {
+  const types = String(events ?? "*")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  const existing = moduleSubscriptions.get(`${dx}:${dy}`);
+  moduleSubscriptions.set(`${dx}:${dy}`, {
+    dx,
+    dy,
+    events: types.length === 0 || types.includes("*") ? null : new Set(types),
+    ring: ring || null,
+    format: existing?.format ?? settings.wireFormat,
+    resolution: existing?.resolution ?? 127,
+  });
+  if (!existing && settings.wireFormat === "compact") {
+    sendImmediate(dx, dy, luaDecoder());
+  }
+}
+
+/**
+ * Choose the wire format ("verbose" or "compact") for the module at
+ * (dx, dy). Compact events are positional arrays with values quantized to
+ * 0..resolution (127 or 255); the Lua decoder is sent to the module so it
+ * can call ableton_js_decode on them. Modules that haven't subscribed yet
+ * are subscribed to all events.
+ */
+function setWireFormat(dx, dy, format, resolution) {
+  if (!moduleSubscriptions.has(`${dx}:${dy}`)) subscribeModule(dx, dy);
+  const sub = moduleSubscriptions.get(`${dx}:${dy}`);
+  sub.format = format === "compact" ? "compact" : "verbose";
+  sub.resolution = resolution === 255 ? 255 : 127;
+  if (sub.format === "compact") sendImmediate(dx, dy, luaDecoder());
+}
+
+function unsubscribeModule(dx, dy) {
+  moduleSubscriptions.delete(`${dx}:${dy}`);
+}
+
+// Command dispatch table — O(1) lookup instead of sequential if-chain.
+// Ring commands target the default ring unless the command name carries a
+// ring name suffix, e.g. "ring_toggle_mute@faders". Named rings are created
+// with ring_setup(name, tracks, scenes, trackOffset, sceneOffset, linkTo).
 const commandMap = {
+  subscribe_events: (args) =>
+    subscribeModule(args[1], args[2], args[3], args[4]),
+  unsubscribe_events: (args) => unsubscribeModule(args[1], args[2]),
+  set_event_batching: (args) => setEventBatching(args[1], args[2]),
+  set_max_string_length: (args) => setMaxStringLength(args[1]),
+  set_wire_format: (args) => setWireFormat(args[1], args[2], args[3], args[4]),
   play_or_stop: (args) => ableton.playOrStop(),
   record: (args) => ableton.record(),
+  transport_continue: (args) => ableton.transportContinue(),
+  transport_stop: (args) => ableton.transportStop(),
+  transport_tap_tempo: (args) => ableton.transportTapTempo(),
+  transport_set_tempo: (args) => ableton.transportSetTempo(args[1]),
+  transport_adjust_tempo: (args) =>
+    ableton.transportAdjustTempo(args[1], args[2]),
+  transport_toggle_metronome: (args) => ableton.transportToggleMetronome(),
+  transport_toggle_loop: (args) => ableton.transportToggleLoop(),
+  transport_toggle_punch_in: (args) => ableton.transportTogglePunchIn(),
+  transport_toggle_punch_out: (args) => ableton.transportTogglePunchOut(),
+  transport_toggle_overdub: (args) => ableton.transportToggleOverdub(),
+  transport_toggle_session_record: (args) =>
+    ableton.transportToggleSessionRecord(),
+  transport_back_to_arrangement: (args) => ableton.transportBackToArrangement(),
+  transport_undo: (args) => ableton.transportUndo(),
+  transport_redo: (args) => ableton.transportRedo(),
+  transport_capture_midi: (args) => ableton.transportCaptureMidi(),
+  transport_jump: (args) => ableton.transportJump(args[1]),
+  transport_jump_to_cue: (args) => ableton.transportJumpToCue(args[1]),
+  transport_set_beat_clock: (args) => ableton.transportSetBeatClock(args[1]),
   navigate: (args) => ableton.navigate(args[1]),
-  ring_setup: (args) => ableton.ringSetup(args[1], args[2], args[3], args[4]),
-  ring_set_offset: (args) => ableton.ringSetOffset(args[1], args[2]),
-  ring_navigate: (args) => ableton.ringNavigate(args[1]),
-  ring_toggle_mute: (args) => ableton.ringToggleMute(args[1]),
-  ring_toggle_solo: (args) => ableton.ringToggleSolo(args[1]),
-  ring_toggle_arm: (args) => ableton.ringToggleArm(args[1]),
-  ring_set_volume: (args) => ableton.ringSetVolume(args[1], args[2]),
-  ring_set_panning: (args) => ableton.ringSetPanning(args[1], args[2]),
-  ring_set_send: (args) => ableton.ringSetSend(args[1], args[2], args[3]),
-  ring_select_track: (args) => ableton.ringSelectTrack(args[1]),
-  ring_set_active_property: (args) => ableton.ringSetActiveProperty(args[1]),
-  ring_set_active_property_value: (args) =>
-    ableton.ringSetActivePropertyValue(args[1], args[2]),
-  ring_adjust_active_property_value: (args) =>
-    ableton.ringAdjustActivePropertyValue(args[1], args[2], args[3]),
+  ring_setup: (args, ring) =>
+    typeof args[1] === "string"
+      ? ableton.ringSetup(args[2], args[3], args[4], args[5], args[1], args[6])
+      : ableton.ringSetup(args[1], args[2], args[3], args[4], ring),
+  ring_remove: (args) => ableton.ringRemove(args[1]),
+  ring_set_session_box: (args) => ableton.ringSetSessionBox(args[1]),
+  ring_set_offset: (args, ring) =>
+    ableton.ringSetOffset(args[1], args[2], ring),
+  ring_navigate: (args, ring) => ableton.ringNavigate(args[1], args[2], ring),
+  ring_set_metering: (args, ring) =>
+    ableton.ringSetMetering(args[1], args[2], ring),
+  ring_toggle_mute: (args, ring) => ableton.ringToggleMute(args[1], ring),
+  ring_toggle_solo: (args, ring) => ableton.ringToggleSolo(args[1], ring),
+  ring_toggle_arm: (args, ring) => ableton.ringToggleArm(args[1], ring),
+  ring_set_volume: (args, ring) =>
+    ableton.ringSetVolume(args[1], args[2], ring),
+  ring_set_panning: (args, ring) =>
+    ableton.ringSetPanning(args[1], args[2], ring),
+  ring_set_send: (args, ring) =>
+    ableton.ringSetSend(args[1], args[2], args[3], ring),
+  ring_launch_clip: (args, ring) =>
+    ableton.ringLaunchClip(args[1], args[2], ring),
+  ring_launch_scene: (args, ring) => ableton.ringLaunchScene(args[1], ring),
+  ring_stop_all_clips: (args, ring) => ableton.ringStopAllClips(ring),
+  ring_select_track: (args, ring) => ableton.ringSelectTrack(args[1], ring),
+  ring_cycle_monitoring: (args, ring) =>
+    ableton.ringCycleMonitoring(args[1], ring),
+  ring_set_input_routing: (args, ring) =>
+    ableton.ringSetInputRouting(args[1], args[2], ring),
+  ring_set_input_channel: (args, ring) =>
+    ableton.ringSetInputChannel(args[1], args[2], ring),
+  ring_set_xfade_assign: (args, ring) =>
+    ableton.ringSetXfadeAssign(args[1], args[2], ring),
+  ring_toggle_fold: (args, ring) => ableton.ringToggleFold(args[1], ring),
+  ring_enter_group: (args, ring) => ableton.ringEnterGroup(args[1], ring),
+  ring_exit_group: (args, ring) => ableton.ringExitGroup(ring),
+  track_create: (args) => ableton.trackCreate(args[1], args[2]),
+  track_duplicate: (args, ring) => ableton.trackDuplicate(args[1], ring),
+  track_delete: (args, ring) => ableton.trackDelete(args[1], ring),
+  track_rename: (args, ring) => ableton.trackRename(args[1], args[2], ring),
+  track_set_color: (args, ring) =>
+    ableton.trackSetColor(args[1], args[2], ring),
+  ring_set_active_property: (args, ring) =>
+    ableton.ringSetActiveProperty(args[1], ring),
+  ring_set_active_property_value: (args, ring) =>
+    ableton.ringSetActivePropertyValue(args[1], args[2], ring),
+  ring_adjust_active_property_value: (args, ring) =>
+    ableton.ringAdjustActivePropertyValue(args[1], args[2], args[3], ring),
   adjust_selected_parameter: (args) =>
     ableton.adjustSelectedParameter(args[1], args[2]),
   reset_selected_parameter: (args) => ableton.resetSelectedParameter(),
-  ring_reset_active_property: (args) =>
-    ableton.ringResetActiveProperty(args[1]),
+  set_fine_mode: (args) => ableton.setFineMode(args[1]),
+  ring_set_takeover: (args, ring) => ableton.ringSetTakeover(args[1], ring),
+  ring_set_follow_mode: (args, ring) =>
+    ableton.ringSetFollowMode(args[1], ring),
+  ring_set_select_follows_ring: (args, ring) =>
+    ableton.ringSetSelectFollowsRing(args[1], ring),
+  ring_reset_active_property: (args, ring) =>
+    ableton.ringResetActiveProperty(args[1], ring),
+  device_param_adjust: (args) =>
+    ableton.deviceParamAdjust(args[1], args[2], args[3]),
+  device_param_set: (args) => ableton.deviceParamSet(args[1], args[2]),
+  device_bank_navigate: (args) => ableton.deviceBankNavigate(args[1]),
+  device_set_bank_size: (args) => ableton.deviceSetBankSize(args[1]),
+  device_navigate: (args) => ableton.deviceNavigate(args[1]),
+  device_toggle_active: (args) => ableton.deviceToggleActive(),
+  // Rack chain navigation is not supported yet (see src/device-manager.ts):
+  // these only show/hide a rack's chains in Live's mixer.
+  device_enter_rack: (args) => ableton.deviceEnterRack(),
+  device_exit_rack: (args) => ableton.deviceExitRack(),
+  return_set_volume: (args) => ableton.returnSetVolume(args[1], args[2]),
+  return_toggle_mute: (args) => ableton.returnToggleMute(args[1]),
+  master_set_volume: (args) => ableton.masterSetVolume(args[1]),
+  master_adjust_volume: (args) => ableton.masterAdjustVolume(args[1], args[2]),
+  cue_adjust_volume: (args) => ableton.cueAdjustVolume(args[1], args[2]),
+  crossfader_set: (args) => ableton.crossfaderSet(args[1]),
+  crossfader_adjust: (args) => ableton.crossfaderAdjust(args[1], args[2]),
   request_full_state: (args) => ableton.requestFullState(),
 };
 
 exports.sendMessage = function (args) {
-  const handler = commandMap[args[0]];
-  if (handler) handler(args);
+  const [command, ring] = String(args[0]).split("@");
+  const handler = commandMap[command];
+  if (!handler) return;
+  // Commands reject while Live is disconnected; log instead of leaving the
+  // rejection unhandled.
+  Promise.resolve(handler(args, ring)).catch((err) =>
+    logger.warn(`[index] Command "${command}" failed:`, err),
+  );
 };
 
+function startDiagnostics() {
+  stopDiagnostics();
+  pushDiagnostics();
+  diagnosticsTimer = setInterval(pushDiagnostics, DIAGNOSTICS_INTERVAL_MS);
+}
+
+function stopDiagnostics() {
+  clearInterval(diagnosticsTimer);
+  diagnosticsTimer = undefined;
+  lastDiagnostics = "";
+}
+
+function pushDiagnostics() {
+  const diagnostics = ableton.getDiagnostics();
+  const json = JSON.stringify(diagnostics);
+  if (json === lastDiagnostics) return;
+  lastDiagnostics = json;
+  preferenceMessagePort?.postMessage({ type: "diagnostics", ...diagnostics });
+}
+
 function notifyStatusChange() {
   preferenceMessagePort?.postMessage({
     type: "client-status",
-    myFirstVariable,
+    settings,
+    connection: ableton.getConnectionState(),
   });
 }
-
-function jsonToLuaTable(obj, indent = 0) {
-  const spaces = "  ".repeat(indent);
-
-  if (Array.isArray(obj)) {
-    const items = obj
-      .map((item) => spaces + "  " + jsonToLuaTable(item, indent + 1))
-      .join(",\n");
-    return `{\n${items}\n${spaces}}`;
-  } else if (typeof obj === "object" && obj !== null) {
-    const pairs = Object.entries(obj)
-      .map(([key, value]) => {
-        const luaKey = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)
-          ? key
-          : `["${key}"]`;
-        return `${spaces}  ${luaKey} = ${jsonToLuaTable(value, indent + 1)}`;
-      })
-      .join(",\n");
-    return `{\n${pairs}\n${spaces}}`;
-  } else if (typeof obj === "string") {
-    return `"${obj.replace(/"/g, '\\"')}"`;
-  } else {
-    return String(obj);
-  }
-}
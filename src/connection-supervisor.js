@@ -0,0 +1,133 @@
+"use strict";
+/**
+ * ConnectionSupervisor — keeps the link to Live alive.
+ *
+ * `start()` connects with a timeout and retries with exponential backoff
+ * until Live and the AbletonJS MIDI script answer. From then on it follows
+ * the ableton-js connect/disconnect events: when Live goes away the state
+ * becomes "lost", and if the link doesn't come back by itself within the
+ * current backoff delay the client is restarted.
+ *
+ * Live forgets every listener when it restarts or the MIDI script is
+ * reloaded, so `onConnected` runs after each (re)connection for the
+ * managers to rebuild their subscriptions.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ConnectionSupervisor = void 0;
+const logger_1 = require("./logger");
+/** How long a single connection attempt may take. */
+const START_TIMEOUT_MS = 5000;
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+class ConnectionSupervisor {
+    constructor(ableton, handlers) {
+        this.state = "connecting";
+        this.running = false;
+        this.backoffMs = MIN_BACKOFF_MS;
+        this.onConnect = () => this.handleConnected();
+        this.onDisconnect = () => this.handleLost();
+        this.ableton = ableton;
+        this.handlers = handlers;
+    }
+    /** Start connecting and supervising. Returns immediately. */
+    start() {
+        if (this.running)
+            return;
+        this.running = true;
+        this.ableton.on("connect", this.onConnect);
+        this.ableton.on("disconnect", this.onDisconnect);
+        this.attempt();
+    }
+    /** Stop supervising. Closing the client is left to the caller. */
+    stop() {
+        this.running = false;
+        this.clearRetry();
+        this.ableton.off("connect", this.onConnect);
+        this.ableton.off("disconnect", this.onDisconnect);
+    }
+    getState() {
+        return this.state;
+    }
+    // -----------------------------------------------------------------------
+    // Internals
+    // -----------------------------------------------------------------------
+    /**
+     * Restart the client and wait for Live. Success is picked up through the
+     * "connect" event, which ableton-js emits once `start` has connected.
+     */
+    attempt() {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.clearRetry();
+            this.setState("connecting");
+            try {
+                // Reset a client left half-started by a previous attempt
+                yield this.ableton.close();
+                yield this.ableton.start(START_TIMEOUT_MS);
+            }
+            catch (err) {
+                if (!this.running || this.state === "connected")
+                    return;
+                logger_1.logger.warn(`[ConnectionSupervisor] Live not reachable, retrying in ${this.backoffMs}ms:`, err);
+                this.scheduleRetry();
+            }
+        });
+    }
+    handleConnected() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.running || this.state === "connected")
+                return;
+            this.clearRetry();
+            this.backoffMs = MIN_BACKOFF_MS;
+            this.setState("connected");
+            try {
+                yield this.handlers.onConnected();
+            }
+            catch (err) {
+                // A disconnect mid-rebuild ends up here; the next connect retries it.
+                logger_1.logger.warn("[ConnectionSupervisor] Failed to rebuild managers:", err);
+            }
+        });
+    }
+    handleLost() {
+        if (!this.running || this.state !== "connected")
+            return;
+        this.setState("lost");
+        // ableton-js keeps sending heartbeats and often reconnects on its own
+        // (Live hanging briefly, MIDI script reloaded). Restart if it doesn't.
+        this.scheduleRetry();
+    }
+    scheduleRetry() {
+        this.clearRetry();
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = undefined;
+            this.attempt();
+        }, this.backoffMs);
+        this.backoffMs = Math.min(MAX_BACKOFF_MS, this.backoffMs * 2);
+    }
+    clearRetry() {
+        if (this.retryTimer !== undefined) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = undefined;
+        }
+    }
+    /** Update the state and report it — every retry reports "connecting". */
+    setState(state) {
+        this.state = state;
+        try {
+            this.handlers.onStateChange(state);
+        }
+        catch (err) {
+            logger_1.logger.warn("[ConnectionSupervisor] State change handler failed:", err);
+        }
+    }
+}
+exports.ConnectionSupervisor = ConnectionSupervisor;
@@ -0,0 +1,141 @@
+/**
+ * ConnectionSupervisor — keeps the link to Live alive.
+ *
+ * `start()` connects with a timeout and retries with exponential backoff
+ * until Live and the AbletonJS MIDI script answer. From then on it follows
+ * the ableton-js connect/disconnect events: when Live goes away the state
+ * becomes "lost", and if the link doesn't come back by itself within the
+ * current backoff delay the client is restarted.
+ *
+ * Live forgets every listener when it restarts or the MIDI script is
+ * reloaded, so `onConnected` runs after each (re)connection for the
+ * managers to rebuild their subscriptions.
+ */
+
+import { Ableton } from "ableton-js";
+import { logger } from "./logger";
+
+export type ConnectionState = "connecting" | "connected" | "lost";
+
+export interface ConnectionHandlers {
+  /** Called after every successful connection or reconnection. */
+  onConnected: () => Promise<void>;
+  /** Called whenever the connection state changes. */
+  onStateChange: (state: ConnectionState) => void;
+}
+
+/** How long a single connection attempt may take. */
+const START_TIMEOUT_MS = 5000;
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+export class ConnectionSupervisor {
+  private ableton: Ableton;
+  private handlers: ConnectionHandlers;
+
+  private state: ConnectionState = "connecting";
+  private running = false;
+  private backoffMs = MIN_BACKOFF_MS;
+  private retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+  private onConnect = () => this.handleConnected();
+  private onDisconnect = () => this.handleLost();
+
+  constructor(ableton: Ableton, handlers: ConnectionHandlers) {
+    this.ableton = ableton;
+    this.handlers = handlers;
+  }
+
+  /** Start connecting and supervising. Returns immediately. */
+  start(): void {
+    if (this.running) return;
+    this.running = true;
+    this.ableton.on("connect", this.onConnect);
+    this.ableton.on("disconnect", this.onDisconnect);
+    this.attempt();
+  }
+
+  /** Stop supervising. Closing the client is left to the caller. */
+  stop(): void {
+    this.running = false;
+    this.clearRetry();
+    this.ableton.off("connect", this.onConnect);
+    this.ableton.off("disconnect", this.onDisconnect);
+  }
+
+  getState(): ConnectionState {
+    return this.state;
+  }
+
+  // -----------------------------------------------------------------------
+  // Internals
+  // -----------------------------------------------------------------------
+
+  /**
+   * Restart the client and wait for Live. Success is picked up through the
+   * "connect" event, which ableton-js emits once `start` has connected.
+   */
+  private async attempt(): Promise<void> {
+    this.clearRetry();
+    this.setState("connecting");
+    try {
+      // Reset a client left half-started by a previous attempt
+      await this.ableton.close();
+      await this.ableton.start(START_TIMEOUT_MS);
+    } catch (err) {
+      if (!this.running || this.state === "connected") return;
+      logger.warn(
+        `[ConnectionSupervisor] Live not reachable, retrying in ${this.backoffMs}ms:`,
+        err,
+      );
+      this.scheduleRetry();
+    }
+  }
+
+  private async handleConnected(): Promise<void> {
+    if (!this.running || this.state === "connected") return;
+    this.clearRetry();
+    this.backoffMs = MIN_BACKOFF_MS;
+    this.setState("connected");
+    try {
+      await this.handlers.onConnected();
+    } catch (err) {
+      // A disconnect mid-rebuild ends up here; the next connect retries it.
+      logger.warn("[ConnectionSupervisor] Failed to rebuild managers:", err);
+    }
+  }
+
+  private handleLost(): void {
+    if (!this.running || this.state !== "connected") return;
+    this.setState("lost");
+    // ableton-js keeps sending heartbeats and often reconnects on its own
+    // (Live hanging briefly, MIDI script reloaded). Restart if it doesn't.
+    this.scheduleRetry();
+  }
+
+  private scheduleRetry(): void {
+    this.clearRetry();
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = undefined;
+      this.attempt();
+    }, this.backoffMs);
+    this.backoffMs = Math.min(MAX_BACKOFF_MS, this.backoffMs * 2);
+  }
+
+  private clearRetry(): void {
+    if (this.retryTimer !== undefined) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = undefined;
+    }
+  }
+
+  /** Update the state and report it — every retry reports "connecting". */
+  private setState(state: ConnectionState): void {
+    this.state = state;
+    try {
+      this.handlers.onStateChange(state);
+    } catch (err) {
+      logger.warn("[ConnectionSupervisor] State change handler failed:", err);
+    }
+  }
+}
@@ -0,0 +1,581 @@
+/**
+ * DeviceManager — follows the device selected on Ableton's selected track
+ * (`song.view.selected_track` → `track.view.selected_device`) and exposes
+ * its parameters to Grid in banks of N, like a Push device page.
+ *
+ * Parameter 0 of every Live device is "Device On"; it is skipped, so bank 0
+ * starts at the first real control, and drives `active` / device toggling.
+ *
+ * The manager also tracks the selected track's top-level device chain so
+ * Grid can step through devices.
+ *
+ * Navigating into rack chains is not supported yet. The AbletonJS MIDI
+ * script has no serializer for `Device.chains`, `Chain.devices` or
+ * `song.view.selected_chain` (it sends them as plain strings), so chains
+ * can be neither listed nor selected from here. Until it does,
+ * device_enter_rack / device_exit_rack only show or hide a rack's chains
+ * in Live's mixer (`track.is_showing_chains`) and RT_DEVICE_CHAIN lists
+ * the track's top-level devices.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_DEVICE", name: string, bank: number, bankCount: number, active: boolean }
+ *   { evt: "RT_DEVICE_PARAM", i: bankSlot, name, v, nv, min, max, quantized }
+ *   { evt: "RT_DEVICE_CHAIN", index: number, count: number, names: string[], showingChains: boolean }
+ *       — top-level devices only; showingChains mirrors track.is_showing_chains
+ *
+ * Empty bank slots (last bank, or no device selected) are sent with an
+ * empty name so Grid can clear their displays.
+ */
+
+import { Ableton } from "ableton-js";
+import { Track } from "ableton-js/ns/track";
+import { Device } from "ableton-js/ns/device";
+import { DeviceParameter } from "ableton-js/ns/device-parameter";
+import { SubscriptionGroup, countSubscriptions } from "./subscription-group";
+import { EncoderAcceleration, detentValue } from "./encoder-acceleration";
+import { SendMessageFn } from "./ring-manager";
+import { logger } from "./logger";
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface DeviceParamState {
+  param: DeviceParameter;
+  name: string;
+  value: number;
+  min: number;
+  max: number;
+  quantized: boolean;
+}
+
+// ---------------------------------------------------------------------------
+// DeviceManager
+// ---------------------------------------------------------------------------
+
+export class DeviceManager {
+  private ableton: Ableton;
+  private sendMessage: SendMessageFn;
+  /** Shared encoder acceleration / fine mode for relative adjustments. */
+  private acceleration: EncoderAcceleration;
+
+  /** Listeners on the selected track/device — keyed "selected_track:...", "device:...". */
+  private deviceSubs = new SubscriptionGroup("device");
+
+  /** Value listeners for the current bank — keyed "param:{slot}:value". */
+  private paramSubs = new SubscriptionGroup("device-params");
+
+  /** Number of parameters per bank. */
+  private bankSize = 8;
+
+  /** Selected track whose device chain is followed. */
+  private track: Track | null = null;
+
+  /** Top-level devices on the selected track, in chain order. */
+  private chainDevices: Device[] = [];
+  private chainNames: string[] = [];
+
+  /** True while the selected track shows the chains of its rack. */
+  private showingChains: boolean = false;
+
+  /** Currently followed device, or null when the track has none selected. */
+  private device: Device | null = null;
+  private deviceName: string = "";
+
+  /** The device's "Device On" parameter and its cached state. */
+  private deviceOnParam: DeviceParameter | null = null;
+  private deviceActive: boolean = false;
+
+  /** All bankable parameters of the device ("Device On" excluded). */
+  private params: DeviceParameter[] = [];
+
+  /** Current bank index. */
+  private bank = 0;
+
+  /** Cached state for the parameters in the current bank, by bank slot. */
+  private bankStates: (DeviceParamState | null)[] = [];
+
+  /** Guard: true while a device or bank switch is fetching parameter ranges.
+   *  Blocks writes to prevent stale-range values. */
+  private switching: boolean = false;
+
+  constructor(
+    ableton: Ableton,
+    sendMessage: SendMessageFn,
+    acceleration: EncoderAcceleration = new EncoderAcceleration(),
+  ) {
+    this.ableton = ableton;
+    this.sendMessage = sendMessage;
+    this.acceleration = acceleration;
+  }
+
+  // -----------------------------------------------------------------------
+  // Lifecycle
+  // -----------------------------------------------------------------------
+
+  /**
+   * Initialize: follow the selected track and its selected device.
+   */
+  async init(): Promise<void> {
+    await this.deviceSubs.add(
+      "song:view:selected_track",
+      await this.ableton.song.view.addListener(
+        "selected_track",
+        async (track) => {
+          try {
+            await this.followTrack(track);
+          } catch (err) {
+            logger.warn(
+              "[DeviceManager] Error handling selected_track change:",
+              err,
+            );
+          }
+        },
+      ),
+    );
+
+    try {
+      const track = await this.ableton.song.view.get("selected_track");
+      await this.followTrack(track);
+    } catch (_) {
+      /* no track selected yet */
+    }
+  }
+
+  /**
+   * Clean up all listeners managed by this DeviceManager.
+   */
+  async destroy(): Promise<void> {
+    await this.paramSubs.clear();
+    await this.deviceSubs.clear();
+    this.track = null;
+    this.chainDevices = [];
+    this.chainNames = [];
+    this.showingChains = false;
+    this.device = null;
+    this.deviceName = "";
+    this.deviceOnParam = null;
+    this.deviceActive = false;
+    this.params = [];
+    this.bank = 0;
+    this.bankStates = [];
+  }
+
+  /** Number of active subscriptions per SubscriptionGroup. */
+  getSubscriptionCounts(): { [group: string]: number } {
+    return countSubscriptions([this.deviceSubs, this.paramSubs]);
+  }
+
+  // -----------------------------------------------------------------------
+  // Device following
+  // -----------------------------------------------------------------------
+
+  /**
+   * Switch the selected_device and device chain listeners to a newly
+   * selected track.
+   */
+  private async followTrack(track: Track | null): Promise<void> {
+    await this.deviceSubs.removeByPrefix("selected_track:");
+    this.track = track;
+
+    if (!track) {
+      this.chainDevices = [];
+      this.chainNames = [];
+      this.showingChains = false;
+      await this.onDeviceChanged(null);
+      return;
+    }
+
+    // Devices added, removed or reordered on the track
+    await this.deviceSubs.add(
+      "selected_track:devices",
+      await track.addListener("devices", async () => {
+        try {
+          await this.refreshChain();
+        } catch (err) {
+          logger.warn("[DeviceManager] Error handling devices change:", err);
+        }
+      }),
+    );
+
+    // Rack chains shown/hidden (by Grid or in Live's UI)
+    await this.deviceSubs.add(
+      "selected_track:is_showing_chains",
+      await track.addListener("is_showing_chains", (value) => {
+        this.showingChains = !!value;
+        this.sendChainState();
+      }),
+    );
+
+    this.showingChains = !!(await track.get("is_showing_chains"));
+    await this.refreshChain();
+
+    await this.deviceSubs.add(
+      "selected_track:selected_device",
+      await track.view.addListener("selected_device", async (device) => {
+        try {
+          await this.onDeviceChanged(device);
+        } catch (err) {
+          logger.warn(
+            "[DeviceManager] Error handling selected_device change:",
+            err,
+          );
+        }
+      }),
+    );
+
+    const device = await track.view.get("selected_device");
+    await this.onDeviceChanged(device);
+  }
+
+  /**
+   * Called when the followed device changes. Fetches the parameter list,
+   * resets to bank 0 and subscribes to that bank.
+   */
+  private async onDeviceChanged(device: Device | null): Promise<void> {
+    this.switching = true;
+    try {
+      await this.deviceSubs.removeByPrefix("device:");
+
+      this.device = device;
+      this.bank = 0;
+
+      if (!device) {
+        this.deviceName = "";
+        this.deviceOnParam = null;
+        this.deviceActive = false;
+        this.params = [];
+      } else {
+        const [name, params] = await Promise.all([
+          device.get("name"),
+          device.get("parameters"),
+        ]);
+        this.deviceName = name ?? "";
+        this.deviceOnParam = params[0] ?? null;
+        this.params = params.slice(1);
+
+        // Device renames (e.g. rack macros, user renames)
+        await this.deviceSubs.add(
+          "device:name",
+          await device.addListener("name", (value) => {
+            this.deviceName = value ?? "";
+            const index = this.chainIndex();
+            if (index !== -1) this.chainNames[index] = this.deviceName;
+            this.sendDeviceState();
+            this.sendChainState();
+          }),
+        );
+
+        // Device On — toggled from Grid or in Live's UI
+        if (this.deviceOnParam) {
+          this.deviceActive = !!(await this.deviceOnParam.get("value"));
+          await this.deviceSubs.add(
+            "device:active",
+            await this.deviceOnParam.addListener("value", (v: number) => {
+              this.deviceActive = !!v;
+              this.sendDeviceState();
+            }),
+          );
+        }
+      }
+
+      await this.subscribeBank();
+      this.sendChainState();
+    } finally {
+      this.switching = false;
+    }
+  }
+
+  /**
+   * Re-fetch the selected track's top-level devices and push the chain.
+   */
+  private async refreshChain(): Promise<void> {
+    if (!this.track) return;
+    this.chainDevices = await this.track.get("devices");
+    this.chainNames = this.chainDevices.map((d) => d.raw.name ?? "");
+    this.sendChainState();
+  }
+
+  /** Index of the followed device in the track's chain, or -1. */
+  private chainIndex(): number {
+    if (!this.device) return -1;
+    const id = this.device.raw.id;
+    return this.chainDevices.findIndex((d) => d.raw.id === id);
+  }
+
+  /**
+   * Subscribe to the value of every parameter in the current bank and push
+   * the device and bank state to Grid.
+   */
+  private async subscribeBank(): Promise<void> {
+    await this.paramSubs.clear();
+
+    const start = this.bank * this.bankSize;
+    const bankParams = this.params.slice(start, start + this.bankSize);
+
+    const states = await Promise.all(
+      bankParams.map(async (param) => {
+        const [name, value, min, max] = await Promise.all([
+          param.get("name"),
+          param.get("value"),
+          param.get("min"),
+          param.get("max"),
+        ]);
+        const state: DeviceParamState = {
+          param,
+          name: name ?? "",
+          value,
+          min,
+          max,
+          quantized: !!param.raw.is_quantized,
+        };
+        return state;
+      }),
+    );
+
+    this.bankStates = [];
+    for (let slot = 0; slot < this.bankSize; slot++) {
+      this.bankStates.push(states[slot] ?? null);
+    }
+
+    for (let slot = 0; slot < states.length; slot++) {
+      const state = states[slot];
+      await this.paramSubs.add(
+        `param:${slot}:value`,
+        await state.param.addListener("value", (v: number) => {
+          state.value = v;
+          this.sendParamState(slot);
+        }),
+      );
+    }
+
+    this.sendDeviceState();
+    for (let slot = 0; slot < this.bankSize; slot++) {
+      this.sendParamState(slot);
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Commands (called from Grid)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Adjust the parameter at a bank slot by a relative delta.
+   * The delta is accelerated by turn speed and scaled to the parameter's
+   * native [min, max] range; quantized parameters move one choice per click.
+   *
+   * @param slot     - Bank slot (0..bankSize-1)
+   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param stepSize - Fraction of full range per delta unit.
+   *                   Defaults to 1/127 (~0.8% of full range).
+   */
+  adjustParam(slot: number, delta: number, stepSize: number = 1 / 127): void {
+    const state = this.bankStates[slot];
+    if (!state || this.switching) return;
+
+    const range = state.max - state.min;
+    if (range === 0) return;
+
+    const newVal = state.quantized
+      ? detentValue(state.value, delta, state.min, state.max)
+      : Math.max(
+          state.min,
+          Math.min(
+            state.max,
+            state.value +
+              this.acceleration.scale(`device:${slot}`, delta) *
+                stepSize *
+                range,
+          ),
+        );
+
+    state.param
+      .set("value", newVal)
+      .catch((err) =>
+        logger.warn("[DeviceManager] Failed to set parameter value:", err),
+      );
+    // The value listener will update the cache and push RT_DEVICE_PARAM
+  }
+
+  /**
+   * Set the parameter at a bank slot from a raw 8-bit Grid value (0–255),
+   * mapped to the parameter's native range. Quantized parameters are
+   * rounded to the nearest step.
+   */
+  setParam(slot: number, rawValue: number): void {
+    const state = this.bankStates[slot];
+    if (!state || this.switching) return;
+
+    const norm = Math.max(0, Math.min(255, rawValue)) / 255;
+    let value = state.min + norm * (state.max - state.min);
+    if (state.quantized) value = Math.round(value);
+
+    state.param
+      .set("value", value)
+      .catch((err) =>
+        logger.warn("[DeviceManager] Failed to set parameter value:", err),
+      );
+  }
+
+  /**
+   * Move to the previous ("left") or next ("right") bank. Clamped to the
+   * available banks.
+   */
+  async navigateBank(direction: "left" | "right"): Promise<void> {
+    const delta = direction === "right" ? 1 : -1;
+    const newBank = Math.max(
+      0,
+      Math.min(this.bank + delta, this.bankCount() - 1),
+    );
+    if (newBank === this.bank) return;
+
+    this.bank = newBank;
+    this.switching = true;
+    try {
+      await this.subscribeBank();
+    } finally {
+      this.switching = false;
+    }
+  }
+
+  /**
+   * Change the number of parameters per bank and re-subscribe from bank 0.
+   */
+  async setBankSize(size: number): Promise<void> {
+    if (!(size >= 1)) return;
+    this.bankSize = Math.floor(size);
+    this.bank = 0;
+    this.switching = true;
+    try {
+      await this.subscribeBank();
+    } finally {
+      this.switching = false;
+    }
+  }
+
+  /**
+   * Select the previous ("left") or next ("right") device on the selected
+   * track. The selected_device listener picks up the change.
+   */
+  navigateDevice(direction: "left" | "right"): void {
+    if (this.chainDevices.length === 0) return;
+    const current = this.chainIndex();
+    const delta = direction === "right" ? 1 : -1;
+    const next =
+      current === -1
+        ? 0
+        : Math.max(0, Math.min(current + delta, this.chainDevices.length - 1));
+    if (next === current) return;
+    this.ableton.song.view
+      .selectDevice(this.chainDevices[next])
+      .catch((err) =>
+        logger.warn("[DeviceManager] Failed to select device:", err),
+      );
+  }
+
+  /**
+   * Flip the followed device's "Device On" parameter (bypass toggle).
+   * Fire-and-forget — the value listener will notify Grid.
+   */
+  toggleActive(): void {
+    if (!this.deviceOnParam || this.switching) return;
+    this.deviceOnParam
+      .set("value", this.deviceActive ? 0 : 1)
+      .catch((err) =>
+        logger.warn("[DeviceManager] Failed to toggle device on:", err),
+      );
+  }
+
+  /**
+   * Show the chains of the selected track's rack in Live's mixer. Only has
+   * an effect when the followed device is a rack. This does not navigate
+   * into the rack: device navigation and RT_DEVICE_CHAIN stay on the
+   * track's top-level devices.
+   */
+  async enterRack(): Promise<void> {
+    if (!this.track || !this.device) return;
+    const canHaveChains = await this.device.get("can_have_chains");
+    if (!canHaveChains) return;
+    this.track
+      .set("is_showing_chains", 1)
+      .catch((err) =>
+        logger.warn("[DeviceManager] Failed to show rack chains:", err),
+      );
+  }
+
+  /** Hide the chains of the selected track's rack in Live's mixer again. */
+  exitRack(): void {
+    if (!this.track) return;
+    this.track
+      .set("is_showing_chains", 0)
+      .catch((err) =>
+        logger.warn("[DeviceManager] Failed to hide rack chains:", err),
+      );
+  }
+
+  /** Push the device, every bank slot and the device chain to Grid. */
+  requestFullState(): void {
+    this.sendChainState();
+    this.sendDeviceState();
+    for (let slot = 0; slot < this.bankSize; slot++) {
+      this.sendParamState(slot);
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // State sync to Grid
+  // -----------------------------------------------------------------------
+
+  private bankCount(): number {
+    return Math.max(1, Math.ceil(this.params.length / this.bankSize));
+  }
+
+  private sendDeviceState(): void {
+    this.sendMessage({
+      evt: "RT_DEVICE",
+      name: this.deviceName,
+      bank: this.bank,
+      bankCount: this.device ? this.bankCount() : 0,
+      active: this.deviceActive,
+    });
+  }
+
+  private sendChainState(): void {
+    this.sendMessage({
+      evt: "RT_DEVICE_CHAIN",
+      index: this.chainIndex(),
+      count: this.chainDevices.length,
+      names: [...this.chainNames],
+      showingChains: this.showingChains,
+    });
+  }
+
+  private sendParamState(slot: number): void {
+    const state = this.bankStates[slot];
+    if (!state) {
+      this.sendMessage({
+        evt: "RT_DEVICE_PARAM",
+        i: slot,
+        name: "",
+        v: 0,
+        nv: 0,
+        min: 0,
+        max: 1,
+        quantized: false,
+      });
+      return;
+    }
+
+    const range = state.max - state.min;
+    this.sendMessage({
+      evt: "RT_DEVICE_PARAM",
+      i: slot,
+      name: state.name,
+      v: state.value,
+      nv: range !== 0 ? (state.value - state.min) / range : 0,
+      min: state.min,
+      max: state.max,
+      quantized: state.quantized,
+    });
+  }
+}
@@ -0,0 +1,71 @@
+"use strict";
+/**
+ * Diagnostics — counters and an error log for the Preferences panel.
+ *
+ * Events delivered to Grid are counted to report a rate. Warnings and
+ * errors logged through the package logger are kept in a short log
+ * (latest last).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Diagnostics = void 0;
+/** Number of errors kept in the log. */
+const MAX_ERRORS = 20;
+/** Longest message kept per error. */
+const MAX_MESSAGE_LENGTH = 300;
+class Diagnostics {
+    constructor() {
+        this.eventCount = 0;
+        this.eventRate = 0;
+        this.windowStart = Date.now();
+        this.errors = [];
+    }
+    /** Count events delivered to Grid. */
+    countEvents(count = 1) {
+        this.eventCount += count;
+    }
+    /**
+     * Events per second, averaged over the window since the previous call
+     * (at least one second; shorter windows return the previous rate).
+     */
+    getEventRate(now = Date.now()) {
+        const elapsed = now - this.windowStart;
+        if (elapsed >= 1000) {
+            this.eventRate = Math.round((this.eventCount * 1000) / elapsed);
+            this.eventCount = 0;
+            this.windowStart = now;
+        }
+        return this.eventRate;
+    }
+    recordError(level, args) {
+        const message = args.map(formatArg).join(" ");
+        this.errors.push({
+            time: Date.now(),
+            level,
+            message: message.length > MAX_MESSAGE_LENGTH
+                ? message.slice(0, MAX_MESSAGE_LENGTH) + "…"
+                : message,
+        });
+        if (this.errors.length > MAX_ERRORS)
+            this.errors.shift();
+    }
+    getErrors() {
+        return [...this.errors];
+    }
+}
+exports.Diagnostics = Diagnostics;
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function formatArg(arg) {
+    var _a;
+    if (typeof arg === "string")
+        return arg;
+    if (arg instanceof Error)
+        return arg.message;
+    try {
+        return (_a = JSON.stringify(arg)) !== null && _a !== void 0 ? _a : String(arg);
+    }
+    catch (_) {
+        return String(arg);
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Diagnostics — counters and an error log for the Preferences panel.
+ *
+ * Events delivered to Grid are counted to report a rate. Warnings and
+ * errors logged through the package logger are kept in a short log
+ * (latest last).
+ */
+
+export interface DiagnosticError {
+  /** Milliseconds since the epoch. */
+  time: number;
+  level: "warn" | "error";
+  message: string;
+}
+
+/** Number of errors kept in the log. */
+const MAX_ERRORS = 20;
+
+/** Longest message kept per error. */
+const MAX_MESSAGE_LENGTH = 300;
+
+export class Diagnostics {
+  private eventCount = 0;
+  private eventRate = 0;
+  private windowStart = Date.now();
+
+  private errors: DiagnosticError[] = [];
+
+  /** Count events delivered to Grid. */
+  countEvents(count: number = 1): void {
+    this.eventCount += count;
+  }
+
+  /**
+   * Events per second, averaged over the window since the previous call
+   * (at least one second; shorter windows return the previous rate).
+   */
+  getEventRate(now: number = Date.now()): number {
+    const elapsed = now - this.windowStart;
+    if (elapsed >= 1000) {
+      this.eventRate = Math.round((this.eventCount * 1000) / elapsed);
+      this.eventCount = 0;
+      this.windowStart = now;
+    }
+    return this.eventRate;
+  }
+
+  recordError(level: "warn" | "error", args: any[]): void {
+    const message = args.map(formatArg).join(" ");
+    this.errors.push({
+      time: Date.now(),
+      level,
+      message:
+        message.length > MAX_MESSAGE_LENGTH
+          ? message.slice(0, MAX_MESSAGE_LENGTH) + "…"
+          : message,
+    });
+    if (this.errors.length > MAX_ERRORS) this.errors.shift();
+  }
+
+  getErrors(): DiagnosticError[] {
+    return [...this.errors];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function formatArg(arg: any): string {
+  if (typeof arg === "string") return arg;
+  if (arg instanceof Error) return arg.message;
+  try {
+    return JSON.stringify(arg) ?? String(arg);
+  } catch (_) {
+    return String(arg);
+  }
+}
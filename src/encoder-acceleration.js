@@ -0,0 +1,62 @@
+"use strict";
+/**
+ * EncoderAcceleration — turns relative encoder deltas into effective
+ * deltas for `adjust*` commands.
+ *
+ * Each control (identified by a key such as "ring:2:volume") remembers when
+ * it last moved. Deltas arriving faster than SLOW_MS apart are multiplied
+ * along a quadratic curve, up to MAX_FACTOR at FAST_MS or less, so a quick
+ * spin sweeps the whole range while slow turns keep single-step precision.
+ * Fine mode (a held modifier on the controller) divides the result by
+ * FINE_DIVISOR.
+ *
+ * Quantized parameters skip all of this: `detentValue` moves them exactly
+ * one choice per encoder click.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EncoderAcceleration = void 0;
+exports.detentValue = detentValue;
+/** Gap between deltas (ms) at or above which no acceleration is applied. */
+const SLOW_MS = 150;
+/** Gap between deltas (ms) at or below which acceleration is maximal. */
+const FAST_MS = 15;
+const MAX_FACTOR = 8;
+const FINE_DIVISOR = 10;
+class EncoderAcceleration {
+    constructor() {
+        /** Timestamp of the last delta per control key. */
+        this.lastMoveAt = new Map();
+        this.fineMode = false;
+    }
+    /** Enable or disable fine mode for all controls. */
+    setFineMode(on) {
+        this.fineMode = on;
+    }
+    isFineMode() {
+        return this.fineMode;
+    }
+    /**
+     * Scale a delta for the control `key` by its turn speed and the fine
+     * modifier. The result may be fractional.
+     */
+    scale(key, delta, now = Date.now()) {
+        const last = this.lastMoveAt.get(key);
+        this.lastMoveAt.set(key, now);
+        let factor = 1;
+        if (last !== undefined) {
+            const speed = Math.max(0, Math.min(1, (SLOW_MS - (now - last)) / (SLOW_MS - FAST_MS)));
+            factor = 1 + (MAX_FACTOR - 1) * speed * speed;
+        }
+        const scaled = delta * factor;
+        return this.fineMode ? scaled / FINE_DIVISOR : scaled;
+    }
+}
+exports.EncoderAcceleration = EncoderAcceleration;
+/**
+ * Move a quantized parameter by whole choices: one per encoder click,
+ * regardless of acceleration or fine mode, clamped to [min, max].
+ */
+function detentValue(value, delta, min, max) {
+    const steps = Math.sign(delta) * Math.max(1, Math.round(Math.abs(delta)));
+    return Math.max(min, Math.min(max, Math.round(value) + steps));
+}
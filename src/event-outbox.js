@@ -0,0 +1,76 @@
+"use strict";
+/**
+ * EventOutbox — coalesces events on their way to Grid within a frame window.
+ *
+ * Events with the same key (evt, ring, i, si, s) replace each other, so a
+ * fast fader sweep in Ableton only delivers the latest value per frame
+ * instead of one Lua execution per listener callback. Once per frame the
+ * surviving events are handed to the flush callback, in the order their
+ * keys first appeared within the frame.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EventOutbox = void 0;
+const logger_1 = require("./logger");
+/** Events that report one-off results and must never be merged. */
+const UNIQUE_EVENTS = new Set(["RT_TRACK_OP"]);
+class EventOutbox {
+    constructor(flush, hz = 60) {
+        /** Pending events for the current frame, keyed by coalescing key. */
+        this.pending = new Map();
+        /** Counter that keeps unique events from sharing a key. */
+        this.uniqueSeq = 0;
+        this.flush = flush;
+        this.frameMs = frameMsFor(hz);
+    }
+    /** Queue an event, replacing any pending event with the same key. */
+    push(event) {
+        this.pending.set(this.keyOf(event), event);
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flushNow(), this.frameMs);
+        }
+    }
+    /** Change the frame rate (1–100 Hz). Applies from the next frame. */
+    setFrameRate(hz) {
+        this.frameMs = frameMsFor(hz);
+    }
+    /** Deliver all pending events immediately. */
+    flushNow() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+        if (this.pending.size === 0)
+            return;
+        const events = [...this.pending.values()];
+        this.pending.clear();
+        try {
+            this.flush(events);
+        }
+        catch (err) {
+            logger_1.logger.warn("[EventOutbox] Failed to flush events:", err);
+        }
+    }
+    /** Drop pending events and stop the frame timer. */
+    destroy() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+        this.pending.clear();
+    }
+    keyOf(event) {
+        if (UNIQUE_EVENTS.has(event.evt)) {
+            return `${event.evt}#${this.uniqueSeq++}`;
+        }
+        return [event.evt, event.ring, event.i, event.si, event.s]
+            .map((part) => part !== null && part !== void 0 ? part : "")
+            .join(":");
+    }
+}
+exports.EventOutbox = EventOutbox;
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function frameMsFor(hz) {
+    return 1000 / Math.max(1, Math.min(100, Number(hz) || 60));
+}
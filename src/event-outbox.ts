@@ -0,0 +1,94 @@
+/**
+ * EventOutbox — coalesces events on their way to Grid within a frame window.
+ *
+ * Events with the same key (evt, ring, i, si, s) replace each other, so a
+ * fast fader sweep in Ableton only delivers the latest value per frame
+ * instead of one Lua execution per listener callback. Once per frame the
+ * surviving events are handed to the flush callback, in the order their
+ * keys first appeared within the frame.
+ */
+
+import { logger } from "./logger";
+
+export type OutboxEvent = { [key: string]: any };
+
+export type FlushFn = (events: OutboxEvent[]) => void;
+
+/** Events that report one-off results and must never be merged. */
+const UNIQUE_EVENTS = new Set(["RT_TRACK_OP"]);
+
+export class EventOutbox {
+  private flush: FlushFn;
+
+  /** Frame window in milliseconds. */
+  private frameMs: number;
+
+  /** Pending events for the current frame, keyed by coalescing key. */
+  private pending = new Map<string, OutboxEvent>();
+
+  /** Counter that keeps unique events from sharing a key. */
+  private uniqueSeq = 0;
+
+  private timer: ReturnType<typeof setTimeout> | undefined;
+
+  constructor(flush: FlushFn, hz: number = 60) {
+    this.flush = flush;
+    this.frameMs = frameMsFor(hz);
+  }
+
+  /** Queue an event, replacing any pending event with the same key. */
+  push(event: OutboxEvent): void {
+    this.pending.set(this.keyOf(event), event);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flushNow(), this.frameMs);
+    }
+  }
+
+  /** Change the frame rate (1–100 Hz). Applies from the next frame. */
+  setFrameRate(hz: number): void {
+    this.frameMs = frameMsFor(hz);
+  }
+
+  /** Deliver all pending events immediately. */
+  flushNow(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+    if (this.pending.size === 0) return;
+
+    const events = [...this.pending.values()];
+    this.pending.clear();
+    try {
+      this.flush(events);
+    } catch (err) {
+      logger.warn("[EventOutbox] Failed to flush events:", err);
+    }
+  }
+
+  /** Drop pending events and stop the frame timer. */
+  destroy(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+    this.pending.clear();
+  }
+
+  private keyOf(event: OutboxEvent): string {
+    if (UNIQUE_EVENTS.has(event.evt)) {
+      return `${event.evt}#${this.uniqueSeq++}`;
+    }
+    return [event.evt, event.ring, event.i, event.si, event.s]
+      .map((part) => part ?? "")
+      .join(":");
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function frameMsFor(hz: number): number {
+  return 1000 / Math.max(1, Math.min(100, Number(hz) || 60));
+}
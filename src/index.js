@@ -9,48 +9,295 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_RING = void 0;
 exports.init = init;
+exports.getConnectionState = getConnectionState;
+exports.applySettings = applySettings;
+exports.countDeliveredEvents = countDeliveredEvents;
+exports.getDiagnostics = getDiagnostics;
 exports.close = close;
 exports.playOrStop = playOrStop;
 exports.record = record;
+exports.transportContinue = transportContinue;
+exports.transportStop = transportStop;
+exports.transportTapTempo = transportTapTempo;
+exports.transportSetTempo = transportSetTempo;
+exports.transportAdjustTempo = transportAdjustTempo;
+exports.transportToggleMetronome = transportToggleMetronome;
+exports.transportToggleLoop = transportToggleLoop;
+exports.transportTogglePunchIn = transportTogglePunchIn;
+exports.transportTogglePunchOut = transportTogglePunchOut;
+exports.transportToggleOverdub = transportToggleOverdub;
+exports.transportToggleSessionRecord = transportToggleSessionRecord;
+exports.transportBackToArrangement = transportBackToArrangement;
+exports.transportUndo = transportUndo;
+exports.transportRedo = transportRedo;
+exports.transportCaptureMidi = transportCaptureMidi;
+exports.transportJump = transportJump;
+exports.transportJumpToCue = transportJumpToCue;
+exports.transportSetBeatClock = transportSetBeatClock;
 exports.navigate = navigate;
 exports.ringSetup = ringSetup;
+exports.ringRemove = ringRemove;
+exports.ringSetSessionBox = ringSetSessionBox;
 exports.ringSetOffset = ringSetOffset;
 exports.ringNavigate = ringNavigate;
+exports.ringSetMetering = ringSetMetering;
 exports.ringToggleMute = ringToggleMute;
 exports.ringToggleSolo = ringToggleSolo;
 exports.ringToggleArm = ringToggleArm;
 exports.ringSetVolume = ringSetVolume;
 exports.ringSetPanning = ringSetPanning;
 exports.ringSetSend = ringSetSend;
+exports.ringLaunchClip = ringLaunchClip;
+exports.ringLaunchScene = ringLaunchScene;
+exports.ringStopAllClips = ringStopAllClips;
 exports.ringSelectTrack = ringSelectTrack;
+exports.ringCycleMonitoring = ringCycleMonitoring;
+exports.ringSetInputRouting = ringSetInputRouting;
+exports.ringSetInputChannel = ringSetInputChannel;
+exports.ringSetXfadeAssign = ringSetXfadeAssign;
+exports.ringToggleFold = ringToggleFold;
+exports.ringEnterGroup = ringEnterGroup;
+exports.ringExitGroup = ringExitGroup;
+exports.trackCreate = trackCreate;
+exports.trackDuplicate = trackDuplicate;
+exports.trackDelete = trackDelete;
+exports.trackRename = trackRename;
+exports.trackSetColor = trackSetColor;
 exports.ringSetActiveProperty = ringSetActiveProperty;
 exports.ringSetActivePropertyValue = ringSetActivePropertyValue;
+exports.ringSetTakeover = ringSetTakeover;
+exports.ringSetFollowMode = ringSetFollowMode;
+exports.ringSetSelectFollowsRing = ringSetSelectFollowsRing;
 exports.ringAdjustActivePropertyValue = ringAdjustActivePropertyValue;
 exports.adjustSelectedParameter = adjustSelectedParameter;
+exports.setFineMode = setFineMode;
 exports.resetSelectedParameter = resetSelectedParameter;
 exports.ringResetActiveProperty = ringResetActiveProperty;
+exports.deviceParamAdjust = deviceParamAdjust;
+exports.deviceParamSet = deviceParamSet;
+exports.deviceBankNavigate = deviceBankNavigate;
+exports.deviceSetBankSize = deviceSetBankSize;
+exports.deviceNavigate = deviceNavigate;
+exports.deviceToggleActive = deviceToggleActive;
+exports.deviceEnterRack = deviceEnterRack;
+exports.deviceExitRack = deviceExitRack;
+exports.returnSetVolume = returnSetVolume;
+exports.returnToggleMute = returnToggleMute;
+exports.masterSetVolume = masterSetVolume;
+exports.masterAdjustVolume = masterAdjustVolume;
+exports.cueAdjustVolume = cueAdjustVolume;
+exports.crossfaderSet = crossfaderSet;
+exports.crossfaderAdjust = crossfaderAdjust;
 exports.requestFullState = requestFullState;
 const ableton_js_1 = require("ableton-js");
 const ring_manager_1 = require("./ring-manager");
-const ableton = new ableton_js_1.Ableton({ logger: console });
+const device_manager_1 = require("./device-manager");
+const transport_manager_1 = require("./transport-manager");
+const mixer_manager_1 = require("./mixer-manager");
+const selection_manager_1 = require("./selection-manager");
+const encoder_acceleration_1 = require("./encoder-acceleration");
+const connection_supervisor_1 = require("./connection-supervisor");
+const diagnostics_1 = require("./diagnostics");
+const settings_1 = require("./settings");
+const logger_1 = require("./logger");
+const ableton = new ableton_js_1.Ableton({ logger: logger_1.logger });
 let sendMessageToModule = () => { };
-let ringManager = undefined;
-function init(sendMessage) {
+/** Name of the ring created on init. Commands without a ring name target it. */
+exports.DEFAULT_RING = "main";
+/** Named rings — each with its own window, offsets and subscriptions. */
+const rings = new Map();
+/** The ring that moves Ableton's session box (red box). */
+let sessionBoxRing = exports.DEFAULT_RING;
+/** Linked rings: follower name → leader name and offset relative to it. */
+const ringLinks = new Map();
+/** Encoder acceleration and fine mode shared by all relative adjustments. */
+const acceleration = new encoder_acceleration_1.EncoderAcceleration();
+let deviceManager = undefined;
+let transportManager = undefined;
+let mixerManager = undefined;
+/**
+ * Song-view listeners shared by all rings: registered once, whatever the
+ * number of rings, and selected-track changes are passed on to each ring.
+ */
+const selectionManager = new selection_manager_1.SelectionManager(ableton, (msg) => sendMessageToModule(msg), acceleration);
+selectionManager.onSelectedTrack = (track) => __awaiter(void 0, void 0, void 0, function* () {
+    for (const ring of rings.values()) {
+        yield ring.onSelectedTrackChanged(track);
+    }
+});
+selectionManager.onSelectedTrackInfo = () => {
+    for (const ring of rings.values())
+        ring.sendSelectedTrack();
+};
+let supervisor = undefined;
+/** Event rate and error log shown in the Preferences diagnostics panel. */
+const diagnostics = new diagnostics_1.Diagnostics();
+/** Stops recording logged warnings and errors in the diagnostics log. */
+let stopRecordingErrors = undefined;
+/** Package settings, applied with applySettings. */
+let settings = Object.assign({}, settings_1.DEFAULT_SETTINGS);
+/** Version of the AbletonJS MIDI script, read on every connection. */
+let scriptVersion = "";
+/**
+ * Start connecting to Live. Managers are built once the connection is up
+ * and rebuilt after every reconnection; each state change is pushed to
+ * Grid as RT_CONNECTION and passed to `onConnectionChange`.
+ */
+function init(sendMessage, onConnectionChange) {
     return __awaiter(this, void 0, void 0, function* () {
-        yield ableton.start();
+        stopRecordingErrors === null || stopRecordingErrors === void 0 ? void 0 : stopRecordingErrors();
+        stopRecordingErrors = logger_1.logger.addListener((level, args) => diagnostics.recordError(level, args));
         sendMessageToModule = sendMessage;
-        ringManager = new ring_manager_1.RingManager(ableton, sendMessage);
-        yield ringManager.init();
-        // Default ring: 1 track wide, 8 scenes. Grid can reconfigure via ring_setup.
-        yield ringManager.setupRing(1, 8);
+        // A second init replaces the supervisor; the old one must stop
+        // reconnecting and rebuilding managers.
+        supervisor === null || supervisor === void 0 ? void 0 : supervisor.stop();
+        supervisor = new connection_supervisor_1.ConnectionSupervisor(ableton, {
+            onConnected: connectManagers,
+            onStateChange: (state) => {
+                sendMessageToModule({ evt: "RT_CONNECTION", state });
+                onConnectionChange === null || onConnectionChange === void 0 ? void 0 : onConnectionChange(state);
+            },
+        });
+        supervisor.start();
+    });
+}
+/** Current state of the link to Live. */
+function getConnectionState() {
+    var _a;
+    return (_a = supervisor === null || supervisor === void 0 ? void 0 : supervisor.getState()) !== null && _a !== void 0 ? _a : "connecting";
+}
+/**
+ * Apply validated package settings without a reload. The default ring is
+ * only resized when its size setting changed, so a size chosen by Grid via
+ * ring_setup survives unrelated setting changes. Event rate and wire
+ * format are applied by the bridge in index.js.
+ */
+function applySettings(next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const previous = settings;
+        settings = next;
+        logger_1.logger.setLevel(next.logLevel);
+        for (const ring of rings.values()) {
+            // Leave per-ring follow settings chosen by Grid alone unless changed here
+            if (next.followMode !== previous.followMode) {
+                ring.setFollowMode(next.followMode);
+            }
+            if (next.selectFollowsRing !== previous.selectFollowsRing) {
+                ring.setSelectFollowsRing(next.selectFollowsRing);
+            }
+            ring.setVolumeResetValue(next.volumeResetValue);
+        }
+        const defaultRing = getRing();
+        if (defaultRing &&
+            (next.ringWidth !== previous.ringWidth ||
+                next.ringScenes !== previous.ringScenes)) {
+            const info = defaultRing.getRingInfo();
+            try {
+                yield defaultRing.setupRing(next.ringWidth, next.ringScenes, info.trackOffset, info.sceneOffset);
+            }
+            catch (err) {
+                logger_1.logger.warn("[index] Failed to resize the default ring:", err);
+            }
+        }
+    });
+}
+/**
+ * Count events delivered to Grid for the diagnostics event rate. The bridge
+ * calls this after the outbox has coalesced them, so merged updates aren't
+ * counted.
+ */
+function countDeliveredEvents(count) {
+    diagnostics.countEvents(count);
+}
+/**
+ * Snapshot for the Preferences diagnostics panel: connection, MIDI script
+ * version, every ring's window and subscriptions, the other managers'
+ * subscription counts, events/sec sent to Grid and the latest errors.
+ */
+function getDiagnostics() {
+    return {
+        connection: getConnectionState(),
+        scriptVersion,
+        rings: Array.from(rings, ([name, ring]) => (Object.assign(Object.assign({ name }, ring.getRingInfo()), { subscriptions: ring.getSubscriptionCounts() }))),
+        subscriptions: Object.assign(Object.assign(Object.assign(Object.assign({}, selectionManager.getSubscriptionCounts()), deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.getSubscriptionCounts()), transportManager === null || transportManager === void 0 ? void 0 : transportManager.getSubscriptionCounts()), mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.getSubscriptionCounts()),
+        eventsPerSecond: diagnostics.getEventRate(),
+        errors: diagnostics.getErrors(),
+    };
+}
+/**
+ * Create the managers on the first connection. On later connections keep
+ * them (and their configuration) but rebuild all their subscriptions.
+ */
+function connectManagers() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            scriptVersion = yield ableton.internal.get("version");
+        }
+        catch (err) {
+            logger_1.logger.warn("[index] Failed to read MIDI script version:", err);
+        }
+        // Rings read the selected track and parameter from the selection manager
+        yield selectionManager.destroy();
+        yield selectionManager.init();
+        if (rings.size === 0) {
+            // Default ring size comes from the settings. Grid can reconfigure via ring_setup.
+            const ringManager = yield createRing(exports.DEFAULT_RING);
+            yield ringManager.setupRing(settings.ringWidth, settings.ringScenes);
+        }
+        else {
+            for (const ring of rings.values()) {
+                yield ring.rebuild();
+            }
+        }
+        if (!deviceManager) {
+            deviceManager = new device_manager_1.DeviceManager(ableton, sendMessageToModule, acceleration);
+        }
+        else {
+            yield deviceManager.destroy();
+        }
+        yield deviceManager.init();
+        if (!transportManager) {
+            transportManager = new transport_manager_1.TransportManager(ableton, sendMessageToModule);
+        }
+        else {
+            yield transportManager.destroy();
+        }
+        yield transportManager.init();
+        if (!mixerManager) {
+            mixerManager = new mixer_manager_1.MixerManager(ableton, sendMessageToModule);
+        }
+        else {
+            yield mixerManager.destroy();
+        }
+        yield mixerManager.init();
     });
 }
 function close() {
     return __awaiter(this, void 0, void 0, function* () {
-        if (ringManager) {
-            yield ringManager.destroy();
-            ringManager = undefined;
+        supervisor === null || supervisor === void 0 ? void 0 : supervisor.stop();
+        supervisor = undefined;
+        stopRecordingErrors === null || stopRecordingErrors === void 0 ? void 0 : stopRecordingErrors();
+        stopRecordingErrors = undefined;
+        for (const ring of rings.values()) {
+            yield ring.destroy();
+        }
+        rings.clear();
+        ringLinks.clear();
+        sessionBoxRing = exports.DEFAULT_RING;
+        yield selectionManager.destroy();
+        if (deviceManager) {
+            yield deviceManager.destroy();
+            deviceManager = undefined;
+        }
+        if (transportManager) {
+            yield transportManager.destroy();
+            transportManager = undefined;
+        }
+        if (mixerManager) {
+            yield mixerManager.destroy();
+            mixerManager = undefined;
         }
         yield ableton.close();
     });
@@ -60,24 +307,108 @@ function close() {
 // ---------------------------------------------------------------------------
 function playOrStop() {
     return __awaiter(this, void 0, void 0, function* () {
-        const isPlaying = yield ableton.song.get("is_playing");
-        if (isPlaying == true) {
-            yield ableton.song.stopPlaying();
-        }
-        else {
-            yield ableton.song.startPlaying();
-        }
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.playOrStop());
     });
 }
 function record() {
     return __awaiter(this, void 0, void 0, function* () {
-        const isRecording = yield ableton.song.get("record_mode");
-        if (isRecording == 1) {
-            yield ableton.song.set("record_mode", 0);
-        }
-        else {
-            yield ableton.song.set("record_mode", 1);
-        }
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.toggleRecord());
+    });
+}
+function transportContinue() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.continuePlaying());
+    });
+}
+/** Stop playback; a second stop returns to the start of the set. */
+function transportStop() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.stop());
+    });
+}
+function transportTapTempo() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.tapTempo());
+    });
+}
+/** Set the tempo in BPM. */
+function transportSetTempo(bpm) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.setTempo(bpm));
+    });
+}
+/** Adjust the tempo by a relative delta (stepSize BPM per unit, default 1). */
+function transportAdjustTempo(delta, stepSize) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.adjustTempo(delta, stepSize));
+    });
+}
+function transportToggleMetronome() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.toggleMetronome());
+    });
+}
+function transportToggleLoop() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.toggleLoop());
+    });
+}
+function transportTogglePunchIn() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.togglePunchIn());
+    });
+}
+function transportTogglePunchOut() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.togglePunchOut());
+    });
+}
+function transportToggleOverdub() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.toggleOverdub());
+    });
+}
+function transportToggleSessionRecord() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.toggleSessionRecord());
+    });
+}
+function transportBackToArrangement() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.backToArrangement());
+    });
+}
+function transportUndo() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.undo());
+    });
+}
+function transportRedo() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.redo());
+    });
+}
+function transportCaptureMidi() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.captureMidi());
+    });
+}
+/** Move the playhead by a number of beats. */
+function transportJump(beats) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.jump(beats));
+    });
+}
+/** Jump to the next or previous cue point. */
+function transportJumpToCue(direction) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.jumpToCue(direction));
+    });
+}
+/** Enable or disable RT_BEAT events (off by default). */
+function transportSetBeatClock(enabled) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (transportManager === null || transportManager === void 0 ? void 0 : transportManager.setBeatClock(!!enabled));
     });
 }
 /**
@@ -95,93 +426,394 @@ function navigate(direction) {
             yield ableton.song.view.set("selected_track", allTracks[nextIndex].raw.id);
         }
         catch (error) {
-            console.log("Next track is out of range.");
+            logger_1.logger.info("Next track is out of range.");
         }
     });
 }
 // ---------------------------------------------------------------------------
-// Ring manager exports — called from index.js via gps() commands from Grid
+// Rings
+// ---------------------------------------------------------------------------
+/**
+ * Create and initialize a named ring. Its events are tagged with
+ * `ring: name` so Grid modules can tell rings apart.
+ */
+function createRing(name) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const ring = new ring_manager_1.RingManager(ableton, (msg) => sendMessageToModule(Object.assign(Object.assign({}, msg), { ring: name })), selectionManager, acceleration);
+        rings.set(name, ring);
+        yield ring.setDrivesSessionBox(name === sessionBoxRing);
+        ring.setFollowMode(settings.followMode);
+        ring.setSelectFollowsRing(settings.selectFollowsRing);
+        ring.setVolumeResetValue(settings.volumeResetValue);
+        ring.onMove = (trackOffset, sceneOffset) => moveLinkedRings(name, trackOffset, sceneOffset);
+        yield ring.init();
+        return ring;
+    });
+}
+function getRing(name = exports.DEFAULT_RING) {
+    return rings.get(name);
+}
+/** Move every ring linked to `leader`, keeping each one's relative offset. */
+function moveLinkedRings(leader, trackOffset, sceneOffset) {
+    var _a;
+    for (const [follower, link] of ringLinks) {
+        if (link.leader !== leader)
+            continue;
+        (_a = getRing(follower)) === null || _a === void 0 ? void 0 : _a.setOffset(Math.max(0, trackOffset + link.trackDelta), Math.max(0, sceneOffset + link.sceneDelta)).catch((err) => logger_1.logger.warn(`[Rings] Failed to move linked ring "${follower}":`, err));
+    }
+}
+// ---------------------------------------------------------------------------
+// Ring manager exports — called from index.js via gps() commands from Grid.
+// The trailing `ring` argument names the target ring (default "main").
 // ---------------------------------------------------------------------------
-/** Set up the ring dimensions and initial offset. */
+/** Whether linking `follower` to `leader` would make a ring follow itself. */
+function wouldCreateLinkCycle(follower, leader) {
+    var _a;
+    const seen = new Set();
+    let ring = leader;
+    while (ring !== undefined && !seen.has(ring)) {
+        if (ring === follower)
+            return true;
+        seen.add(ring);
+        ring = (_a = ringLinks.get(ring)) === null || _a === void 0 ? void 0 : _a.leader;
+    }
+    return false;
+}
+/**
+ * Set up a ring's dimensions and initial offset, creating the ring if it
+ * doesn't exist yet. With `linkTo`, the ring follows that ring's offset
+ * and `trackOffset`/`sceneOffset` are relative to it. Links that would form
+ * a cycle are rejected.
+ */
 function ringSetup(numTracks_1, numScenes_1) {
-    return __awaiter(this, arguments, void 0, function* (numTracks, numScenes, trackOffset = 0, sceneOffset = 0) {
-        if (ringManager) {
-            yield ringManager.setupRing(numTracks, numScenes, trackOffset, sceneOffset);
+    return __awaiter(this, arguments, void 0, function* (numTracks, numScenes, trackOffset = 0, sceneOffset = 0, ring = exports.DEFAULT_RING, linkTo) {
+        var _a;
+        if (linkTo && wouldCreateLinkCycle(ring, linkTo)) {
+            logger_1.logger.warn(`[Rings] Not linking "${ring}" to "${linkTo}": the rings would follow each other`);
+            return;
+        }
+        const ringManager = (_a = getRing(ring)) !== null && _a !== void 0 ? _a : (yield createRing(ring));
+        ringLinks.delete(ring);
+        const leader = linkTo && linkTo !== ring ? getRing(linkTo) : undefined;
+        if (leader) {
+            ringLinks.set(ring, {
+                leader: linkTo,
+                trackDelta: trackOffset,
+                sceneDelta: sceneOffset,
+            });
+            const info = leader.getRingInfo();
+            trackOffset = Math.max(0, info.trackOffset + trackOffset);
+            sceneOffset = Math.max(0, info.sceneOffset + sceneOffset);
         }
+        yield ringManager.setupRing(numTracks, numScenes, trackOffset, sceneOffset);
     });
 }
-/** Move the ring offset to an absolute position. */
-function ringSetOffset(trackOffset, sceneOffset) {
+/** Remove a named ring and its subscriptions. The default ring can't be removed. */
+function ringRemove(ring) {
     return __awaiter(this, void 0, void 0, function* () {
-        if (ringManager) {
-            yield ringManager.setOffset(trackOffset, sceneOffset);
+        const ringManager = getRing(ring);
+        if (!ringManager || ring === exports.DEFAULT_RING)
+            return;
+        rings.delete(ring);
+        ringLinks.delete(ring);
+        for (const [follower, link] of ringLinks) {
+            if (link.leader === ring)
+                ringLinks.delete(follower);
         }
+        yield ringManager.destroy();
+        if (sessionBoxRing === ring)
+            yield ringSetSessionBox(exports.DEFAULT_RING);
     });
 }
-/** Move the ring left or right by 1 track. */
-function ringNavigate(direction) {
+/** Make a ring drive Ableton's session box; the previous owner lets go of it. */
+function ringSetSessionBox() {
+    return __awaiter(this, arguments, void 0, function* (ring = exports.DEFAULT_RING) {
+        var _a, _b;
+        if (!rings.has(ring))
+            return;
+        yield ((_a = getRing(sessionBoxRing)) === null || _a === void 0 ? void 0 : _a.setDrivesSessionBox(false));
+        sessionBoxRing = ring;
+        yield ((_b = getRing(ring)) === null || _b === void 0 ? void 0 : _b.setDrivesSessionBox(true));
+    });
+}
+/** Move the ring offset to an absolute position. */
+function ringSetOffset(trackOffset, sceneOffset, ring) {
     return __awaiter(this, void 0, void 0, function* () {
-        if (ringManager) {
-            yield ringManager.navigateRing(direction);
-        }
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setOffset(trackOffset, sceneOffset));
+    });
+}
+/** Move the ring by 1 track/scene, or by a full ring page when `page` is set. */
+function ringNavigate(direction, page, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.navigateRing(direction, !!page));
+    });
+}
+/** Enable or disable RT_METER events for the ring and master, at `hz` frames per second. */
+function ringSetMetering(enabled, hz, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setMetering(!!enabled, hz));
     });
 }
 /** Toggle mute on the track at ring index. */
-function ringToggleMute(ringIndex) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.toggleMute(ringIndex);
+function ringToggleMute(ringIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.toggleMute(ringIndex);
 }
 /** Toggle solo on the track at ring index. */
-function ringToggleSolo(ringIndex) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.toggleSolo(ringIndex);
+function ringToggleSolo(ringIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.toggleSolo(ringIndex);
 }
 /** Toggle arm on the track at ring index. */
-function ringToggleArm(ringIndex) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.toggleArm(ringIndex);
+function ringToggleArm(ringIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.toggleArm(ringIndex);
 }
 /** Set volume on the track at ring index (0..1). */
-function ringSetVolume(ringIndex, value) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.setVolume(ringIndex, value);
+function ringSetVolume(ringIndex, value, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setVolume(ringIndex, value);
 }
 /** Set panning on the track at ring index (-1..1). */
-function ringSetPanning(ringIndex, value) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.setPanning(ringIndex, value);
+function ringSetPanning(ringIndex, value, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setPanning(ringIndex, value);
 }
 /** Set a send value on the track at ring index. */
-function ringSetSend(ringIndex, sendIndex, value) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.setSend(ringIndex, sendIndex, value);
+function ringSetSend(ringIndex, sendIndex, value, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setSend(ringIndex, sendIndex, value);
+}
+/** Fire the clip slot at (ringIndex, sceneIndex) within the ring. */
+function ringLaunchClip(ringIndex, sceneIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.launchClip(ringIndex, sceneIndex);
+}
+/** Fire the scene at a ring row. */
+function ringLaunchScene(sceneIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.launchScene(sceneIndex);
+}
+/** Stop all playing clips in the set. */
+function ringStopAllClips(ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.stopAllClips();
 }
 /** Select the track at ring index in Ableton (without moving the ring). */
-function ringSelectTrack(ringIndex) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.selectTrackInRing(ringIndex);
+function ringSelectTrack(ringIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.selectTrackInRing(ringIndex);
+}
+/** Cycle monitoring (In/Auto/Off) on the track at ring index. */
+function ringCycleMonitoring(ringIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.cycleMonitoring(ringIndex);
+}
+/** Set the input routing type of the track at ring index (index into RT_ROUTING inputOptions). */
+function ringSetInputRouting(ringIndex, optionIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setInputRouting(ringIndex, optionIndex);
+}
+/** Set the input channel of the track at ring index (index into RT_ROUTING channelOptions). */
+function ringSetInputChannel(ringIndex, optionIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setInputChannel(ringIndex, optionIndex);
+}
+/** Assign the track at ring index to crossfader side "A", "B" or "none". */
+function ringSetXfadeAssign(ringIndex, side, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setXfadeAssign(ringIndex, side);
+}
+/** Fold or unfold the group track at ring index. */
+function ringToggleFold(ringIndex, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.toggleFold(ringIndex));
+    });
+}
+/** Scope the ring to the children of the group track at ring index. */
+function ringEnterGroup(ringIndex, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.enterGroup(ringIndex));
+    });
+}
+/** Leave the innermost entered group. */
+function ringExitGroup(ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.exitGroup());
+    });
+}
+/** Create an audio, MIDI or return track at Live's track index (-1 appends). */
+function trackCreate(kind, index) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing()) === null || _a === void 0 ? void 0 : _a.createTrack(kind, index));
+    });
+}
+/** Duplicate the track at ring index. */
+function trackDuplicate(ringIndex, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.duplicateTrack(ringIndex));
+    });
+}
+/** Delete the track at ring index. */
+function trackDelete(ringIndex, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.deleteTrack(ringIndex));
+    });
+}
+/** Rename the track at ring index. */
+function trackRename(ringIndex, name, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.renameTrack(ringIndex, name));
+    });
+}
+/** Set the palette color of the track at ring index. */
+function trackSetColor(ringIndex, colorIndex, ring) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        yield ((_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setTrackColor(ringIndex, colorIndex));
+    });
 }
 /** Set the active property mode ("volume", "panning", "send:N"). */
-function ringSetActiveProperty(property) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.setActiveProperty(property);
+function ringSetActiveProperty(property, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setActiveProperty(property);
 }
 /** Set the active property's value from a raw 8-bit Grid value (0–255). */
-function ringSetActivePropertyValue(ringIndex, rawValue) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.setActivePropertyValue(ringIndex, rawValue);
+function ringSetActivePropertyValue(ringIndex, rawValue, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setActivePropertyValue(ringIndex, rawValue);
+}
+/** Set how absolute controls take over values: "jump", "pickup" or "value-scaling". */
+function ringSetTakeover(mode, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setTakeoverMode(mode);
+}
+/** Set how the ring follows the selected track: off, edge, center or page. */
+function ringSetFollowMode(mode, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setFollowMode(mode);
+}
+/** Enable or disable selecting the ring's first track on left/right moves. */
+function ringSetSelectFollowsRing(on, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.setSelectFollowsRing(!!on);
 }
 /** Adjust the active property by a relative delta (for encoders in relative mode).
  *  No value jumps on track change — applies delta against the package's cached state. */
-function ringAdjustActivePropertyValue(ringIndex, delta, stepSize) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.adjustActivePropertyValue(ringIndex, delta, stepSize);
+function ringAdjustActivePropertyValue(ringIndex, delta, stepSize, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.adjustActivePropertyValue(ringIndex, delta, stepSize !== null && stepSize !== void 0 ? stepSize : settings.stepSize);
 }
 /** Adjust the last-selected parameter in Ableton by a relative delta. */
 function adjustSelectedParameter(delta, stepSize) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.adjustSelectedParameter(delta, stepSize);
+    selectionManager.adjustParameter(delta, stepSize !== null && stepSize !== void 0 ? stepSize : settings.stepSize);
+}
+/**
+ * Enable or disable fine mode: while on, every relative adjustment moves
+ * in smaller steps (quantized parameters still move one choice per click).
+ */
+function setFineMode(on) {
+    acceleration.setFineMode(!!on);
 }
 /** Reset the selected parameter to its default value. */
 function resetSelectedParameter() {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.resetSelectedParameter();
+    selectionManager.resetParameter();
 }
 /** Reset the active property to its default on the track at ring index. */
-function ringResetActiveProperty(ringIndex) {
-    ringManager === null || ringManager === void 0 ? void 0 : ringManager.resetActivePropertyValue(ringIndex);
+function ringResetActiveProperty(ringIndex, ring) {
+    var _a;
+    (_a = getRing(ring)) === null || _a === void 0 ? void 0 : _a.resetActivePropertyValue(ringIndex);
+}
+// ---------------------------------------------------------------------------
+// Device bank exports
+// ---------------------------------------------------------------------------
+/** Adjust the parameter at a bank slot by a relative delta. */
+function deviceParamAdjust(slot, delta, stepSize) {
+    deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.adjustParam(slot, delta, stepSize !== null && stepSize !== void 0 ? stepSize : settings.stepSize);
 }
-/** Request a full state dump (ring tracks, selected track, selected parameter). */
+/** Set the parameter at a bank slot from a raw 8-bit Grid value (0–255). */
+function deviceParamSet(slot, rawValue) {
+    deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.setParam(slot, rawValue);
+}
+/** Move to the previous/next parameter bank of the selected device. */
+function deviceBankNavigate(direction) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.navigateBank(direction));
+    });
+}
+/** Set the number of parameters per device bank. */
+function deviceSetBankSize(size) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.setBankSize(size));
+    });
+}
+/** Select the previous/next device on the selected track. */
+function deviceNavigate(direction) {
+    deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.navigateDevice(direction);
+}
+/** Toggle the selected device on/off. */
+function deviceToggleActive() {
+    deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.toggleActive();
+}
+/** Show the chains of the selected rack device in Live's mixer (no chain navigation). */
+function deviceEnterRack() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield (deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.enterRack());
+    });
+}
+/** Hide the chains of the selected rack device in Live's mixer. */
+function deviceExitRack() {
+    deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.exitRack();
+}
+// ---------------------------------------------------------------------------
+// Return tracks and master strip
+// ---------------------------------------------------------------------------
+/** Set the volume of a return track (0..1). */
+function returnSetVolume(returnIndex, value) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.setReturnVolume(returnIndex, value);
+}
+/** Toggle mute on a return track. */
+function returnToggleMute(returnIndex) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.toggleReturnMute(returnIndex);
+}
+/** Set the master volume (0..1). */
+function masterSetVolume(value) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.setMasterVolume(value);
+}
+/** Adjust the master volume by a relative delta. */
+function masterAdjustVolume(delta, stepSize) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.adjustMasterVolume(delta, stepSize !== null && stepSize !== void 0 ? stepSize : settings.stepSize);
+}
+/** Adjust the cue (preview) volume by a relative delta. */
+function cueAdjustVolume(delta, stepSize) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.adjustCueVolume(delta, stepSize !== null && stepSize !== void 0 ? stepSize : settings.stepSize);
+}
+/** Set the crossfader from a raw Grid value (0–255, A..B). */
+function crossfaderSet(rawValue) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.setCrossfader(rawValue);
+}
+/** Adjust the crossfader by a relative delta. */
+function crossfaderAdjust(delta, stepSize) {
+    mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.adjustCrossfader(delta, stepSize !== null && stepSize !== void 0 ? stepSize : settings.stepSize);
+}
+/** Request a full state dump (ring, selected track/parameter, device bank, transport, returns, master). */
 function requestFullState() {
     return __awaiter(this, void 0, void 0, function* () {
-        yield (ringManager === null || ringManager === void 0 ? void 0 : ringManager.requestFullState());
+        for (const ring of rings.values()) {
+            yield ring.requestFullState();
+        }
+        deviceManager === null || deviceManager === void 0 ? void 0 : deviceManager.requestFullState();
+        transportManager === null || transportManager === void 0 ? void 0 : transportManager.requestFullState();
+        mixerManager === null || mixerManager === void 0 ? void 0 : mixerManager.requestFullState();
     });
 }
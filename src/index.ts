@@ -1,28 +1,262 @@
 import { Ableton } from "ableton-js";
-import { RingManager } from "./ring-manager";
+import {
+  FollowMode,
+  RingManager,
+  TakeoverMode,
+  XfadeAssign,
+} from "./ring-manager";
+import { DeviceManager } from "./device-manager";
+import { TransportManager } from "./transport-manager";
+import { MixerManager } from "./mixer-manager";
+import { SelectionManager } from "./selection-manager";
+import { EncoderAcceleration } from "./encoder-acceleration";
+import { ConnectionState, ConnectionSupervisor } from "./connection-supervisor";
+import { Diagnostics } from "./diagnostics";
+import { DEFAULT_SETTINGS, PackageSettings } from "./settings";
+import { logger } from "./logger";
 
-const ableton = new Ableton({ logger: console });
+const ableton = new Ableton({ logger });
 
 let sendMessageToModule: (
   args: any[] | { [key: string]: any },
 ) => void = () => {};
 
-let ringManager: RingManager | undefined = undefined;
+/** Name of the ring created on init. Commands without a ring name target it. */
+export const DEFAULT_RING = "main";
 
-export async function init(sendMessage) {
-  await ableton.start();
+/** Named rings — each with its own window, offsets and subscriptions. */
+const rings = new Map<string, RingManager>();
+
+/** The ring that moves Ableton's session box (red box). */
+let sessionBoxRing = DEFAULT_RING;
+
+/** Linked rings: follower name → leader name and offset relative to it. */
+const ringLinks = new Map<
+  string,
+  { leader: string; trackDelta: number; sceneDelta: number }
+>();
+
+/** Encoder acceleration and fine mode shared by all relative adjustments. */
+const acceleration = new EncoderAcceleration();
+
+let deviceManager: DeviceManager | undefined = undefined;
+let transportManager: TransportManager | undefined = undefined;
+let mixerManager: MixerManager | undefined = undefined;
+
+/**
+ * Song-view listeners shared by all rings: registered once, whatever the
+ * number of rings, and selected-track changes are passed on to each ring.
+ */
+const selectionManager = new SelectionManager(
+  ableton,
+  (msg) => sendMessageToModule(msg),
+  acceleration,
+);
+selectionManager.onSelectedTrack = async (track) => {
+  for (const ring of rings.values()) {
+    await ring.onSelectedTrackChanged(track);
+  }
+};
+selectionManager.onSelectedTrackInfo = () => {
+  for (const ring of rings.values()) ring.sendSelectedTrack();
+};
+
+let supervisor: ConnectionSupervisor | undefined = undefined;
+
+/** Event rate and error log shown in the Preferences diagnostics panel. */
+const diagnostics = new Diagnostics();
+
+/** Stops recording logged warnings and errors in the diagnostics log. */
+let stopRecordingErrors: (() => void) | undefined = undefined;
+
+/** Package settings, applied with applySettings. */
+let settings: PackageSettings = { ...DEFAULT_SETTINGS };
+
+/** Version of the AbletonJS MIDI script, read on every connection. */
+let scriptVersion = "";
+
+/**
+ * Start connecting to Live. Managers are built once the connection is up
+ * and rebuilt after every reconnection; each state change is pushed to
+ * Grid as RT_CONNECTION and passed to `onConnectionChange`.
+ */
+export async function init(
+  sendMessage,
+  onConnectionChange?: (state: ConnectionState) => void,
+) {
+  stopRecordingErrors?.();
+  stopRecordingErrors = logger.addListener((level, args) =>
+    diagnostics.recordError(level, args),
+  );
   sendMessageToModule = sendMessage;
+  // A second init replaces the supervisor; the old one must stop
+  // reconnecting and rebuilding managers.
+  supervisor?.stop();
+  supervisor = new ConnectionSupervisor(ableton, {
+    onConnected: connectManagers,
+    onStateChange: (state) => {
+      sendMessageToModule({ evt: "RT_CONNECTION", state });
+      onConnectionChange?.(state);
+    },
+  });
+  supervisor.start();
+}
+
+/** Current state of the link to Live. */
+export function getConnectionState(): ConnectionState {
+  return supervisor?.getState() ?? "connecting";
+}
+
+/**
+ * Apply validated package settings without a reload. The default ring is
+ * only resized when its size setting changed, so a size chosen by Grid via
+ * ring_setup survives unrelated setting changes. Event rate and wire
+ * format are applied by the bridge in index.js.
+ */
+export async function applySettings(next: PackageSettings) {
+  const previous = settings;
+  settings = next;
+  logger.setLevel(next.logLevel);
+
+  for (const ring of rings.values()) {
+    // Leave per-ring follow settings chosen by Grid alone unless changed here
+    if (next.followMode !== previous.followMode) {
+      ring.setFollowMode(next.followMode);
+    }
+    if (next.selectFollowsRing !== previous.selectFollowsRing) {
+      ring.setSelectFollowsRing(next.selectFollowsRing);
+    }
+    ring.setVolumeResetValue(next.volumeResetValue);
+  }
+
+  const defaultRing = getRing();
+  if (
+    defaultRing &&
+    (next.ringWidth !== previous.ringWidth ||
+      next.ringScenes !== previous.ringScenes)
+  ) {
+    const info = defaultRing.getRingInfo();
+    try {
+      await defaultRing.setupRing(
+        next.ringWidth,
+        next.ringScenes,
+        info.trackOffset,
+        info.sceneOffset,
+      );
+    } catch (err) {
+      logger.warn("[index] Failed to resize the default ring:", err);
+    }
+  }
+}
 
-  ringManager = new RingManager(ableton, sendMessage);
-  await ringManager.init();
-  // Default ring: 1 track wide, 8 scenes. Grid can reconfigure via ring_setup.
-  await ringManager.setupRing(1, 8);
+/**
+ * Count events delivered to Grid for the diagnostics event rate. The bridge
+ * calls this after the outbox has coalesced them, so merged updates aren't
+ * counted.
+ */
+export function countDeliveredEvents(count: number) {
+  diagnostics.countEvents(count);
+}
+
+/**
+ * Snapshot for the Preferences diagnostics panel: connection, MIDI script
+ * version, every ring's window and subscriptions, the other managers'
+ * subscription counts, events/sec sent to Grid and the latest errors.
+ */
+export function getDiagnostics() {
+  return {
+    connection: getConnectionState(),
+    scriptVersion,
+    rings: Array.from(rings, ([name, ring]) => ({
+      name,
+      ...ring.getRingInfo(),
+      subscriptions: ring.getSubscriptionCounts(),
+    })),
+    subscriptions: {
+      ...selectionManager.getSubscriptionCounts(),
+      ...deviceManager?.getSubscriptionCounts(),
+      ...transportManager?.getSubscriptionCounts(),
+      ...mixerManager?.getSubscriptionCounts(),
+    },
+    eventsPerSecond: diagnostics.getEventRate(),
+    errors: diagnostics.getErrors(),
+  };
+}
+
+/**
+ * Create the managers on the first connection. On later connections keep
+ * them (and their configuration) but rebuild all their subscriptions.
+ */
+async function connectManagers() {
+  try {
+    scriptVersion = await ableton.internal.get("version");
+  } catch (err) {
+    logger.warn("[index] Failed to read MIDI script version:", err);
+  }
+
+  // Rings read the selected track and parameter from the selection manager
+  await selectionManager.destroy();
+  await selectionManager.init();
+
+  if (rings.size === 0) {
+    // Default ring size comes from the settings. Grid can reconfigure via ring_setup.
+    const ringManager = await createRing(DEFAULT_RING);
+    await ringManager.setupRing(settings.ringWidth, settings.ringScenes);
+  } else {
+    for (const ring of rings.values()) {
+      await ring.rebuild();
+    }
+  }
+
+  if (!deviceManager) {
+    deviceManager = new DeviceManager(
+      ableton,
+      sendMessageToModule,
+      acceleration,
+    );
+  } else {
+    await deviceManager.destroy();
+  }
+  await deviceManager.init();
+
+  if (!transportManager) {
+    transportManager = new TransportManager(ableton, sendMessageToModule);
+  } else {
+    await transportManager.destroy();
+  }
+  await transportManager.init();
+
+  if (!mixerManager) {
+    mixerManager = new MixerManager(ableton, sendMessageToModule);
+  } else {
+    await mixerManager.destroy();
+  }
+  await mixerManager.init();
 }
 
 export async function close() {
-  if (ringManager) {
-    await ringManager.destroy();
-    ringManager = undefined;
+  supervisor?.stop();
+  supervisor = undefined;
+  stopRecordingErrors?.();
+  stopRecordingErrors = undefined;
+  for (const ring of rings.values()) {
+    await ring.destroy();
+  }
+  rings.clear();
+  ringLinks.clear();
+  sessionBoxRing = DEFAULT_RING;
+  await selectionManager.destroy();
+  if (deviceManager) {
+    await deviceManager.destroy();
+    deviceManager = undefined;
+  }
+  if (transportManager) {
+    await transportManager.destroy();
+    transportManager = undefined;
+  }
+  if (mixerManager) {
+    await mixerManager.destroy();
+    mixerManager = undefined;
   }
   await ableton.close();
 }
@@ -32,21 +266,89 @@ export async function close() {
 // ---------------------------------------------------------------------------
 
 export async function playOrStop() {
-  const isPlaying = await ableton.song.get("is_playing");
-  if (isPlaying == true) {
-    await ableton.song.stopPlaying();
-  } else {
-    await ableton.song.startPlaying();
-  }
+  await transportManager?.playOrStop();
 }
 
 export async function record() {
-  const isRecording = await ableton.song.get("record_mode");
-  if (isRecording == 1) {
-    await ableton.song.set("record_mode", 0);
-  } else {
-    await ableton.song.set("record_mode", 1);
-  }
+  await transportManager?.toggleRecord();
+}
+
+export async function transportContinue() {
+  await transportManager?.continuePlaying();
+}
+
+/** Stop playback; a second stop returns to the start of the set. */
+export async function transportStop() {
+  await transportManager?.stop();
+}
+
+export async function transportTapTempo() {
+  await transportManager?.tapTempo();
+}
+
+/** Set the tempo in BPM. */
+export async function transportSetTempo(bpm: number) {
+  await transportManager?.setTempo(bpm);
+}
+
+/** Adjust the tempo by a relative delta (stepSize BPM per unit, default 1). */
+export async function transportAdjustTempo(delta: number, stepSize?: number) {
+  await transportManager?.adjustTempo(delta, stepSize);
+}
+
+export async function transportToggleMetronome() {
+  await transportManager?.toggleMetronome();
+}
+
+export async function transportToggleLoop() {
+  await transportManager?.toggleLoop();
+}
+
+export async function transportTogglePunchIn() {
+  await transportManager?.togglePunchIn();
+}
+
+export async function transportTogglePunchOut() {
+  await transportManager?.togglePunchOut();
+}
+
+export async function transportToggleOverdub() {
+  await transportManager?.toggleOverdub();
+}
+
+export async function transportToggleSessionRecord() {
+  await transportManager?.toggleSessionRecord();
+}
+
+export async function transportBackToArrangement() {
+  await transportManager?.backToArrangement();
+}
+
+export async function transportUndo() {
+  await transportManager?.undo();
+}
+
+export async function transportRedo() {
+  await transportManager?.redo();
+}
+
+export async function transportCaptureMidi() {
+  await transportManager?.captureMidi();
+}
+
+/** Move the playhead by a number of beats. */
+export async function transportJump(beats: number) {
+  await transportManager?.jump(beats);
+}
+
+/** Jump to the next or previous cue point. */
+export async function transportJumpToCue(direction: "next" | "prev") {
+  await transportManager?.jumpToCue(direction);
+}
+
+/** Enable or disable RT_BEAT events (off by default). */
+export async function transportSetBeatClock(enabled: boolean | number) {
+  await transportManager?.setBeatClock(!!enabled);
 }
 
 /**
@@ -70,63 +372,190 @@ export async function navigate(direction: string) {
   try {
     await ableton.song.view.set("selected_track", allTracks[nextIndex].raw.id);
   } catch (error) {
-    console.log("Next track is out of range.");
+    logger.info("Next track is out of range.");
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Rings
+// ---------------------------------------------------------------------------
+
+/**
+ * Create and initialize a named ring. Its events are tagged with
+ * `ring: name` so Grid modules can tell rings apart.
+ */
+async function createRing(name: string): Promise<RingManager> {
+  const ring = new RingManager(
+    ableton,
+    (msg) => sendMessageToModule({ ...msg, ring: name }),
+    selectionManager,
+    acceleration,
+  );
+  rings.set(name, ring);
+  await ring.setDrivesSessionBox(name === sessionBoxRing);
+  ring.setFollowMode(settings.followMode);
+  ring.setSelectFollowsRing(settings.selectFollowsRing);
+  ring.setVolumeResetValue(settings.volumeResetValue);
+  ring.onMove = (trackOffset, sceneOffset) =>
+    moveLinkedRings(name, trackOffset, sceneOffset);
+  await ring.init();
+  return ring;
+}
+
+function getRing(name: string = DEFAULT_RING): RingManager | undefined {
+  return rings.get(name);
+}
+
+/** Move every ring linked to `leader`, keeping each one's relative offset. */
+function moveLinkedRings(
+  leader: string,
+  trackOffset: number,
+  sceneOffset: number,
+) {
+  for (const [follower, link] of ringLinks) {
+    if (link.leader !== leader) continue;
+    getRing(follower)
+      ?.setOffset(
+        Math.max(0, trackOffset + link.trackDelta),
+        Math.max(0, sceneOffset + link.sceneDelta),
+      )
+      .catch((err) =>
+        logger.warn(`[Rings] Failed to move linked ring "${follower}":`, err),
+      );
   }
 }
 
 // ---------------------------------------------------------------------------
-// Ring manager exports — called from index.js via gps() commands from Grid
+// Ring manager exports — called from index.js via gps() commands from Grid.
+// The trailing `ring` argument names the target ring (default "main").
 // ---------------------------------------------------------------------------
 
-/** Set up the ring dimensions and initial offset. */
+/** Whether linking `follower` to `leader` would make a ring follow itself. */
+function wouldCreateLinkCycle(follower: string, leader: string): boolean {
+  const seen = new Set<string>();
+  let ring: string | undefined = leader;
+  while (ring !== undefined && !seen.has(ring)) {
+    if (ring === follower) return true;
+    seen.add(ring);
+    ring = ringLinks.get(ring)?.leader;
+  }
+  return false;
+}
+
+/**
+ * Set up a ring's dimensions and initial offset, creating the ring if it
+ * doesn't exist yet. With `linkTo`, the ring follows that ring's offset
+ * and `trackOffset`/`sceneOffset` are relative to it. Links that would form
+ * a cycle are rejected.
+ */
 export async function ringSetup(
   numTracks: number,
   numScenes: number,
   trackOffset = 0,
   sceneOffset = 0,
+  ring = DEFAULT_RING,
+  linkTo?: string,
 ) {
-  if (ringManager) {
-    await ringManager.setupRing(numTracks, numScenes, trackOffset, sceneOffset);
+  if (linkTo && wouldCreateLinkCycle(ring, linkTo)) {
+    logger.warn(
+      `[Rings] Not linking "${ring}" to "${linkTo}": the rings would follow each other`,
+    );
+    return;
   }
-}
 
-/** Move the ring offset to an absolute position. */
-export async function ringSetOffset(trackOffset: number, sceneOffset: number) {
-  if (ringManager) {
-    await ringManager.setOffset(trackOffset, sceneOffset);
+  const ringManager = getRing(ring) ?? (await createRing(ring));
+
+  ringLinks.delete(ring);
+  const leader = linkTo && linkTo !== ring ? getRing(linkTo) : undefined;
+  if (leader) {
+    ringLinks.set(ring, {
+      leader: linkTo,
+      trackDelta: trackOffset,
+      sceneDelta: sceneOffset,
+    });
+    const info = leader.getRingInfo();
+    trackOffset = Math.max(0, info.trackOffset + trackOffset);
+    sceneOffset = Math.max(0, info.sceneOffset + sceneOffset);
   }
+
+  await ringManager.setupRing(numTracks, numScenes, trackOffset, sceneOffset);
 }
 
-/** Move the ring left or right by 1 track. */
-export async function ringNavigate(direction: "left" | "right") {
-  if (ringManager) {
-    await ringManager.navigateRing(direction);
+/** Remove a named ring and its subscriptions. The default ring can't be removed. */
+export async function ringRemove(ring: string) {
+  const ringManager = getRing(ring);
+  if (!ringManager || ring === DEFAULT_RING) return;
+  rings.delete(ring);
+  ringLinks.delete(ring);
+  for (const [follower, link] of ringLinks) {
+    if (link.leader === ring) ringLinks.delete(follower);
   }
+  await ringManager.destroy();
+  if (sessionBoxRing === ring) await ringSetSessionBox(DEFAULT_RING);
+}
+
+/** Make a ring drive Ableton's session box; the previous owner lets go of it. */
+export async function ringSetSessionBox(ring: string = DEFAULT_RING) {
+  if (!rings.has(ring)) return;
+  await getRing(sessionBoxRing)?.setDrivesSessionBox(false);
+  sessionBoxRing = ring;
+  await getRing(ring)?.setDrivesSessionBox(true);
+}
+
+/** Move the ring offset to an absolute position. */
+export async function ringSetOffset(
+  trackOffset: number,
+  sceneOffset: number,
+  ring?: string,
+) {
+  await getRing(ring)?.setOffset(trackOffset, sceneOffset);
+}
+
+/** Move the ring by 1 track/scene, or by a full ring page when `page` is set. */
+export async function ringNavigate(
+  direction: "left" | "right" | "up" | "down",
+  page?: boolean | number,
+  ring?: string,
+) {
+  await getRing(ring)?.navigateRing(direction, !!page);
+}
+
+/** Enable or disable RT_METER events for the ring and master, at `hz` frames per second. */
+export async function ringSetMetering(
+  enabled: boolean | number,
+  hz?: number,
+  ring?: string,
+) {
+  await getRing(ring)?.setMetering(!!enabled, hz);
 }
 
 /** Toggle mute on the track at ring index. */
-export function ringToggleMute(ringIndex: number) {
-  ringManager?.toggleMute(ringIndex);
+export function ringToggleMute(ringIndex: number, ring?: string) {
+  getRing(ring)?.toggleMute(ringIndex);
 }
 
 /** Toggle solo on the track at ring index. */
-export function ringToggleSolo(ringIndex: number) {
-  ringManager?.toggleSolo(ringIndex);
+export function ringToggleSolo(ringIndex: number, ring?: string) {
+  getRing(ring)?.toggleSolo(ringIndex);
 }
 
 /** Toggle arm on the track at ring index. */
-export function ringToggleArm(ringIndex: number) {
-  ringManager?.toggleArm(ringIndex);
+export function ringToggleArm(ringIndex: number, ring?: string) {
+  getRing(ring)?.toggleArm(ringIndex);
 }
 
 /** Set volume on the track at ring index (0..1). */
-export function ringSetVolume(ringIndex: number, value: number) {
-  ringManager?.setVolume(ringIndex, value);
+export function ringSetVolume(ringIndex: number, value: number, ring?: string) {
+  getRing(ring)?.setVolume(ringIndex, value);
 }
 
 /** Set panning on the track at ring index (-1..1). */
-export function ringSetPanning(ringIndex: number, value: number) {
-  ringManager?.setPanning(ringIndex, value);
+export function ringSetPanning(
+  ringIndex: number,
+  value: number,
+  ring?: string,
+) {
+  getRing(ring)?.setPanning(ringIndex, value);
 }
 
 /** Set a send value on the track at ring index. */
@@ -134,26 +563,145 @@ export function ringSetSend(
   ringIndex: number,
   sendIndex: number,
   value: number,
+  ring?: string,
+) {
+  getRing(ring)?.setSend(ringIndex, sendIndex, value);
+}
+
+/** Fire the clip slot at (ringIndex, sceneIndex) within the ring. */
+export function ringLaunchClip(
+  ringIndex: number,
+  sceneIndex: number,
+  ring?: string,
 ) {
-  ringManager?.setSend(ringIndex, sendIndex, value);
+  getRing(ring)?.launchClip(ringIndex, sceneIndex);
+}
+
+/** Fire the scene at a ring row. */
+export function ringLaunchScene(sceneIndex: number, ring?: string) {
+  getRing(ring)?.launchScene(sceneIndex);
+}
+
+/** Stop all playing clips in the set. */
+export function ringStopAllClips(ring?: string) {
+  getRing(ring)?.stopAllClips();
 }
 
 /** Select the track at ring index in Ableton (without moving the ring). */
-export function ringSelectTrack(ringIndex: number) {
-  ringManager?.selectTrackInRing(ringIndex);
+export function ringSelectTrack(ringIndex: number, ring?: string) {
+  getRing(ring)?.selectTrackInRing(ringIndex);
+}
+
+/** Cycle monitoring (In/Auto/Off) on the track at ring index. */
+export function ringCycleMonitoring(ringIndex: number, ring?: string) {
+  getRing(ring)?.cycleMonitoring(ringIndex);
+}
+
+/** Set the input routing type of the track at ring index (index into RT_ROUTING inputOptions). */
+export function ringSetInputRouting(
+  ringIndex: number,
+  optionIndex: number,
+  ring?: string,
+) {
+  getRing(ring)?.setInputRouting(ringIndex, optionIndex);
+}
+
+/** Set the input channel of the track at ring index (index into RT_ROUTING channelOptions). */
+export function ringSetInputChannel(
+  ringIndex: number,
+  optionIndex: number,
+  ring?: string,
+) {
+  getRing(ring)?.setInputChannel(ringIndex, optionIndex);
+}
+
+/** Assign the track at ring index to crossfader side "A", "B" or "none". */
+export function ringSetXfadeAssign(
+  ringIndex: number,
+  side: XfadeAssign,
+  ring?: string,
+) {
+  getRing(ring)?.setXfadeAssign(ringIndex, side);
+}
+
+/** Fold or unfold the group track at ring index. */
+export async function ringToggleFold(ringIndex: number, ring?: string) {
+  await getRing(ring)?.toggleFold(ringIndex);
+}
+
+/** Scope the ring to the children of the group track at ring index. */
+export async function ringEnterGroup(ringIndex: number, ring?: string) {
+  await getRing(ring)?.enterGroup(ringIndex);
+}
+
+/** Leave the innermost entered group. */
+export async function ringExitGroup(ring?: string) {
+  await getRing(ring)?.exitGroup();
+}
+
+/** Create an audio, MIDI or return track at Live's track index (-1 appends). */
+export async function trackCreate(
+  kind: "audio" | "midi" | "return",
+  index?: number,
+) {
+  await getRing()?.createTrack(kind, index);
+}
+
+/** Duplicate the track at ring index. */
+export async function trackDuplicate(ringIndex: number, ring?: string) {
+  await getRing(ring)?.duplicateTrack(ringIndex);
+}
+
+/** Delete the track at ring index. */
+export async function trackDelete(ringIndex: number, ring?: string) {
+  await getRing(ring)?.deleteTrack(ringIndex);
+}
+
+/** Rename the track at ring index. */
+export async function trackRename(
+  ringIndex: number,
+  name: string,
+  ring?: string,
+) {
+  await getRing(ring)?.renameTrack(ringIndex, name);
+}
+
+/** Set the palette color of the track at ring index. */
+export async function trackSetColor(
+  ringIndex: number,
+  colorIndex: number,
+  ring?: string,
+) {
+  await getRing(ring)?.setTrackColor(ringIndex, colorIndex);
 }
 
 /** Set the active property mode ("volume", "panning", "send:N"). */
-export function ringSetActiveProperty(property: string) {
-  ringManager?.setActiveProperty(property);
+export function ringSetActiveProperty(property: string, ring?: string) {
+  getRing(ring)?.setActiveProperty(property);
 }
 
 /** Set the active property's value from a raw 8-bit Grid value (0–255). */
 export function ringSetActivePropertyValue(
   ringIndex: number,
   rawValue: number,
+  ring?: string,
 ) {
-  ringManager?.setActivePropertyValue(ringIndex, rawValue);
+  getRing(ring)?.setActivePropertyValue(ringIndex, rawValue);
+}
+
+/** Set how absolute controls take over values: "jump", "pickup" or "value-scaling". */
+export function ringSetTakeover(mode: TakeoverMode, ring?: string) {
+  getRing(ring)?.setTakeoverMode(mode);
+}
+
+/** Set how the ring follows the selected track: off, edge, center or page. */
+export function ringSetFollowMode(mode: FollowMode, ring?: string) {
+  getRing(ring)?.setFollowMode(mode);
+}
+
+/** Enable or disable selecting the ring's first track on left/right moves. */
+export function ringSetSelectFollowsRing(on: boolean | number, ring?: string) {
+  getRing(ring)?.setSelectFollowsRing(!!on);
 }
 
 /** Adjust the active property by a relative delta (for encoders in relative mode).
@@ -162,26 +710,131 @@ export function ringAdjustActivePropertyValue(
   ringIndex: number,
   delta: number,
   stepSize?: number,
+  ring?: string,
 ) {
-  ringManager?.adjustActivePropertyValue(ringIndex, delta, stepSize);
+  getRing(ring)?.adjustActivePropertyValue(
+    ringIndex,
+    delta,
+    stepSize ?? settings.stepSize,
+  );
 }
 
 /** Adjust the last-selected parameter in Ableton by a relative delta. */
 export function adjustSelectedParameter(delta: number, stepSize?: number) {
-  ringManager?.adjustSelectedParameter(delta, stepSize);
+  selectionManager.adjustParameter(delta, stepSize ?? settings.stepSize);
+}
+
+/**
+ * Enable or disable fine mode: while on, every relative adjustment moves
+ * in smaller steps (quantized parameters still move one choice per click).
+ */
+export function setFineMode(on: boolean | number) {
+  acceleration.setFineMode(!!on);
 }
 
 /** Reset the selected parameter to its default value. */
 export function resetSelectedParameter() {
-  ringManager?.resetSelectedParameter();
+  selectionManager.resetParameter();
 }
 
 /** Reset the active property to its default on the track at ring index. */
-export function ringResetActiveProperty(ringIndex: number) {
-  ringManager?.resetActivePropertyValue(ringIndex);
+export function ringResetActiveProperty(ringIndex: number, ring?: string) {
+  getRing(ring)?.resetActivePropertyValue(ringIndex);
+}
+
+// ---------------------------------------------------------------------------
+// Device bank exports
+// ---------------------------------------------------------------------------
+
+/** Adjust the parameter at a bank slot by a relative delta. */
+export function deviceParamAdjust(
+  slot: number,
+  delta: number,
+  stepSize?: number,
+) {
+  deviceManager?.adjustParam(slot, delta, stepSize ?? settings.stepSize);
+}
+
+/** Set the parameter at a bank slot from a raw 8-bit Grid value (0–255). */
+export function deviceParamSet(slot: number, rawValue: number) {
+  deviceManager?.setParam(slot, rawValue);
+}
+
+/** Move to the previous/next parameter bank of the selected device. */
+export async function deviceBankNavigate(direction: "left" | "right") {
+  await deviceManager?.navigateBank(direction);
 }
 
-/** Request a full state dump (ring tracks, selected track, selected parameter). */
+/** Set the number of parameters per device bank. */
+export async function deviceSetBankSize(size: number) {
+  await deviceManager?.setBankSize(size);
+}
+
+/** Select the previous/next device on the selected track. */
+export function deviceNavigate(direction: "left" | "right") {
+  deviceManager?.navigateDevice(direction);
+}
+
+/** Toggle the selected device on/off. */
+export function deviceToggleActive() {
+  deviceManager?.toggleActive();
+}
+
+/** Show the chains of the selected rack device in Live's mixer (no chain navigation). */
+export async function deviceEnterRack() {
+  await deviceManager?.enterRack();
+}
+
+/** Hide the chains of the selected rack device in Live's mixer. */
+export function deviceExitRack() {
+  deviceManager?.exitRack();
+}
+
+// ---------------------------------------------------------------------------
+// Return tracks and master strip
+// ---------------------------------------------------------------------------
+
+/** Set the volume of a return track (0..1). */
+export function returnSetVolume(returnIndex: number, value: number) {
+  mixerManager?.setReturnVolume(returnIndex, value);
+}
+
+/** Toggle mute on a return track. */
+export function returnToggleMute(returnIndex: number) {
+  mixerManager?.toggleReturnMute(returnIndex);
+}
+
+/** Set the master volume (0..1). */
+export function masterSetVolume(value: number) {
+  mixerManager?.setMasterVolume(value);
+}
+
+/** Adjust the master volume by a relative delta. */
+export function masterAdjustVolume(delta: number, stepSize?: number) {
+  mixerManager?.adjustMasterVolume(delta, stepSize ?? settings.stepSize);
+}
+
+/** Adjust the cue (preview) volume by a relative delta. */
+export function cueAdjustVolume(delta: number, stepSize?: number) {
+  mixerManager?.adjustCueVolume(delta, stepSize ?? settings.stepSize);
+}
+
+/** Set the crossfader from a raw Grid value (0–255, A..B). */
+export function crossfaderSet(rawValue: number) {
+  mixerManager?.setCrossfader(rawValue);
+}
+
+/** Adjust the crossfader by a relative delta. */
+export function crossfaderAdjust(delta: number, stepSize?: number) {
+  mixerManager?.adjustCrossfader(delta, stepSize ?? settings.stepSize);
+}
+
+/** Request a full state dump (ring, selected track/parameter, device bank, transport, returns, master). */
 export async function requestFullState() {
-  await ringManager?.requestFullState();
+  for (const ring of rings.values()) {
+    await ring.requestFullState();
+  }
+  deviceManager?.requestFullState();
+  transportManager?.requestFullState();
+  mixerManager?.requestFullState();
 }
@@ -0,0 +1,54 @@
+"use strict";
+/**
+ * Package logger — the managers, the connection supervisor and ableton-js
+ * log through this instead of the global console, so the log-level setting
+ * only affects this package and not the rest of the host process.
+ *
+ * Warnings and errors are also handed to listeners (the diagnostics panel's
+ * error log) whatever the level.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.logger = exports.Logger = exports.LOG_LEVELS = void 0;
+exports.LOG_LEVELS = ["debug", "info", "warn", "error", "off"];
+class Logger {
+    constructor() {
+        this.level = "info";
+        this.listeners = new Set();
+        this.debug = (...args) => {
+            if (this.enabled("debug"))
+                console.debug(...args);
+        };
+        this.info = (...args) => {
+            if (this.enabled("info"))
+                console.info(...args);
+        };
+        this.warn = (...args) => {
+            this.notify("warn", args);
+            if (this.enabled("warn"))
+                console.warn(...args);
+        };
+        this.error = (...args) => {
+            this.notify("error", args);
+            if (this.enabled("error"))
+                console.error(...args);
+        };
+    }
+    /** Drop output below `level` ("off" drops all). */
+    setLevel(level) {
+        this.level = level;
+    }
+    /** Receive every warning and error. Returns a function that unsubscribes. */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    enabled(level) {
+        return exports.LOG_LEVELS.indexOf(level) >= exports.LOG_LEVELS.indexOf(this.level);
+    }
+    notify(level, args) {
+        this.listeners.forEach((listener) => listener(level, args));
+    }
+}
+exports.Logger = Logger;
+/** The package-wide logger. */
+exports.logger = new Logger();
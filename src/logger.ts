@@ -0,0 +1,59 @@
+/**
+ * Package logger — the managers, the connection supervisor and ableton-js
+ * log through this instead of the global console, so the log-level setting
+ * only affects this package and not the rest of the host process.
+ *
+ * Warnings and errors are also handed to listeners (the diagnostics panel's
+ * error log) whatever the level.
+ */
+
+export type LogLevel = "debug" | "info" | "warn" | "error" | "off";
+
+export const LOG_LEVELS: LogLevel[] = ["debug", "info", "warn", "error", "off"];
+
+export type LogListener = (level: "warn" | "error", args: any[]) => void;
+
+export class Logger {
+  private level: LogLevel = "info";
+  private listeners = new Set<LogListener>();
+
+  /** Drop output below `level` ("off" drops all). */
+  setLevel(level: LogLevel): void {
+    this.level = level;
+  }
+
+  /** Receive every warning and error. Returns a function that unsubscribes. */
+  addListener(listener: LogListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  debug = (...args: any[]): void => {
+    if (this.enabled("debug")) console.debug(...args);
+  };
+
+  info = (...args: any[]): void => {
+    if (this.enabled("info")) console.info(...args);
+  };
+
+  warn = (...args: any[]): void => {
+    this.notify("warn", args);
+    if (this.enabled("warn")) console.warn(...args);
+  };
+
+  error = (...args: any[]): void => {
+    this.notify("error", args);
+    if (this.enabled("error")) console.error(...args);
+  };
+
+  private enabled(level: LogLevel): boolean {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  private notify(level: "warn" | "error", args: any[]): void {
+    this.listeners.forEach((listener) => listener(level, args));
+  }
+}
+
+/** The package-wide logger. */
+export const logger = new Logger();
@@ -0,0 +1,194 @@
+"use strict";
+/**
+ * Lua serializer — turns event payloads into Lua table constructors that
+ * are always valid and can't break out of the surrounding script, whatever
+ * the user named their tracks and clips.
+ *
+ *   - Strings are double-quoted with every special character escaped;
+ *     control characters become decimal escapes (`\ddd`), and so does `?`
+ *     so a name containing `?>` can't end the `<?lua ... ?>` wrapper that
+ *     immediate scripts are sent in.
+ *   - Non-ASCII text is transliterated to ASCII (accents stripped, common
+ *     symbols replaced) since module displays only render ASCII; anything
+ *     left over becomes "?". Strings are then truncated to `maxLength`.
+ *   - NaN becomes 0 and ±Infinity is clamped to ±2^31-1.
+ *   - `undefined`, functions and symbols become `nil` (and are skipped as
+ *     table fields). Reserved words and non-identifier keys are bracketed.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toLua = toLua;
+exports.toAscii = toAscii;
+const LUA_INT_MAX = 2147483647;
+/** Nesting depth after which values are replaced with nil. */
+const MAX_DEPTH = 16;
+/** Combining accents left over after NFKD decomposition. */
+const COMBINING_MARK = /[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\u3099-\u309a\ufe20-\ufe2f]/;
+const LUA_KEYWORDS = new Set([
+    "and",
+    "break",
+    "do",
+    "else",
+    "elseif",
+    "end",
+    "false",
+    "for",
+    "function",
+    "goto",
+    "if",
+    "in",
+    "local",
+    "nil",
+    "not",
+    "or",
+    "repeat",
+    "return",
+    "then",
+    "true",
+    "until",
+    "while",
+]);
+/** Characters NFKD decomposition doesn't reduce to ASCII. */
+const TRANSLITERATIONS = {
+    ß: "ss",
+    æ: "ae",
+    Æ: "AE",
+    œ: "oe",
+    Œ: "OE",
+    ø: "o",
+    Ø: "O",
+    đ: "d",
+    Đ: "D",
+    ł: "l",
+    Ł: "L",
+    þ: "th",
+    Þ: "TH",
+    ð: "d",
+    Ð: "D",
+    "‘": "'",
+    "’": "'",
+    "‚": "'",
+    "“": '"',
+    "”": '"',
+    "„": '"',
+    "–": "-",
+    "—": "-",
+    "…": "...",
+    "•": "*",
+    "×": "x",
+    "÷": "/",
+    "°": "o",
+    "♯": "#",
+    "♭": "b",
+    " ": " ",
+};
+/** Serialize a value as a Lua expression. */
+function toLua(value, options = {}) {
+    return serialize(value, options, 0);
+}
+/**
+ * Reduce a string to printable ASCII and truncate it to `maxLength`
+ * characters (0 = unlimited). Control characters are kept so that the
+ * string escaping can show them as escapes.
+ */
+function toAscii(text, maxLength = 0) {
+    let out = "";
+    for (const char of text.normalize("NFKD")) {
+        const code = char.charCodeAt(0);
+        if (code < 0x80) {
+            out += char;
+        }
+        else if (TRANSLITERATIONS[char] !== undefined) {
+            out += TRANSLITERATIONS[char];
+        }
+        else if (COMBINING_MARK.test(char)) {
+            // Combining accent left over from decomposition — drop it
+        }
+        else {
+            out += "?";
+        }
+    }
+    return maxLength > 0 && out.length > maxLength
+        ? out.slice(0, maxLength)
+        : out;
+}
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function serialize(value, options, depth) {
+    var _a;
+    switch (typeof value) {
+        case "string":
+            return quote(toAscii(value, (_a = options.maxLength) !== null && _a !== void 0 ? _a : 0));
+        case "number":
+            return number(value);
+        case "bigint":
+            return number(Number(value));
+        case "boolean":
+            return value ? "true" : "false";
+        case "object":
+            if (value === null || depth >= MAX_DEPTH)
+                return "nil";
+            return table(value, options, depth);
+        default:
+            return "nil";
+    }
+}
+function table(value, options, depth) {
+    const items = [];
+    if (Array.isArray(value)) {
+        for (const item of value)
+            items.push(serialize(item, options, depth + 1));
+    }
+    else {
+        for (const [key, item] of Object.entries(value)) {
+            if (!isSerializable(item))
+                continue;
+            items.push(`${luaKey(key)} = ${serialize(item, options, depth + 1)}`);
+        }
+    }
+    if (items.length === 0)
+        return "{}";
+    if (!options.pretty)
+        return `{${items.join(",")}}`;
+    const spaces = "  ".repeat(depth);
+    return `{\n${items.map((item) => `${spaces}  ${item}`).join(",\n")}\n${spaces}}`;
+}
+function isSerializable(value) {
+    return (value !== undefined &&
+        typeof value !== "function" &&
+        typeof value !== "symbol");
+}
+function luaKey(key) {
+    return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) && !LUA_KEYWORDS.has(key)
+        ? key
+        : `[${quote(toAscii(key))}]`;
+}
+function number(value) {
+    if (Number.isNaN(value))
+        return "0";
+    if (!Number.isFinite(value))
+        return value > 0 ? `${LUA_INT_MAX}` : `-${LUA_INT_MAX}`;
+    return String(value);
+}
+function quote(text) {
+    let out = '"';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (char === "\\")
+            out += "\\\\";
+        else if (char === '"')
+            out += '\\"';
+        else if (char === "\n")
+            out += "\\n";
+        else if (char === "\r")
+            out += "\\r";
+        else if (char === "\t")
+            out += "\\t";
+        else if (code < 0x20 || code === 0x7f || char === "?") {
+            out += "\\" + String(code).padStart(3, "0");
+        }
+        else
+            out += char;
+    }
+    return out + '"';
+}
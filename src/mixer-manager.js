@@ -0,0 +1,324 @@
+"use strict";
+/**
+ * MixerManager — exposes the return tracks and the master strip, which live
+ * outside the session ring, so Grid can run a full mixer.
+ *
+ * All return tracks are subscribed (sets rarely have more than a handful);
+ * the return index `i` is the position in `song.return_tracks`.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_RETURN", i: returnIndex, name, color: [r, g, b], vol, pan, mute }
+ *   { evt: "RT_MASTER", vol, pan, cue_vol, crossfader }  — crossfader is -1 (A) .. 1 (B)
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MixerManager = void 0;
+const subscription_group_1 = require("./subscription-group");
+const ring_manager_1 = require("./ring-manager");
+const logger_1 = require("./logger");
+// ---------------------------------------------------------------------------
+// MixerManager
+// ---------------------------------------------------------------------------
+class MixerManager {
+    constructor(ableton, sendMessage) {
+        /** Listeners on return tracks — keyed "return:{id}:volume", "return:{id}:mute", etc. */
+        this.returnSubs = new subscription_group_1.SubscriptionGroup("mixer-returns");
+        /** Master strip and song-level listeners — keyed "master:volume", "song:return_tracks", etc. */
+        this.globalSubs = new subscription_group_1.SubscriptionGroup("mixer-global");
+        /** Return track IDs in return-index order. */
+        this.returnIds = [];
+        /** Per-return state cache. */
+        this.returnStates = new Map();
+        /** Cached master mixer parameters. */
+        this.masterVolume = null;
+        this.masterPanning = null;
+        this.masterCueVolume = null;
+        this.masterCrossfader = null;
+        /** Cached master state. */
+        this.master = {
+            volume: 0,
+            panning: 0,
+            cueVolume: 0,
+            crossfader: 0,
+        };
+        this.ableton = ableton;
+        this.sendMessage = sendMessage;
+    }
+    // -----------------------------------------------------------------------
+    // Lifecycle
+    // -----------------------------------------------------------------------
+    /**
+     * Initialize: subscribe the master strip and all return tracks, and
+     * re-subscribe the returns whenever they are added or removed.
+     */
+    init() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.subscribeMaster();
+            yield this.globalSubs.add("song:return_tracks", yield this.ableton.song.addListener("return_tracks", () => __awaiter(this, void 0, void 0, function* () {
+                try {
+                    yield this.subscribeReturns();
+                }
+                catch (err) {
+                    logger_1.logger.warn("[MixerManager] Error handling return_tracks change:", err);
+                }
+            })));
+            yield this.subscribeReturns();
+        });
+    }
+    /**
+     * Clean up all listeners managed by this MixerManager.
+     */
+    destroy() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.returnSubs.clear();
+            yield this.globalSubs.clear();
+            this.returnIds = [];
+            this.returnStates.clear();
+            this.masterVolume = null;
+            this.masterPanning = null;
+            this.masterCueVolume = null;
+            this.masterCrossfader = null;
+        });
+    }
+    /** Number of active subscriptions per SubscriptionGroup. */
+    getSubscriptionCounts() {
+        return (0, subscription_group_1.countSubscriptions)([this.returnSubs, this.globalSubs]);
+    }
+    // -----------------------------------------------------------------------
+    // Master strip
+    // -----------------------------------------------------------------------
+    subscribeMaster() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const masterTrack = yield this.ableton.song.get("master_track");
+            const mixer = yield masterTrack.get("mixer_device");
+            const [volume, panning, cueVolume, crossfader] = yield Promise.all([
+                mixer.get("volume"),
+                mixer.get("panning"),
+                mixer.get("cue_volume"),
+                mixer.get("crossfader"),
+            ]);
+            this.masterVolume = volume;
+            this.masterPanning = panning;
+            this.masterCueVolume = cueVolume;
+            this.masterCrossfader = crossfader;
+            this.master.volume = volume.raw.value;
+            this.master.panning = panning.raw.value;
+            this.master.cueVolume = cueVolume.raw.value;
+            this.master.crossfader = crossfader.raw.value;
+            yield this.globalSubs.add("master:volume", yield volume.addListener("value", (v) => {
+                this.master.volume = v;
+                this.sendMasterState();
+            }));
+            yield this.globalSubs.add("master:panning", yield panning.addListener("value", (v) => {
+                this.master.panning = v;
+                this.sendMasterState();
+            }));
+            yield this.globalSubs.add("master:cue_volume", yield cueVolume.addListener("value", (v) => {
+                this.master.cueVolume = v;
+                this.sendMasterState();
+            }));
+            yield this.globalSubs.add("master:crossfader", yield crossfader.addListener("value", (v) => {
+                this.master.crossfader = v;
+                this.sendMasterState();
+            }));
+            this.sendMasterState();
+        });
+    }
+    // -----------------------------------------------------------------------
+    // Return tracks
+    // -----------------------------------------------------------------------
+    /**
+     * Tear down and rebuild all return track listeners. Returns are few and
+     * change rarely, so no diffing is needed.
+     */
+    subscribeReturns() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.returnSubs.clear();
+            this.returnStates.clear();
+            const returns = yield this.ableton.song.get("return_tracks");
+            this.returnIds = returns.map((t) => t.raw.id);
+            for (const track of returns) {
+                try {
+                    yield this.subscribeReturn(track);
+                }
+                catch (err) {
+                    logger_1.logger.warn(`[MixerManager] Failed to subscribe to return track ${track.raw.id}:`, err);
+                }
+            }
+            this.sendReturnSync();
+        });
+    }
+    subscribeReturn(track) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a, _b, _c, _d;
+            const id = track.raw.id;
+            const mixer = yield track.get("mixer_device");
+            const [name, mute, volumeParam, panningParam] = yield Promise.all([
+                track.get("name"),
+                track.get("mute"),
+                mixer.get("volume"),
+                mixer.get("panning"),
+            ]);
+            const state = {
+                id,
+                track,
+                name: name !== null && name !== void 0 ? name : "",
+                color: (0, ring_manager_1.hexToRgb)(track.raw.color),
+                volume: (_b = (_a = volumeParam === null || volumeParam === void 0 ? void 0 : volumeParam.raw) === null || _a === void 0 ? void 0 : _a.value) !== null && _b !== void 0 ? _b : 0,
+                panning: (_d = (_c = panningParam === null || panningParam === void 0 ? void 0 : panningParam.raw) === null || _c === void 0 ? void 0 : _c.value) !== null && _d !== void 0 ? _d : 0,
+                mute: !!mute,
+                volumeParam: volumeParam !== null && volumeParam !== void 0 ? volumeParam : null,
+                panningParam: panningParam !== null && panningParam !== void 0 ? panningParam : null,
+            };
+            this.returnStates.set(id, state);
+            yield this.returnSubs.add(`return:${id}:name`, yield track.addListener("name", (value) => {
+                state.name = value !== null && value !== void 0 ? value : "";
+                this.sendReturnState(state);
+            }));
+            yield this.returnSubs.add(`return:${id}:color`, yield track.addListener("color", (value) => {
+                state.color = (0, ring_manager_1.colorToRgb)(value);
+                this.sendReturnState(state);
+            }));
+            yield this.returnSubs.add(`return:${id}:mute`, yield track.addListener("mute", (value) => {
+                state.mute = !!value;
+                this.sendReturnState(state);
+            }));
+            if (volumeParam) {
+                yield this.returnSubs.add(`return:${id}:volume`, yield volumeParam.addListener("value", (v) => {
+                    state.volume = v;
+                    this.sendReturnState(state);
+                }));
+            }
+            if (panningParam) {
+                yield this.returnSubs.add(`return:${id}:panning`, yield panningParam.addListener("value", (v) => {
+                    state.panning = v;
+                    this.sendReturnState(state);
+                }));
+            }
+        });
+    }
+    // -----------------------------------------------------------------------
+    // Commands (called from Grid)
+    // -----------------------------------------------------------------------
+    /**
+     * Set the volume of a return track (0..1).
+     * Fire-and-forget — the listener callback will update cache and notify Grid.
+     */
+    setReturnVolume(returnIndex, value) {
+        const state = this.returnStates.get(this.returnIds[returnIndex]);
+        if (!state || !state.volumeParam)
+            return;
+        state.volumeParam
+            .set("value", clamp(value, 0, 1))
+            .catch((err) => logger_1.logger.warn("[MixerManager] Failed to set return volume:", err));
+    }
+    /**
+     * Toggle mute on a return track.
+     * Fire-and-forget — the listener callback will update cache and notify Grid.
+     */
+    toggleReturnMute(returnIndex) {
+        const state = this.returnStates.get(this.returnIds[returnIndex]);
+        if (!state)
+            return;
+        state.track
+            .set("mute", !state.mute)
+            .catch((err) => logger_1.logger.warn("[MixerManager] Failed to toggle return mute:", err));
+    }
+    /** Set the master volume (0..1). */
+    setMasterVolume(value) {
+        var _a;
+        (_a = this.masterVolume) === null || _a === void 0 ? void 0 : _a.set("value", clamp(value, 0, 1)).catch((err) => logger_1.logger.warn("[MixerManager] Failed to set master volume:", err));
+    }
+    /**
+     * Adjust the master volume by a relative delta.
+     *
+     * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+     * @param stepSize - Defaults to 1/127 (~0.8% of full range).
+     */
+    adjustMasterVolume(delta, stepSize = 1 / 127) {
+        this.setMasterVolume(this.master.volume + delta * stepSize);
+    }
+    /**
+     * Adjust the cue (preview) volume by a relative delta.
+     *
+     * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+     * @param stepSize - Defaults to 1/127 (~0.8% of full range).
+     */
+    adjustCueVolume(delta, stepSize = 1 / 127) {
+        var _a;
+        (_a = this.masterCueVolume) === null || _a === void 0 ? void 0 : _a.set("value", clamp(this.master.cueVolume + delta * stepSize, 0, 1)).catch((err) => logger_1.logger.warn("[MixerManager] Failed to set cue volume:", err));
+    }
+    /**
+     * Set the crossfader from a raw 8-bit Grid value (0–255), mapped to the
+     * parameter's -1..1 range (0 = full A, 255 = full B).
+     */
+    setCrossfader(rawValue) {
+        var _a;
+        const norm = clamp(rawValue, 0, 255) / 255;
+        (_a = this.masterCrossfader) === null || _a === void 0 ? void 0 : _a.set("value", -1 + norm * 2).catch((err) => logger_1.logger.warn("[MixerManager] Failed to set crossfader:", err));
+    }
+    /**
+     * Adjust the crossfader by a relative delta.
+     *
+     * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+     * @param stepSize - Fraction of the full A..B range per step. Defaults to
+     *                   1/127 (~0.8% of full range).
+     */
+    adjustCrossfader(delta, stepSize = 1 / 127) {
+        var _a;
+        (_a = this.masterCrossfader) === null || _a === void 0 ? void 0 : _a.set("value", clamp(this.master.crossfader + delta * stepSize * 2, -1, 1)).catch((err) => logger_1.logger.warn("[MixerManager] Failed to set crossfader:", err));
+    }
+    /** Push the master strip and every return track to Grid. */
+    requestFullState() {
+        this.sendMasterState();
+        this.sendReturnSync();
+    }
+    // -----------------------------------------------------------------------
+    // State sync to Grid
+    // -----------------------------------------------------------------------
+    sendReturnState(state) {
+        const i = this.returnIds.indexOf(state.id);
+        if (i === -1)
+            return;
+        this.sendMessage({
+            evt: "RT_RETURN",
+            i,
+            name: state.name,
+            color: state.color,
+            vol: state.volume,
+            pan: state.panning,
+            mute: state.mute,
+        });
+    }
+    sendReturnSync() {
+        for (const id of this.returnIds) {
+            const state = this.returnStates.get(id);
+            if (state)
+                this.sendReturnState(state);
+        }
+    }
+    sendMasterState() {
+        this.sendMessage({
+            evt: "RT_MASTER",
+            vol: this.master.volume,
+            pan: this.master.panning,
+            cue_vol: this.master.cueVolume,
+            crossfader: this.master.crossfader,
+        });
+    }
+}
+exports.MixerManager = MixerManager;
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
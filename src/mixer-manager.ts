@@ -0,0 +1,422 @@
+/**
+ * MixerManager — exposes the return tracks and the master strip, which live
+ * outside the session ring, so Grid can run a full mixer.
+ *
+ * All return tracks are subscribed (sets rarely have more than a handful);
+ * the return index `i` is the position in `song.return_tracks`.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_RETURN", i: returnIndex, name, color: [r, g, b], vol, pan, mute }
+ *   { evt: "RT_MASTER", vol, pan, cue_vol, crossfader }  — crossfader is -1 (A) .. 1 (B)
+ */
+
+import { Ableton } from "ableton-js";
+import { Track } from "ableton-js/ns/track";
+import { DeviceParameter } from "ableton-js/ns/device-parameter";
+import { SubscriptionGroup, countSubscriptions } from "./subscription-group";
+import { SendMessageFn, colorToRgb, hexToRgb } from "./ring-manager";
+import { logger } from "./logger";
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface ReturnTrackState {
+  id: string;
+  track: Track;
+  name: string;
+  color: [number, number, number];
+  volume: number;
+  panning: number;
+  mute: boolean;
+  volumeParam: DeviceParameter | null;
+  panningParam: DeviceParameter | null;
+}
+
+export interface MasterState {
+  volume: number;
+  panning: number;
+  cueVolume: number;
+  crossfader: number;
+}
+
+// ---------------------------------------------------------------------------
+// MixerManager
+// ---------------------------------------------------------------------------
+
+export class MixerManager {
+  private ableton: Ableton;
+  private sendMessage: SendMessageFn;
+
+  /** Listeners on return tracks — keyed "return:{id}:volume", "return:{id}:mute", etc. */
+  private returnSubs = new SubscriptionGroup("mixer-returns");
+
+  /** Master strip and song-level listeners — keyed "master:volume", "song:return_tracks", etc. */
+  private globalSubs = new SubscriptionGroup("mixer-global");
+
+  /** Return track IDs in return-index order. */
+  private returnIds: string[] = [];
+
+  /** Per-return state cache. */
+  private returnStates = new Map<string, ReturnTrackState>();
+
+  /** Cached master mixer parameters. */
+  private masterVolume: DeviceParameter | null = null;
+  private masterPanning: DeviceParameter | null = null;
+  private masterCueVolume: DeviceParameter | null = null;
+  private masterCrossfader: DeviceParameter | null = null;
+
+  /** Cached master state. */
+  private master: MasterState = {
+    volume: 0,
+    panning: 0,
+    cueVolume: 0,
+    crossfader: 0,
+  };
+
+  constructor(ableton: Ableton, sendMessage: SendMessageFn) {
+    this.ableton = ableton;
+    this.sendMessage = sendMessage;
+  }
+
+  // -----------------------------------------------------------------------
+  // Lifecycle
+  // -----------------------------------------------------------------------
+
+  /**
+   * Initialize: subscribe the master strip and all return tracks, and
+   * re-subscribe the returns whenever they are added or removed.
+   */
+  async init(): Promise<void> {
+    await this.subscribeMaster();
+
+    await this.globalSubs.add(
+      "song:return_tracks",
+      await this.ableton.song.addListener("return_tracks", async () => {
+        try {
+          await this.subscribeReturns();
+        } catch (err) {
+          logger.warn(
+            "[MixerManager] Error handling return_tracks change:",
+            err,
+          );
+        }
+      }),
+    );
+
+    await this.subscribeReturns();
+  }
+
+  /**
+   * Clean up all listeners managed by this MixerManager.
+   */
+  async destroy(): Promise<void> {
+    await this.returnSubs.clear();
+    await this.globalSubs.clear();
+    this.returnIds = [];
+    this.returnStates.clear();
+    this.masterVolume = null;
+    this.masterPanning = null;
+    this.masterCueVolume = null;
+    this.masterCrossfader = null;
+  }
+
+  /** Number of active subscriptions per SubscriptionGroup. */
+  getSubscriptionCounts(): { [group: string]: number } {
+    return countSubscriptions([this.returnSubs, this.globalSubs]);
+  }
+
+  // -----------------------------------------------------------------------
+  // Master strip
+  // -----------------------------------------------------------------------
+
+  private async subscribeMaster(): Promise<void> {
+    const masterTrack = await this.ableton.song.get("master_track");
+    const mixer = await masterTrack.get("mixer_device");
+
+    const [volume, panning, cueVolume, crossfader] = await Promise.all([
+      mixer.get("volume"),
+      mixer.get("panning"),
+      mixer.get("cue_volume"),
+      mixer.get("crossfader"),
+    ]);
+    this.masterVolume = volume;
+    this.masterPanning = panning;
+    this.masterCueVolume = cueVolume;
+    this.masterCrossfader = crossfader;
+
+    this.master.volume = volume.raw.value;
+    this.master.panning = panning.raw.value;
+    this.master.cueVolume = cueVolume.raw.value;
+    this.master.crossfader = crossfader.raw.value;
+
+    await this.globalSubs.add(
+      "master:volume",
+      await volume.addListener("value", (v: number) => {
+        this.master.volume = v;
+        this.sendMasterState();
+      }),
+    );
+    await this.globalSubs.add(
+      "master:panning",
+      await panning.addListener("value", (v: number) => {
+        this.master.panning = v;
+        this.sendMasterState();
+      }),
+    );
+    await this.globalSubs.add(
+      "master:cue_volume",
+      await cueVolume.addListener("value", (v: number) => {
+        this.master.cueVolume = v;
+        this.sendMasterState();
+      }),
+    );
+    await this.globalSubs.add(
+      "master:crossfader",
+      await crossfader.addListener("value", (v: number) => {
+        this.master.crossfader = v;
+        this.sendMasterState();
+      }),
+    );
+
+    this.sendMasterState();
+  }
+
+  // -----------------------------------------------------------------------
+  // Return tracks
+  // -----------------------------------------------------------------------
+
+  /**
+   * Tear down and rebuild all return track listeners. Returns are few and
+   * change rarely, so no diffing is needed.
+   */
+  private async subscribeReturns(): Promise<void> {
+    await this.returnSubs.clear();
+    this.returnStates.clear();
+
+    const returns = await this.ableton.song.get("return_tracks");
+    this.returnIds = returns.map((t) => t.raw.id);
+
+    for (const track of returns) {
+      try {
+        await this.subscribeReturn(track);
+      } catch (err) {
+        logger.warn(
+          `[MixerManager] Failed to subscribe to return track ${track.raw.id}:`,
+          err,
+        );
+      }
+    }
+
+    this.sendReturnSync();
+  }
+
+  private async subscribeReturn(track: Track): Promise<void> {
+    const id = track.raw.id;
+    const mixer = await track.get("mixer_device");
+    const [name, mute, volumeParam, panningParam] = await Promise.all([
+      track.get("name"),
+      track.get("mute"),
+      mixer.get("volume"),
+      mixer.get("panning"),
+    ]);
+
+    const state: ReturnTrackState = {
+      id,
+      track,
+      name: name ?? "",
+      color: hexToRgb(track.raw.color),
+      volume: volumeParam?.raw?.value ?? 0,
+      panning: panningParam?.raw?.value ?? 0,
+      mute: !!mute,
+      volumeParam: volumeParam ?? null,
+      panningParam: panningParam ?? null,
+    };
+    this.returnStates.set(id, state);
+
+    await this.returnSubs.add(
+      `return:${id}:name`,
+      await track.addListener("name", (value) => {
+        state.name = value ?? "";
+        this.sendReturnState(state);
+      }),
+    );
+    await this.returnSubs.add(
+      `return:${id}:color`,
+      await track.addListener("color", (value: any) => {
+        state.color = colorToRgb(value);
+        this.sendReturnState(state);
+      }),
+    );
+    await this.returnSubs.add(
+      `return:${id}:mute`,
+      await track.addListener("mute", (value) => {
+        state.mute = !!value;
+        this.sendReturnState(state);
+      }),
+    );
+    if (volumeParam) {
+      await this.returnSubs.add(
+        `return:${id}:volume`,
+        await volumeParam.addListener("value", (v: number) => {
+          state.volume = v;
+          this.sendReturnState(state);
+        }),
+      );
+    }
+    if (panningParam) {
+      await this.returnSubs.add(
+        `return:${id}:panning`,
+        await panningParam.addListener("value", (v: number) => {
+          state.panning = v;
+          this.sendReturnState(state);
+        }),
+      );
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Commands (called from Grid)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Set the volume of a return track (0..1).
+   * Fire-and-forget — the listener callback will update cache and notify Grid.
+   */
+  setReturnVolume(returnIndex: number, value: number): void {
+    const state = this.returnStates.get(this.returnIds[returnIndex]);
+    if (!state || !state.volumeParam) return;
+    state.volumeParam
+      .set("value", clamp(value, 0, 1))
+      .catch((err) =>
+        logger.warn("[MixerManager] Failed to set return volume:", err),
+      );
+  }
+
+  /**
+   * Toggle mute on a return track.
+   * Fire-and-forget — the listener callback will update cache and notify Grid.
+   */
+  toggleReturnMute(returnIndex: number): void {
+    const state = this.returnStates.get(this.returnIds[returnIndex]);
+    if (!state) return;
+    state.track
+      .set("mute", !state.mute)
+      .catch((err) =>
+        logger.warn("[MixerManager] Failed to toggle return mute:", err),
+      );
+  }
+
+  /** Set the master volume (0..1). */
+  setMasterVolume(value: number): void {
+    this.masterVolume
+      ?.set("value", clamp(value, 0, 1))
+      .catch((err) =>
+        logger.warn("[MixerManager] Failed to set master volume:", err),
+      );
+  }
+
+  /**
+   * Adjust the master volume by a relative delta.
+   *
+   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param stepSize - Defaults to 1/127 (~0.8% of full range).
+   */
+  adjustMasterVolume(delta: number, stepSize: number = 1 / 127): void {
+    this.setMasterVolume(this.master.volume + delta * stepSize);
+  }
+
+  /**
+   * Adjust the cue (preview) volume by a relative delta.
+   *
+   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param stepSize - Defaults to 1/127 (~0.8% of full range).
+   */
+  adjustCueVolume(delta: number, stepSize: number = 1 / 127): void {
+    this.masterCueVolume
+      ?.set("value", clamp(this.master.cueVolume + delta * stepSize, 0, 1))
+      .catch((err) =>
+        logger.warn("[MixerManager] Failed to set cue volume:", err),
+      );
+  }
+
+  /**
+   * Set the crossfader from a raw 8-bit Grid value (0–255), mapped to the
+   * parameter's -1..1 range (0 = full A, 255 = full B).
+   */
+  setCrossfader(rawValue: number): void {
+    const norm = clamp(rawValue, 0, 255) / 255;
+    this.masterCrossfader
+      ?.set("value", -1 + norm * 2)
+      .catch((err) =>
+        logger.warn("[MixerManager] Failed to set crossfader:", err),
+      );
+  }
+
+  /**
+   * Adjust the crossfader by a relative delta.
+   *
+   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param stepSize - Fraction of the full A..B range per step. Defaults to
+   *                   1/127 (~0.8% of full range).
+   */
+  adjustCrossfader(delta: number, stepSize: number = 1 / 127): void {
+    this.masterCrossfader
+      ?.set(
+        "value",
+        clamp(this.master.crossfader + delta * stepSize * 2, -1, 1),
+      )
+      .catch((err) =>
+        logger.warn("[MixerManager] Failed to set crossfader:", err),
+      );
+  }
+
+  /** Push the master strip and every return track to Grid. */
+  requestFullState(): void {
+    this.sendMasterState();
+    this.sendReturnSync();
+  }
+
+  // -----------------------------------------------------------------------
+  // State sync to Grid
+  // -----------------------------------------------------------------------
+
+  private sendReturnState(state: ReturnTrackState): void {
+    const i = this.returnIds.indexOf(state.id);
+    if (i === -1) return;
+    this.sendMessage({
+      evt: "RT_RETURN",
+      i,
+      name: state.name,
+      color: state.color,
+      vol: state.volume,
+      pan: state.panning,
+      mute: state.mute,
+    });
+  }
+
+  private sendReturnSync(): void {
+    for (const id of this.returnIds) {
+      const state = this.returnStates.get(id);
+      if (state) this.sendReturnState(state);
+    }
+  }
+
+  private sendMasterState(): void {
+    this.sendMessage({
+      evt: "RT_MASTER",
+      vol: this.master.volume,
+      pan: this.master.panning,
+      cue_vol: this.master.cueVolume,
+      crossfader: this.master.crossfader,
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(max, value));
+}
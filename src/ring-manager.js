@@ -8,6 +8,16 @@
  * The ring is decoupled from the selected track — the selected track can be
  * outside the ring, and the ring can be moved independently.
  *
+ * Several rings can exist side by side (see `src/index.ts`, which tags each
+ * ring's events with `ring: name`). Only the ring that drives the session
+ * box moves Ableton's red box and follows the selected track (see
+ * FollowMode); the others
+ * move only on command or when linked to another ring.
+ *
+ * The ring can also be scoped to the children of a group track ("enter
+ * group"); offsets are then relative to the group's children and Live's
+ * session box is placed on the matching visible track.
+ *
  * Events sent to Grid (via sendMessage callback):
  *   { evt: "RT_MUTE",  i: ringIndex, v: boolean }
  *   { evt: "RT_SOLO",  i: ringIndex, v: boolean }
@@ -15,11 +25,26 @@
  *   { evt: "RT_VOL",   i: ringIndex, v: number  }
  *   { evt: "RT_PAN",   i: ringIndex, v: number  }
  *   { evt: "RT_SEND",  i: ringIndex, si: sendIndex, v: number }
- *   { evt: "RT_INFO",  i: ringIndex, name: string, color: [r, g, b] }
+ *   { evt: "RT_XFADE", i: ringIndex, v: "A" | "none" | "B" }  — crossfade assignment
+ *   { evt: "RT_ROUTING", i: ringIndex, input, inputOptions: string[], channel,
+ *                        channelOptions: string[], monitoring: MonitoringState }  — armable tracks only
+ *   { evt: "RT_INFO",  i: ringIndex, name: string, color: [r, g, b], isMidi,
+ *                      isFoldable, foldState, isGrouped, groupName }
+ *   { evt: "RT_MIDI",  i: ringIndex, device: string, output: string }  — MIDI tracks only:
+ *                      first device name and output routing (MIDI without instrument)
+ *   { evt: "RT_ACTIVITY", i: ringIndex, v: number }  — note played on a MIDI track
+ *                      without instrument, v ≈ velocity (0..1)
+ *   { evt: "RT_CLIP",  i: ringIndex, s: sceneIndex, state: ClipState, color: [r, g, b] }
+ *   { evt: "RT_SCENE", s: sceneIndex, name: string, color: [r, g, b], triggered: boolean }
+ *   { evt: "RT_RING",  trackOffset, sceneOffset, width, scenes, totalTracks, totalScenes, group }  — ring position
+ *   { evt: "RT_METER", l: number[], r: number[], ml: number, mr: number }  — opt-in meters, 0–15 per ring index + master
+ *   { evt: "RT_TRACK_OP", op: string, ok: boolean, error?: string }  — result of a track create/delete/... command
  *   { evt: "RT_SELECTED", index, ringIndex, name, color: [r, g, b] }  — selected track info
- *   { evt: "RT_PLAYING_CLIP", name: string, color: [r, g, b] }  — currently playing clip on selected track
- *   { evt: "RT_PARAM", name: string, v: number, min: number, max: number }  — selected parameter
- *   { evt: "RT_TRANSPORT", playing: boolean, recording: boolean }  — transport state
+ *   { evt: "RT_PICKUP", i: ringIndex, direction: "up" | "down" | "none" }  — pickup takeover hint
+ *
+ * Transport state (RT_TRANSPORT) is owned by TransportManager. The
+ * song-view listeners (selected track, playing clip, selected parameter)
+ * are owned by SelectionManager, which is shared by all rings.
  */
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
@@ -31,15 +56,27 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.RingManager = void 0;
+exports.RingManager = exports.FOLLOW_MODES = void 0;
+exports.hexToRgb = hexToRgb;
+exports.colorToRgb = colorToRgb;
 const subscription_group_1 = require("./subscription-group");
+const encoder_acceleration_1 = require("./encoder-acceleration");
+const logger_1 = require("./logger");
+exports.FOLLOW_MODES = ["off", "edge", "center", "page"];
 // ---------------------------------------------------------------------------
 // RingManager
 // ---------------------------------------------------------------------------
 class RingManager {
-    constructor(ableton, sendMessage) {
+    constructor(ableton, sendMessage, selection, acceleration = new encoder_acceleration_1.EncoderAcceleration()) {
         /** Listeners on ring tracks — keyed "track:{id}:mute", "track:{id}:send:0", etc. */
         this.ringSubs = new subscription_group_1.SubscriptionGroup("ring");
+        /** Listeners on clip slots inside the ring — keyed "clip:{trackId}:{scene}:has_clip", etc. */
+        this.clipSubs = new subscription_group_1.SubscriptionGroup("ring-clips");
+        /** Listeners on scenes inside the ring — keyed "scene:{id}:name", "scene:{id}:is_triggered", etc. */
+        this.sceneSubs = new subscription_group_1.SubscriptionGroup("ring-scenes");
+        /** Output meter listeners — keyed "meter:{trackId}:left", "meter:master:right", etc.
+         *  Empty while metering is disabled. */
+        this.meterSubs = new subscription_group_1.SubscriptionGroup("ring-meters");
         /** Global listeners owned by the ring manager (tracks list, return_tracks). */
         this.globalSubs = new subscription_group_1.SubscriptionGroup("ring-global");
         /** Track IDs currently in the ring window, in ring-index order. */
@@ -51,54 +88,127 @@ class RingManager {
         this.trackStates = new Map();
         /** Cached mixer DeviceParameter objects — avoids UDP round-trips on set calls. */
         this.mixerCache = new Map();
+        /** Clip slot state for every slot inside the ring, keyed "{trackId}:{scene}"
+         *  with the absolute scene index. */
+        this.clipStates = new Map();
+        /** Scene IDs currently in the ring window, in ring-row order. */
+        this.currentRingSceneIds = [];
+        /** Maps scene ID → current ring row. Same role as `ringIndexByTrackId`. */
+        this.ringIndexBySceneId = new Map();
+        /** Per-scene state cache for scenes inside the ring. */
+        this.sceneStates = new Map();
+        // -- Metering (opt-in) ---------------------------------------------------
+        /** Latest raw meter values (0..1) by track ID ("master" for the master track). */
+        this.meterLevels = new Map();
+        this.meteringEnabled = false;
+        this.meterHz = 20;
+        /** Last RT_METER payload, used to skip unchanged frames. */
+        this.lastMeterFrame = "";
+        /** Whether this ring moves Ableton's session box (red box). */
+        this.drivesSessionBox = true;
+        /** How the session-box ring follows the selected track. */
+        this.followMode = "edge";
+        /** Whether moving the ring left/right selects its first track. */
+        this.selectFollowsRing = true;
+        /** Volume set by resetActivePropertyValue (0.85 ≈ 0 dB). */
+        this.volumeResetValue = 0.85;
         /** Ring dimensions and offset. */
         this.ringWidth = 0;
         this.ringScenes = 0;
         this.trackOffset = 0;
         this.sceneOffset = 0;
-        /** Visible tracks in the session — excludes children of folded groups.
-         *  Re-fetched on track list changes and before each ring navigation. */
+        /** Tracks the ring navigates over — the visible tracks, or the children
+         *  of the entered group. Re-fetched on track list changes, fold
+         *  changes and before each ring navigation. */
         this.allTracks = [];
+        /** Visible tracks in the session — excludes children of folded groups. */
+        this.visibleTracks = [];
+        /** Entered group tracks, outermost first. Empty = whole set. */
+        this.groupStack = [];
+        /** All scenes in the set. Re-fetched whenever the scene list changes. */
+        this.allScenes = [];
         /** Currently active property for `setActivePropertyValue`. */
         this.activeProperty = "volume";
-        /** Cached transport state. */
-        this.isPlaying = false;
-        this.isRecording = false;
-        // -- Selected track live state (fixes stale raw.name bug) ---------------
-        /** Live-cached name of the currently selected track. */
-        this.selectedTrackName = "";
-        /** Live-cached color of the currently selected track. */
-        this.selectedTrackColor = [0, 0, 0];
+        // -- Takeover for absolute controls -------------------------------------
+        this.takeoverMode = "jump";
+        /** Last hardware position (0..1) per ring index. */
+        this.hardwarePositions = new Map();
+        /** Ring indices that picked up their value, mapped to "{target}:{property}". */
+        this.pickedUp = new Map();
+        /** Last RT_PICKUP direction per ring index, so repeats are skipped. */
+        this.pickupDirections = new Map();
         /** Index of the currently selected track in allTracks. */
         this.selectedTrackIndex = -1;
-        // -- Playing clip state (selected track) --------------------------------
-        /** Name of the currently playing clip on the selected track. */
-        this.playingClipName = "";
-        /** Color of the currently playing clip on the selected track. */
-        this.playingClipColor = [0, 0, 0];
-        // -- Selected parameter state ------------------------------------------
-        /** The DeviceParameter object currently selected in Ableton's UI. */
-        this.selectedParam = null;
-        /** Cached properties of the selected parameter. */
-        this.selectedParamName = "";
-        this.selectedParamValue = 0;
-        this.selectedParamMin = 0;
-        this.selectedParamMax = 1;
-        this.selectedParamDefault = 0;
-        /** Guard: true while onSelectedParameterChanged is fetching min/max.
-         *  Blocks adjustSelectedParameter to prevent stale-range writes. */
-        this.selectedParamSwitching = false;
         this.ableton = ableton;
         this.sendMessage = sendMessage;
+        this.selection = selection;
+        this.acceleration = acceleration;
     }
     /**
      * Fetch only the tracks currently visible in Ableton's session view.
      * Folded group children are excluded. Called on init, on track list
      * changes, and before each ring navigation to pick up fold changes.
+     *
+     * When a group is entered, `allTracks` is narrowed to its direct
+     * children. Groups that were deleted, hidden or left without visible
+     * children are exited automatically.
      */
     refreshVisibleTracks() {
         return __awaiter(this, void 0, void 0, function* () {
-            this.allTracks = yield this.ableton.song.get("visible_tracks");
+            this.visibleTracks = yield this.ableton.song.get("visible_tracks");
+            while (this.groupStack.length > 0) {
+                const group = this.groupStack[this.groupStack.length - 1];
+                const children = yield this.visibleChildren(group);
+                if (children.length > 0) {
+                    this.allTracks = children;
+                    return;
+                }
+                this.groupStack.pop();
+            }
+            this.allTracks = this.visibleTracks;
+        });
+    }
+    /**
+     * Visible direct children of a group track. Live lists a group's tracks
+     * right after the group track, so only that run is checked instead of
+     * asking every visible track for its parent.
+     */
+    visibleChildren(group) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const start = this.visibleTracks.findIndex((t) => t.raw.id === group.raw.id);
+            if (start === -1)
+                return [];
+            const members = new Set([group.raw.id]);
+            const children = [];
+            for (const track of this.visibleTracks.slice(start + 1)) {
+                if (!track.raw.is_grouped)
+                    break;
+                const parent = yield track.get("group_track");
+                // The run ends at the first track outside the group
+                if (!parent || !members.has(parent.id))
+                    break;
+                members.add(track.raw.id);
+                if (parent.id === group.raw.id)
+                    children.push(track);
+            }
+            return children;
+        });
+    }
+    /**
+     * Live's session box offset for the current ring offset. Equal to
+     * `trackOffset` unless the ring is scoped to a group.
+     */
+    sessionTrackOffset() {
+        const first = this.allTracks[this.trackOffset];
+        if (!first)
+            return this.trackOffset;
+        const index = this.visibleTracks.findIndex((t) => t.raw.id === first.raw.id);
+        return index === -1 ? this.trackOffset : index;
+    }
+    /** Fetch the scene list. Called on init and on scene list changes. */
+    refreshScenes() {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.allScenes = yield this.ableton.song.get("scenes");
         });
     }
     // -----------------------------------------------------------------------
@@ -113,6 +223,7 @@ class RingManager {
         return __awaiter(this, void 0, void 0, function* () {
             this.masterTrack = yield this.ableton.song.get("master_track");
             yield this.refreshVisibleTracks();
+            yield this.refreshScenes();
             // When tracks are added or removed in Ableton, refresh and re-sync.
             yield this.globalSubs.add("song:tracks", yield this.ableton.song.addListener("tracks", (_tracks) => __awaiter(this, void 0, void 0, function* () {
                 try {
@@ -121,7 +232,7 @@ class RingManager {
                     yield this.syncRingListeners();
                 }
                 catch (err) {
-                    console.warn("[RingManager] Error handling tracks change:", err);
+                    logger_1.logger.warn("[RingManager] Error handling tracks change:", err);
                 }
             })));
             // When return tracks change, send counts may change — re-subscribe sends
@@ -131,116 +242,200 @@ class RingManager {
                     yield this.resubscribeSendsForAllRingTracks();
                 }
                 catch (err) {
-                    console.warn("[RingManager] Error handling return_tracks change:", err);
+                    logger_1.logger.warn("[RingManager] Error handling return_tracks change:", err);
                 }
             })));
-            // When the user selects a different parameter in Ableton's UI,
-            // subscribe to its value and push name + value to Grid.
-            yield this.globalSubs.add("song:view:selected_parameter", yield this.ableton.song.view.addListener("selected_parameter", (param) => __awaiter(this, void 0, void 0, function* () {
+            // When scenes are added, removed or reordered, the clip slot at a given
+            // scene index changes identity — drop all clip listeners and re-sync.
+            // Scenes themselves keep their IDs, so they go through the usual diff.
+            yield this.globalSubs.add("song:scenes", yield this.ableton.song.addListener("scenes", () => __awaiter(this, void 0, void 0, function* () {
                 try {
-                    yield this.onSelectedParameterChanged(param);
-                }
-                catch (err) {
-                    console.warn("[RingManager] Error handling selected_parameter change:", err);
-                }
-            })));
-            // Also fetch the initially selected parameter
-            try {
-                const initialParam = yield this.ableton.song.view.get("selected_parameter");
-                if (initialParam) {
-                    yield this.onSelectedParameterChanged(initialParam);
-                }
-            }
-            catch (_) {
-                /* no parameter selected yet */
-            }
-            // Transport: is_playing
-            this.isPlaying = yield this.ableton.song.get("is_playing");
-            yield this.globalSubs.add("song:is_playing", yield this.ableton.song.addListener("is_playing", (value) => {
-                this.isPlaying = !!value;
-                this.sendMessage({
-                    evt: "RT_TRANSPORT",
-                    playing: this.isPlaying,
-                    recording: this.isRecording,
-                });
-            }));
-            // Transport: record_mode
-            this.isRecording = !!(yield this.ableton.song.get("record_mode"));
-            yield this.globalSubs.add("song:record_mode", yield this.ableton.song.addListener("record_mode", (value) => {
-                this.isRecording = !!value;
-                this.sendMessage({
-                    evt: "RT_TRANSPORT",
-                    playing: this.isPlaying,
-                    recording: this.isRecording,
-                });
-            }));
-            // Send initial transport state
-            this.sendMessage({
-                evt: "RT_TRANSPORT",
-                playing: this.isPlaying,
-                recording: this.isRecording,
-            });
-            // When the user selects a different track in Ableton, move the ring
-            // to keep it visible (if it's outside the current window).
-            yield this.globalSubs.add("song:view:selected_track", yield this.ableton.song.view.addListener("selected_track", (track) => __awaiter(this, void 0, void 0, function* () {
-                try {
-                    if (!track)
-                        return;
-                    const trackIndex = this.allTracks.findIndex((t) => t.raw.id === track.raw.id);
-                    if (trackIndex !== -1) {
-                        yield this.followTrackIndex(trackIndex);
-                    }
-                    this.selectedTrackIndex = trackIndex;
-                    // Subscribe to live name/color updates and playing clip for the new selected track
-                    yield this.subscribeSelectedTrack(track);
-                    yield this.subscribePlayingClip(track);
+                    yield this.refreshScenes();
+                    yield this.syncSceneListeners();
+                    yield this.clipSubs.clear();
+                    this.clipStates.clear();
+                    yield this.syncClipListeners();
+                    this.sendRingState();
+                    this.sendSceneSync();
+                    this.sendClipSync();
                 }
                 catch (err) {
-                    console.warn("[RingManager] Error handling selected_track change:", err);
+                    logger_1.logger.warn("[RingManager] Error handling scenes change:", err);
                 }
             })));
         });
     }
     /**
      * Set ring dimensions and move to an offset. Calls into Ableton's session
-     * box API and then syncs listeners.
+     * box API (when this ring drives it) and then syncs listeners.
      */
     setupRing(numTracks_1, numScenes_1) {
         return __awaiter(this, arguments, void 0, function* (numTracks, numScenes, trackOffset = 0, sceneOffset = 0) {
+            var _a;
             this.ringWidth = numTracks;
             this.ringScenes = numScenes;
             this.trackOffset = trackOffset;
             this.sceneOffset = sceneOffset;
-            yield this.ableton.session.setupSessionBox(numTracks, numScenes);
-            yield this.ableton.session.setSessionOffset(trackOffset, sceneOffset);
+            if (this.drivesSessionBox) {
+                yield this.ableton.session.setupSessionBox(numTracks, numScenes);
+            }
+            yield this.moveSessionBox();
             yield this.syncRingListeners();
+            (_a = this.onMove) === null || _a === void 0 ? void 0 : _a.call(this, this.trackOffset, this.sceneOffset);
         });
     }
     /**
-     * Move the ring offset. Syncs listeners via diff.
+     * Move the ring offset. Syncs listeners via diff. Moving to the current
+     * offset is a no-op, which also stops linked rings from moving each other
+     * back and forth.
      */
     setOffset(trackOffset, sceneOffset) {
         return __awaiter(this, void 0, void 0, function* () {
+            var _a;
+            if (trackOffset === this.trackOffset && sceneOffset === this.sceneOffset) {
+                return;
+            }
             this.trackOffset = trackOffset;
             this.sceneOffset = sceneOffset;
-            yield this.ableton.session.setSessionOffset(trackOffset, sceneOffset);
+            yield this.moveSessionBox();
             yield this.syncRingListeners();
+            (_a = this.onMove) === null || _a === void 0 ? void 0 : _a.call(this, this.trackOffset, this.sceneOffset);
+        });
+    }
+    /**
+     * Hand Ableton's session box to or take it away from this ring. A ring
+     * taking over resizes and moves the box to its own window.
+     */
+    setDrivesSessionBox(drives) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.drivesSessionBox = drives;
+            if (drives && this.ringWidth > 0) {
+                yield this.ableton.session.setupSessionBox(this.ringWidth, this.ringScenes);
+                yield this.moveSessionBox();
+            }
+        });
+    }
+    /** Set how the ring follows the selected track. Unknown modes are ignored. */
+    setFollowMode(mode) {
+        if (exports.FOLLOW_MODES.includes(mode))
+            this.followMode = mode;
+    }
+    /** Enable or disable selecting the ring's first track on navigation. */
+    setSelectFollowsRing(on) {
+        this.selectFollowsRing = on;
+    }
+    /** Set the volume the reset command restores (0..1). */
+    setVolumeResetValue(value) {
+        this.volumeResetValue = Math.max(0, Math.min(1, value));
+    }
+    moveSessionBox() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.drivesSessionBox)
+                return;
+            yield this.ableton.session.setSessionOffset(this.sessionTrackOffset(), this.sceneOffset);
+        });
+    }
+    // -----------------------------------------------------------------------
+    // Group tracks
+    // -----------------------------------------------------------------------
+    /**
+     * Fold or unfold the group track at a ring index. No-op for tracks that
+     * aren't groups. Visibility changes aren't observable, so the ring is
+     * re-synced here.
+     */
+    toggleFold(ringIndex) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const track = this.getTrackAtRingIndex(ringIndex);
+            if (!track || !track.raw.is_foldable)
+                return;
+            const folded = !!(yield track.get("fold_state"));
+            yield track.set("fold_state", folded ? 0 : 1);
+            yield this.refreshVisibleTracks();
+            yield this.refreshFoldStates();
+            yield this.syncRingListeners();
+        });
+    }
+    /**
+     * Scope the ring to the children of the group track at a ring index.
+     * The group is unfolded first so its children are visible in Live.
+     */
+    enterGroup(ringIndex) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const track = this.getTrackAtRingIndex(ringIndex);
+            if (!track || !track.raw.is_foldable)
+                return;
+            if (yield track.get("fold_state")) {
+                yield track.set("fold_state", 0);
+            }
+            this.groupStack.push(track);
+            yield this.refreshVisibleTracks();
+            yield this.setOffset(0, this.sceneOffset);
+        });
+    }
+    /**
+     * Leave the innermost entered group. The ring moves so the group track
+     * itself is in view.
+     */
+    exitGroup() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const group = this.groupStack.pop();
+            if (!group)
+                return;
+            yield this.refreshVisibleTracks();
+            const index = this.allTracks.findIndex((t) => t.raw.id === group.raw.id);
+            const maxOffset = Math.max(0, this.allTracks.length - this.ringWidth);
+            yield this.setOffset(Math.max(0, Math.min(index, maxOffset)), this.sceneOffset);
         });
     }
     /**
-     * Move the ring left or right by 1 track.
+     * Re-read `fold_state` for groups in the ring. It isn't observable, so
+     * this runs after fold changes and on navigation.
      */
-    navigateRing(direction) {
+    refreshFoldStates() {
         return __awaiter(this, void 0, void 0, function* () {
+            for (const id of this.currentRingTrackIds) {
+                const state = this.trackStates.get(id);
+                const track = this.allTracks.find((t) => t.raw.id === id);
+                if (!state || !track || !state.isFoldable)
+                    continue;
+                try {
+                    state.foldState = !!(yield track.get("fold_state"));
+                }
+                catch (err) {
+                    logger_1.logger.warn(`[RingManager] Failed to read fold state of ${id}:`, err);
+                }
+            }
+        });
+    }
+    /**
+     * Move the ring by 1 track (left/right) or 1 scene (up/down). In page
+     * mode the ring jumps by its full width or height instead. Offsets are
+     * clamped so the ring never runs past the last track or scene.
+     */
+    navigateRing(direction_1) {
+        return __awaiter(this, arguments, void 0, function* (direction, page = false) {
             // Refresh visible tracks to pick up any fold/unfold changes
             yield this.refreshVisibleTracks();
-            const delta = direction === "right" ? 1 : -1;
+            yield this.refreshFoldStates();
+            if (direction === "up" || direction === "down") {
+                const step = page ? Math.max(1, this.ringScenes) : 1;
+                const delta = direction === "down" ? step : -step;
+                const maxOffset = Math.max(0, this.allScenes.length - this.ringScenes);
+                const newOffset = Math.max(0, Math.min(this.sceneOffset + delta, maxOffset));
+                if (newOffset !== this.sceneOffset) {
+                    yield this.setOffset(this.trackOffset, newOffset);
+                }
+                return;
+            }
+            const step = page ? Math.max(1, this.ringWidth) : 1;
+            const delta = direction === "right" ? step : -step;
             const maxOffset = Math.max(0, this.allTracks.length - this.ringWidth);
             const newOffset = Math.max(0, Math.min(this.trackOffset + delta, maxOffset));
             if (newOffset !== this.trackOffset) {
                 yield this.setOffset(newOffset, this.sceneOffset);
                 // Also update Ableton's selected track so the session view follows the ring
-                this.selectTrackInRing(0);
+                if (this.selectFollowsRing)
+                    this.selectTrackInRing(0);
             }
         });
     }
@@ -249,18 +444,47 @@ class RingManager {
      */
     destroy() {
         return __awaiter(this, void 0, void 0, function* () {
+            this.stopMeterTimer();
+            this.meteringEnabled = false;
+            yield this.meterSubs.clear();
+            this.meterLevels.clear();
             yield this.ringSubs.clear();
+            yield this.clipSubs.clear();
+            yield this.sceneSubs.clear();
             yield this.globalSubs.clear();
             this.currentRingTrackIds = [];
+            this.groupStack = [];
+            this.hardwarePositions.clear();
+            this.pickedUp.clear();
+            this.pickupDirections.clear();
             this.ringIndexByTrackId.clear();
             this.trackStates.clear();
             this.mixerCache.clear();
-            this.selectedParam = null;
-            this.selectedTrackName = "";
-            this.selectedTrackColor = [0, 0, 0];
+            this.clipStates.clear();
+            this.currentRingSceneIds = [];
+            this.ringIndexBySceneId.clear();
+            this.sceneStates.clear();
             this.selectedTrackIndex = -1;
-            this.playingClipName = "";
-            this.playingClipColor = [0, 0, 0];
+        });
+    }
+    /**
+     * Drop every subscription and set the ring up again with its current
+     * dimensions, offsets, entered groups and metering. Used after a
+     * reconnection, when Live has forgotten all listeners.
+     */
+    rebuild() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const metering = this.meteringEnabled;
+            const groupStack = this.groupStack;
+            yield this.destroy();
+            this.groupStack = [...groupStack];
+            yield this.init();
+            // The track offset is relative to the entered group; start over if
+            // init had to leave it (e.g. Live restarted with new track ids)
+            const trackOffset = this.groupStack.length === groupStack.length ? this.trackOffset : 0;
+            yield this.setupRing(this.ringWidth, this.ringScenes, trackOffset, this.sceneOffset);
+            if (metering)
+                yield this.setMetering(true);
         });
     }
     // -----------------------------------------------------------------------
@@ -312,6 +536,76 @@ class RingManager {
             return;
         track.set("arm", !state.arm);
     }
+    /**
+     * Cycle the monitoring state of the track at a ring index:
+     * In → Auto → Off → In. No-op for tracks that can't be armed.
+     * Fire-and-forget — the listener callback will update cache and notify Grid.
+     */
+    cycleMonitoring(ringIndex) {
+        const track = this.getTrackAtRingIndex(ringIndex);
+        if (!track)
+            return;
+        const state = this.trackStates.get(track.raw.id);
+        if (!state || !state.canBeArmed)
+            return;
+        const current = MONITORING_STATES.indexOf(state.routing.monitoring);
+        track
+            .set("current_monitoring_state", (current + 1) % 3)
+            .catch((err) => logger_1.logger.warn("[RingManager] Failed to set monitoring state:", err));
+    }
+    /**
+     * Set the input routing type of the track at a ring index by its
+     * position in the `inputOptions` list of the last RT_ROUTING event.
+     * Fire-and-forget — the listener callback will update cache and notify Grid.
+     */
+    setInputRouting(ringIndex, optionIndex) {
+        this.setRoutingOption(ringIndex, "type", optionIndex);
+    }
+    /**
+     * Set the input channel of the track at a ring index by its position in
+     * the `channelOptions` list of the last RT_ROUTING event.
+     * Fire-and-forget — the listener callback will update cache and notify Grid.
+     */
+    setInputChannel(ringIndex, optionIndex) {
+        this.setRoutingOption(ringIndex, "channel", optionIndex);
+    }
+    /**
+     * Write an entry of the track's available input routing types or
+     * channels. The list is re-read first, and the entry is only written if
+     * it still carries the name Grid was shown.
+     */
+    setRoutingOption(ringIndex, kind, optionIndex) {
+        const track = this.getTrackAtRingIndex(ringIndex);
+        if (!track)
+            return;
+        const state = this.trackStates.get(track.raw.id);
+        if (!state || !state.canBeArmed)
+            return;
+        const name = kind === "type"
+            ? state.routing.inputOptions[optionIndex]
+            : state.routing.channelOptions[optionIndex];
+        if (name === undefined)
+            return;
+        const routable = track;
+        const request = kind === "type"
+            ? track
+                .get("available_input_routing_types")
+                .then((types) => {
+                var _a;
+                return ((_a = types === null || types === void 0 ? void 0 : types[optionIndex]) === null || _a === void 0 ? void 0 : _a.display_name) === name
+                    ? routable.set("input_routing_type", types[optionIndex])
+                    : null;
+            })
+            : track
+                .get("available_input_routing_channels")
+                .then((channels) => {
+                var _a;
+                return ((_a = channels === null || channels === void 0 ? void 0 : channels[optionIndex]) === null || _a === void 0 ? void 0 : _a.display_name) === name
+                    ? routable.set("input_routing_channel", channels[optionIndex])
+                    : null;
+            });
+        request.catch((err) => logger_1.logger.warn(`[RingManager] Failed to set input routing ${kind}:`, err));
+    }
     /**
      * Set volume on the track at a ring index (0..1).
      * Fire-and-forget — the listener callback will update cache and notify Grid.
@@ -351,6 +645,160 @@ class RingManager {
             return;
         cached.sends[sendIndex].set("value", value);
     }
+    /**
+     * Assign the track at a ring index to crossfader side A, B or neither.
+     * Fire-and-forget — the listener callback will update cache and notify Grid.
+     */
+    setXfadeAssign(ringIndex, side) {
+        const track = this.getTrackAtRingIndex(ringIndex);
+        if (!track)
+            return;
+        const cached = this.mixerCache.get(track.raw.id);
+        const value = XFADE_ASSIGN_VALUES[side];
+        if (!(cached === null || cached === void 0 ? void 0 : cached.mixer) || value === undefined)
+            return;
+        cached.mixer
+            .set("crossfade_assign", value)
+            .catch((err) => logger_1.logger.warn("[RingManager] Failed to set crossfade assignment:", err));
+    }
+    /**
+     * Fire the clip slot at (ringIndex, sceneIndex) within the ring. Firing an
+     * empty slot triggers its stop button, matching Live's own pad behavior.
+     * Fire-and-forget — the slot listeners will notify Grid.
+     */
+    launchClip(ringIndex, sceneIndex) {
+        const track = this.getTrackAtRingIndex(ringIndex);
+        if (!track || sceneIndex < 0 || sceneIndex >= this.ringScenes)
+            return;
+        const clip = this.clipStates.get(`${track.raw.id}:${this.sceneOffset + sceneIndex}`);
+        if (!clip)
+            return;
+        clip.slot
+            .fire()
+            .catch((err) => logger_1.logger.warn("[RingManager] Failed to fire clip slot:", err));
+    }
+    /**
+     * Fire the scene at a ring row. Fire-and-forget — the scene's
+     * is_triggered listener will notify Grid.
+     */
+    launchScene(sceneIndex) {
+        if (sceneIndex < 0 || sceneIndex >= this.ringScenes)
+            return;
+        const scene = this.allScenes[this.sceneOffset + sceneIndex];
+        if (!scene)
+            return;
+        scene
+            .fire()
+            .catch((err) => logger_1.logger.warn("[RingManager] Failed to fire scene:", err));
+    }
+    /** Stop all playing clips in the set (Live's "Stop All Clips" button). */
+    stopAllClips() {
+        this.ableton.song
+            .stopAllClips()
+            .catch((err) => logger_1.logger.warn("[RingManager] Failed to stop all clips:", err));
+    }
+    // -----------------------------------------------------------------------
+    // Track structure (create / duplicate / delete / rename / color)
+    // -----------------------------------------------------------------------
+    // The song:tracks listener re-syncs the ring after structural changes;
+    // these methods only report success or failure via RT_TRACK_OP.
+    /**
+     * Create a new audio, MIDI or return track. `index` is Live's track index
+     * (-1 or omitted appends at the end); return tracks are always appended.
+     */
+    createTrack(kind_1) {
+        return __awaiter(this, arguments, void 0, function* (kind, index = -1) {
+            yield this.runTrackOp("create", () => __awaiter(this, void 0, void 0, function* () {
+                if (kind === "audio") {
+                    yield this.ableton.song.createAudioTrack(index);
+                }
+                else if (kind === "midi") {
+                    yield this.ableton.song.createMidiTrack(index);
+                }
+                else if (kind === "return") {
+                    yield this.ableton.song.createReturnTrack();
+                }
+                else {
+                    throw new Error(`Unknown track kind "${kind}"`);
+                }
+            }));
+        });
+    }
+    /** Duplicate the track at a ring index (the copy is inserted after it). */
+    duplicateTrack(ringIndex) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.runTrackOp("duplicate", () => __awaiter(this, void 0, void 0, function* () {
+                const index = yield this.songTrackIndex(ringIndex);
+                yield this.ableton.song.duplicateTrack(index);
+            }));
+        });
+    }
+    /** Delete the track at a ring index. */
+    deleteTrack(ringIndex) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.runTrackOp("delete", () => __awaiter(this, void 0, void 0, function* () {
+                const index = yield this.songTrackIndex(ringIndex);
+                yield this.ableton.song.deleteTrack(index);
+            }));
+        });
+    }
+    /** Rename the track at a ring index. */
+    renameTrack(ringIndex, name) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.runTrackOp("rename", () => __awaiter(this, void 0, void 0, function* () {
+                const track = this.getTrackAtRingIndex(ringIndex);
+                if (!track)
+                    throw new Error(`No track at ring index ${ringIndex}`);
+                yield track.set("name", String(name !== null && name !== void 0 ? name : ""));
+            }));
+        });
+    }
+    /** Set the color of the track at a ring index from Live's color palette. */
+    setTrackColor(ringIndex, colorIndex) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.runTrackOp("color", () => __awaiter(this, void 0, void 0, function* () {
+                const track = this.getTrackAtRingIndex(ringIndex);
+                if (!track)
+                    throw new Error(`No track at ring index ${ringIndex}`);
+                yield track.set("color_index", colorIndex);
+            }));
+        });
+    }
+    /**
+     * Resolve a ring index to the track's index in `song.tracks`, which is
+     * what Live's duplicate/delete calls expect. The ring works on
+     * `visible_tracks`, so the two differ when groups are folded.
+     */
+    songTrackIndex(ringIndex) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const track = this.getTrackAtRingIndex(ringIndex);
+            if (!track)
+                throw new Error(`No track at ring index ${ringIndex}`);
+            const tracks = yield this.ableton.song.get("tracks");
+            const index = tracks.findIndex((t) => t.raw.id === track.raw.id);
+            if (index === -1)
+                throw new Error("Track no longer exists");
+            return index;
+        });
+    }
+    /** Run a track operation and report its outcome to Grid. */
+    runTrackOp(op, fn) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                yield fn();
+                this.sendMessage({ evt: "RT_TRACK_OP", op, ok: true });
+            }
+            catch (err) {
+                logger_1.logger.warn(`[RingManager] Track operation "${op}" failed:`, err);
+                this.sendMessage({
+                    evt: "RT_TRACK_OP",
+                    op,
+                    ok: false,
+                    error: err instanceof Error ? err.message : String(err),
+                });
+            }
+        });
+    }
     /**
      * Select the track at a ring index in Ableton's UI (updates Ableton's
      * selected track without moving the ring).
@@ -377,30 +825,7 @@ class RingManager {
     sendActivePropertyState() {
         var _a;
         if (this.activeProperty === "selected_parameter") {
-            // Push selected parameter info
-            if (this.selectedParam) {
-                const range = this.selectedParamMax - this.selectedParamMin;
-                this.sendMessage({
-                    evt: "RT_PARAM",
-                    name: this.selectedParamName,
-                    v: this.selectedParamValue,
-                    nv: range !== 0
-                        ? (this.selectedParamValue - this.selectedParamMin) / range
-                        : 0,
-                    min: this.selectedParamMin,
-                    max: this.selectedParamMax,
-                });
-            }
-            else {
-                this.sendMessage({
-                    evt: "RT_PARAM",
-                    name: "",
-                    v: 0,
-                    nv: 0,
-                    min: 0,
-                    max: 1,
-                });
-            }
+            this.selection.sendParameter();
         }
         else {
             // Push the active property for all ring tracks
@@ -449,22 +874,24 @@ class RingManager {
      *   panning            → (raw / 255) * 2 - 1          (-1..1)
      *   send:N             → raw / 255                    (0..1)
      *   selected_parameter → raw / 255 * (max - min) + min
+     *
+     * In "pickup" and "value-scaling" takeover modes the raw position is
+     * first run through `takeover()`, which may ignore or rescale it.
      */
     setActivePropertyValue(ringIndex, rawValue) {
         // Clamp to 0–255
         const clamped = Math.max(0, Math.min(255, rawValue));
-        const norm = clamped / 255;
+        let norm = clamped / 255;
+        const previous = this.hardwarePositions.get(ringIndex);
+        this.hardwarePositions.set(ringIndex, norm);
+        if (this.takeoverMode !== "jump") {
+            const target = this.takeover(ringIndex, norm, previous);
+            if (target === undefined)
+                return;
+            norm = target;
+        }
         if (this.activeProperty === "selected_parameter") {
-            if (this.selectedParam && !this.selectedParamSwitching) {
-                const value = this.selectedParamMin +
-                    norm * (this.selectedParamMax - this.selectedParamMin);
-                try {
-                    this.selectedParam.set("value", value);
-                }
-                catch (err) {
-                    console.warn("[RingManager] Failed to set selected parameter value:", err);
-                }
-            }
+            this.selection.setParameterNorm(norm);
         }
         else if (this.activeProperty === "volume") {
             this.setVolume(ringIndex, norm);
@@ -479,6 +906,82 @@ class RingManager {
             }
         }
     }
+    /**
+     * Set how absolute controls take over values that differ from their
+     * position. Resets pickup state so every control has to pick up again.
+     */
+    setTakeoverMode(mode) {
+        if (mode !== "jump" && mode !== "pickup" && mode !== "value-scaling") {
+            return;
+        }
+        this.takeoverMode = mode;
+        this.pickedUp.clear();
+        this.pickupDirections.clear();
+    }
+    /**
+     * Apply the takeover mode to a control move. Returns the normalized value
+     * to write, or undefined when the move should be ignored.
+     */
+    takeover(ringIndex, position, previous) {
+        const current = this.activePropertyNorm(ringIndex);
+        if (current === undefined)
+            return position;
+        if (this.takeoverMode === "value-scaling") {
+            // Without a previous position there is no direction to scale along
+            if (previous === undefined || position === previous)
+                return undefined;
+            const scaled = position > previous
+                ? current + ((position - previous) * (1 - current)) / (1 - previous)
+                : current - ((previous - position) * current) / previous;
+            return Math.max(0, Math.min(1, scaled));
+        }
+        // Pickup — engaged once the control reaches or crosses the value, until
+        // the ring index points at another track or property.
+        const key = this.takeoverKey(ringIndex);
+        if (this.pickedUp.get(ringIndex) !== key) {
+            const crossed = previous !== undefined &&
+                (previous - current) * (position - current) <= 0;
+            if (!crossed && Math.abs(position - current) > PICKUP_TOLERANCE) {
+                this.sendPickup(ringIndex, position < current ? "up" : "down");
+                return undefined;
+            }
+            this.pickedUp.set(ringIndex, key);
+            this.sendPickup(ringIndex, "none");
+        }
+        return position;
+    }
+    /** Current value of the active property at a ring index, as 0..1. */
+    activePropertyNorm(ringIndex) {
+        if (this.activeProperty === "selected_parameter") {
+            return this.selection.parameterNorm();
+        }
+        const track = this.getTrackAtRingIndex(ringIndex);
+        const state = track && this.trackStates.get(track.raw.id);
+        if (!state)
+            return undefined;
+        if (this.activeProperty === "volume")
+            return state.volume;
+        if (this.activeProperty === "panning")
+            return (state.panning + 1) / 2;
+        if (this.activeProperty.startsWith("send:")) {
+            return state.sends[parseInt(this.activeProperty.slice(5), 10)];
+        }
+        return undefined;
+    }
+    /** Identifies what a ring index currently controls, for pickup state. */
+    takeoverKey(ringIndex) {
+        var _a;
+        const target = this.activeProperty === "selected_parameter"
+            ? this.selection.getParameterId()
+            : (_a = this.getTrackAtRingIndex(ringIndex)) === null || _a === void 0 ? void 0 : _a.raw.id;
+        return `${target}:${this.activeProperty}`;
+    }
+    sendPickup(ringIndex, direction) {
+        if (this.pickupDirections.get(ringIndex) === direction)
+            return;
+        this.pickupDirections.set(ringIndex, direction);
+        this.sendMessage({ evt: "RT_PICKUP", i: ringIndex, direction });
+    }
     /**
      * Adjust the active property by a relative delta. This is the primary
      * method for continuous controls (encoders in relative mode) — it reads
@@ -490,7 +993,8 @@ class RingManager {
      * is always applied against the correct cached value.
      *
      * @param ringIndex  - The ring-relative track index
-     * @param delta      - Signed integer from the encoder (+1, -1, +N, -N)
+     * @param delta      - Signed integer from the encoder (+1, -1, +N, -N),
+     *                     accelerated by turn speed and the fine modifier
      * @param stepSize   - How much each delta unit moves the parameter.
      *                     Defaults to 1/127 (~0.8% of full range).
      *                     Smaller = finer control, larger = faster sweeps.
@@ -498,7 +1002,7 @@ class RingManager {
     adjustActivePropertyValue(ringIndex, delta, stepSize = 1 / 127) {
         if (this.activeProperty === "selected_parameter") {
             // Route to the selected parameter — no ring track needed
-            this.adjustSelectedParameter(delta, stepSize);
+            this.selection.adjustParameter(delta, stepSize);
             return;
         }
         const track = this.getTrackAtRingIndex(ringIndex);
@@ -507,6 +1011,7 @@ class RingManager {
         const state = this.trackStates.get(track.raw.id);
         if (!state)
             return;
+        delta = this.acceleration.scale(`ring:${ringIndex}:${this.activeProperty}`, delta);
         if (this.activeProperty === "volume") {
             // Volume range: 0..1
             const newVal = Math.max(0, Math.min(1, state.volume + delta * stepSize));
@@ -526,328 +1031,63 @@ class RingManager {
             }
         }
     }
-    // -----------------------------------------------------------------------
-    // Selected parameter (last-clicked parameter in Ableton's UI)
-    // -----------------------------------------------------------------------
-    /**
-     * Called when the selected parameter changes in Ableton.
-     * Tears down the old value listener, caches min/max/name, subscribes
-     * to the new parameter's value, and pushes an RT_PARAM event to Grid.
-     */
-    onSelectedParameterChanged(param) {
-        return __awaiter(this, void 0, void 0, function* () {
-            // Block encoder adjustments while we're switching
-            this.selectedParamSwitching = true;
-            // Remove old value listener
-            yield this.globalSubs.removeByPrefix("selected_param:value");
-            if (!param) {
-                this.selectedParam = null;
-                this.selectedParamName = "";
-                this.selectedParamValue = 0;
-                this.selectedParamMin = 0;
-                this.selectedParamMax = 1;
-                this.selectedParamDefault = 0;
-                this.selectedParamSwitching = false;
-                this.sendMessage({
-                    evt: "RT_PARAM",
-                    name: "",
-                    v: 0,
-                    nv: 0,
-                    min: 0,
-                    max: 1,
-                });
-                return;
-            }
-            try {
-                // Fetch name, value, min, max, default in parallel
-                const [name, value, min, max, defaultVal] = yield Promise.all([
-                    param.get("name"),
-                    param.get("value"),
-                    param.get("min"),
-                    param.get("max"),
-                    param.get("default_value"),
-                ]);
-                // Update all cached state atomically before unblocking
-                this.selectedParam = param;
-                this.selectedParamName = name;
-                this.selectedParamValue = value;
-                this.selectedParamMin = min;
-                this.selectedParamMax = max;
-                this.selectedParamDefault =
-                    typeof defaultVal === "number"
-                        ? defaultVal
-                        : parseFloat(defaultVal) || 0;
-                // Listen to value changes (e.g. automation, other controllers)
-                yield this.globalSubs.add("selected_param:value", yield param.addListener("value", (v) => {
-                    this.selectedParamValue = v;
-                    const range = this.selectedParamMax - this.selectedParamMin;
-                    this.sendMessage({
-                        evt: "RT_PARAM",
-                        name: this.selectedParamName,
-                        v,
-                        nv: range !== 0 ? (v - this.selectedParamMin) / range : 0,
-                        min: this.selectedParamMin,
-                        max: this.selectedParamMax,
-                    });
-                }));
-                // Push the initial state
-                const range = max - min;
-                this.sendMessage({
-                    evt: "RT_PARAM",
-                    name,
-                    v: value,
-                    nv: range !== 0 ? (value - min) / range : 0,
-                    min,
-                    max,
-                });
-            }
-            catch (err) {
-                console.warn("[RingManager] Failed to set up selected parameter:", err);
-                this.selectedParam = null;
-            }
-            finally {
-                this.selectedParamSwitching = false;
-            }
-        });
-    }
-    /**
-     * Adjust the selected parameter by a relative delta.
-     * The delta is scaled to the parameter's native [min, max] range.
-     *
-     * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
-     * @param stepSize - Fraction of full range per delta unit.
-     *                   Defaults to 1/127 (~0.8% of full range).
-     */
-    adjustSelectedParameter(delta, stepSize = 1 / 127) {
-        if (!this.selectedParam || this.selectedParamSwitching)
-            return;
-        const range = this.selectedParamMax - this.selectedParamMin;
-        if (range === 0)
-            return;
-        const step = delta * stepSize * range;
-        const newVal = Math.max(this.selectedParamMin, Math.min(this.selectedParamMax, this.selectedParamValue + step));
-        try {
-            this.selectedParam.set("value", newVal);
-        }
-        catch (err) {
-            console.warn("[RingManager] Failed to set selected parameter value:", err);
-        }
-        // The value listener will update selectedParamValue and push RT_PARAM
-    }
-    /**
-     * Reset the selected parameter to its default value.
-     */
-    resetSelectedParameter() {
-        if (!this.selectedParam || this.selectedParamSwitching)
-            return;
-        const value = Math.max(this.selectedParamMin, Math.min(this.selectedParamMax, this.selectedParamDefault));
-        try {
-            this.selectedParam.set("value", value);
-        }
-        catch (err) {
-            console.warn("[RingManager] Failed to reset selected parameter:", err);
-        }
-    }
     /**
      * Reset the active property to its default value on the track at a ring
      * index. Uses Ableton's well-known defaults:
-     *   volume  → 0.85  (~0 dB)
+     *   volume  → 0.85  (~0 dB, configurable via setVolumeResetValue)
      *   panning → 0     (center)
      *   send:N  → 0     (off)
-     *   selected_parameter → factory default (via resetSelectedParameter)
+     *   selected_parameter → factory default (via SelectionManager)
      */
     resetActivePropertyValue(ringIndex) {
         if (this.activeProperty === "selected_parameter") {
-            this.resetSelectedParameter();
-            return;
-        }
-        if (this.activeProperty === "volume") {
-            this.setVolume(ringIndex, 0.85);
-        }
-        else if (this.activeProperty === "panning") {
-            this.setPanning(ringIndex, 0);
-        }
-        else if (this.activeProperty.startsWith("send:")) {
-            const sendIndex = parseInt(this.activeProperty.slice(5), 10);
-            if (!isNaN(sendIndex)) {
-                this.setSend(ringIndex, sendIndex, 0);
-            }
-        }
-    }
-    // -----------------------------------------------------------------------
-    // Selected track live subscriptions (fixes stale raw.name bug)
-    // -----------------------------------------------------------------------
-    /**
-     * Subscribe to live name and color changes on the selected track.
-     * This replaces the stale `track.raw.name` snapshot with a live listener
-     * so that renames are immediately reflected in RT_SELECTED events.
-     */
-    subscribeSelectedTrack(track) {
-        return __awaiter(this, void 0, void 0, function* () {
-            var _a;
-            // Tear down previous selected-track property listeners
-            yield this.globalSubs.removeByPrefix("selected_track_prop");
-            // Fetch live name (not stale raw snapshot)
-            this.selectedTrackName = yield track.get("name");
-            this.selectedTrackColor = hexToRgb(track.raw.color);
-            const trackId = track.raw.id;
-            // Send initial RT_SELECTED with the live name
-            const ringIdx = (_a = this.ringIndexByTrackId.get(trackId)) !== null && _a !== void 0 ? _a : -1;
-            this.sendMessage({
-                evt: "RT_SELECTED",
-                index: this.selectedTrackIndex,
-                ringIndex: ringIdx,
-                name: this.selectedTrackName,
-                color: this.selectedTrackColor,
-            });
-            // Live name listener — fires when the selected track is renamed
-            yield this.globalSubs.add("selected_track_prop:name", yield track.addListener("name", (value) => {
-                var _a;
-                this.selectedTrackName = value;
-                const ri = (_a = this.ringIndexByTrackId.get(trackId)) !== null && _a !== void 0 ? _a : -1;
-                this.sendMessage({
-                    evt: "RT_SELECTED",
-                    index: this.selectedTrackIndex,
-                    ringIndex: ri,
-                    name: value,
-                    color: this.selectedTrackColor,
-                });
-            }));
-            // Live color listener — fires when the selected track's color changes
-            yield this.globalSubs.add("selected_track_prop:color", yield track.addListener("color", (value) => {
-                var _a, _b, _c, _d;
-                const rawHex = typeof value === "number"
-                    ? value
-                    : ((_c = (_a = value === null || value === void 0 ? void 0 : value.numberRepresentation) !== null && _a !== void 0 ? _a : (_b = value === null || value === void 0 ? void 0 : value.toJSON) === null || _b === void 0 ? void 0 : _b.call(value)) !== null && _c !== void 0 ? _c : 0);
-                this.selectedTrackColor = hexToRgb(rawHex);
-                const ri = (_d = this.ringIndexByTrackId.get(trackId)) !== null && _d !== void 0 ? _d : -1;
-                this.sendMessage({
-                    evt: "RT_SELECTED",
-                    index: this.selectedTrackIndex,
-                    ringIndex: ri,
-                    name: this.selectedTrackName,
-                    color: this.selectedTrackColor,
-                });
-            }));
-        });
+            this.selection.resetParameter();
+            return;
+        }
+        if (this.activeProperty === "volume") {
+            this.setVolume(ringIndex, this.volumeResetValue);
+        }
+        else if (this.activeProperty === "panning") {
+            this.setPanning(ringIndex, 0);
+        }
+        else if (this.activeProperty.startsWith("send:")) {
+            const sendIndex = parseInt(this.activeProperty.slice(5), 10);
+            if (!isNaN(sendIndex)) {
+                this.setSend(ringIndex, sendIndex, 0);
+            }
+        }
     }
     // -----------------------------------------------------------------------
-    // Playing clip on selected track
+    // Selected track (reported by SelectionManager)
     // -----------------------------------------------------------------------
     /**
-     * Subscribe to the playing clip on the selected track.
-     * Watches `playing_slot_index` to detect which clip is playing,
-     * then subscribes to that clip's name and color for live updates.
-     * Sends RT_PLAYING_CLIP events to Grid.
+     * Called when another track is selected in Ableton. The session-box ring
+     * moves to keep it visible (if it's outside the current window); every
+     * ring reports it as RT_SELECTED.
      */
-    subscribePlayingClip(track) {
+    onSelectedTrackChanged(track) {
         return __awaiter(this, void 0, void 0, function* () {
-            // Tear down previous playing-clip listeners
-            yield this.globalSubs.removeByPrefix("selected_track_clip");
-            this.playingClipName = "";
-            this.playingClipColor = [0, 0, 0];
-            const handleSlotIndex = (slotIndex) => __awaiter(this, void 0, void 0, function* () {
-                var _a, _b, _c;
-                // Remove any previous clip-property listeners
-                yield this.globalSubs.removeByPrefix("selected_track_clip:props");
-                if (slotIndex < 0) {
-                    // No clip playing (Ableton returns -2 when stopped)
-                    this.playingClipName = "";
-                    this.playingClipColor = [0, 0, 0];
-                    this.sendMessage({
-                        evt: "RT_PLAYING_CLIP",
-                        name: "",
-                        color: [0, 0, 0],
-                    });
-                    return;
-                }
-                try {
-                    const clipSlots = yield track.get("clip_slots");
-                    if (!clipSlots || slotIndex >= clipSlots.length)
-                        return;
-                    const clip = yield clipSlots[slotIndex].get("clip");
-                    if (!clip) {
-                        this.playingClipName = "";
-                        this.playingClipColor = [0, 0, 0];
-                        this.sendMessage({
-                            evt: "RT_PLAYING_CLIP",
-                            name: "",
-                            color: [0, 0, 0],
-                        });
-                        return;
-                    }
-                    // Fetch clip name and color
-                    const [clipName, clipColor] = yield Promise.all([
-                        clip.get("name"),
-                        clip.get("color"),
-                    ]);
-                    const colorRgb = (clipColor === null || clipColor === void 0 ? void 0 : clipColor.rgb)
-                        ? [(_a = clipColor.rgb.r) !== null && _a !== void 0 ? _a : 0, (_b = clipColor.rgb.g) !== null && _b !== void 0 ? _b : 0, (_c = clipColor.rgb.b) !== null && _c !== void 0 ? _c : 0]
-                        : typeof clipColor === "number"
-                            ? hexToRgb(clipColor)
-                            : [0, 0, 0];
-                    this.playingClipName = clipName !== null && clipName !== void 0 ? clipName : "";
-                    this.playingClipColor = colorRgb;
-                    this.sendMessage({
-                        evt: "RT_PLAYING_CLIP",
-                        name: this.playingClipName,
-                        color: this.playingClipColor,
-                    });
-                    // Listen for live clip name changes
-                    yield this.globalSubs.add("selected_track_clip:props:name", yield clip.addListener("name", (value) => {
-                        this.playingClipName = value;
-                        this.sendMessage({
-                            evt: "RT_PLAYING_CLIP",
-                            name: value,
-                            color: this.playingClipColor,
-                        });
-                    }));
-                    // Listen for live clip color changes
-                    yield this.globalSubs.add("selected_track_clip:props:color", yield clip.addListener("color", (value) => {
-                        var _a, _b, _c;
-                        const rgb = (value === null || value === void 0 ? void 0 : value.rgb)
-                            ? [(_a = value.rgb.r) !== null && _a !== void 0 ? _a : 0, (_b = value.rgb.g) !== null && _b !== void 0 ? _b : 0, (_c = value.rgb.b) !== null && _c !== void 0 ? _c : 0]
-                            : typeof value === "number"
-                                ? hexToRgb(value)
-                                : (() => {
-                                    var _a, _b, _c;
-                                    const rawHex = (_c = (_a = value === null || value === void 0 ? void 0 : value.numberRepresentation) !== null && _a !== void 0 ? _a : (_b = value === null || value === void 0 ? void 0 : value.toJSON) === null || _b === void 0 ? void 0 : _b.call(value)) !== null && _c !== void 0 ? _c : 0;
-                                    return hexToRgb(rawHex);
-                                })();
-                        this.playingClipColor = rgb;
-                        this.sendMessage({
-                            evt: "RT_PLAYING_CLIP",
-                            name: this.playingClipName,
-                            color: rgb,
-                        });
-                    }));
-                }
-                catch (err) {
-                    console.warn("[RingManager] Failed to fetch playing clip info:", err);
-                }
-            });
-            // Listen for playing slot changes on the selected track
-            yield this.globalSubs.add("selected_track_clip:slot", yield track.addListener("playing_slot_index", (slotIndex) => __awaiter(this, void 0, void 0, function* () {
-                try {
-                    yield handleSlotIndex(slotIndex);
-                }
-                catch (err) {
-                    console.warn("[RingManager] Error handling playing_slot_index change:", err);
-                }
-            })));
-            // Fetch the initial playing slot
-            try {
-                const initialSlot = yield track.get("playing_slot_index");
-                yield handleSlotIndex(initialSlot);
-            }
-            catch (_) {
-                // No slot playing initially — send empty
-                this.sendMessage({
-                    evt: "RT_PLAYING_CLIP",
-                    name: "",
-                    color: [0, 0, 0],
-                });
+            const trackIndex = this.allTracks.findIndex((t) => t.raw.id === track.raw.id);
+            if (trackIndex !== -1 && this.drivesSessionBox) {
+                yield this.followTrackIndex(trackIndex);
             }
+            this.selectedTrackIndex = trackIndex;
+            this.sendSelectedTrack();
+        });
+    }
+    /**
+     * Push RT_SELECTED with the live-cached name and color of the selected
+     * track and its index within this ring (-1 when outside it).
+     */
+    sendSelectedTrack() {
+        var _a;
+        const { id, name, color } = this.selection.getSelectedTrackInfo();
+        this.sendMessage({
+            evt: "RT_SELECTED",
+            index: this.selectedTrackIndex,
+            ringIndex: (_a = this.ringIndexByTrackId.get(id)) !== null && _a !== void 0 ? _a : -1,
+            name,
+            color,
         });
     }
     // -----------------------------------------------------------------------
@@ -884,15 +1124,21 @@ class RingManager {
                     yield this.subscribeRingTrack(track);
                 }
                 catch (err) {
-                    console.warn(`[RingManager] Failed to subscribe to track ${track.raw.id} (may be invisible):`, err);
+                    logger_1.logger.warn(`[RingManager] Failed to subscribe to track ${track.raw.id} (may be invisible):`, err);
                 }
             }
             // Update the current ring track IDs
             this.currentRingTrackIds = newIds;
+            // Scene rows and clip slots depend on the scene offset as well
+            yield this.syncSceneListeners();
+            yield this.syncClipListeners();
+            yield this.syncMeterListeners();
             // Send full state sync to Grid
             this.sendFullSync();
-            console.log(`[RingManager] synced ring: offset=${this.trackOffset}, width=${this.ringWidth}, ` +
-                `added=${added.length}, removed=${removed.length}, total subs=${this.ringSubs.size}`);
+            logger_1.logger.info(`[RingManager] synced ring: offset=${this.trackOffset}/${this.sceneOffset}, ` +
+                `width=${this.ringWidth}, added=${added.length}, removed=${removed.length}, ` +
+                `total subs=${this.ringSubs.size}, scene subs=${this.sceneSubs.size}, ` +
+                `clip subs=${this.clipSubs.size}`);
         });
     }
     // -----------------------------------------------------------------------
@@ -906,24 +1152,32 @@ class RingManager {
      */
     subscribeRingTrack(track) {
         return __awaiter(this, void 0, void 0, function* () {
-            var _a;
+            var _a, _b;
             const id = track.raw.id;
             const isMaster = this.isMaster(track);
             // Helper: resolve current ring index at callback time
             const idx = () => this.ringIndexByTrackId.get(id);
-            // Detect MIDI tracks — they lack meaningful volume/pan controls
+            // Detect MIDI tracks — without an instrument they lack meaningful
+            // volume/pan controls, so they report their devices and MIDI output
             const hasMidiInput = yield track.get("has_midi_input");
             const hasAudioInput = yield track.get("has_audio_input");
             const trackIsMidi = !!hasMidiInput && !hasAudioInput;
             // Initialize state — fetch ALL values fresh from Ableton, never use
             // stale track.raw snapshots for mutable properties.
             const liveName = yield track.get("name");
+            const isFoldable = !!track.raw.is_foldable;
+            const isGrouped = !!track.raw.is_grouped;
+            const groupTrack = isGrouped ? yield track.get("group_track") : null;
             const state = {
                 id,
                 ringIndex: (_a = idx()) !== null && _a !== void 0 ? _a : 0,
                 name: liveName,
                 color: hexToRgb(track.raw.color),
                 isMidi: trackIsMidi,
+                isFoldable,
+                foldState: isFoldable ? !!(yield track.get("fold_state")) : false,
+                isGrouped,
+                groupName: (_b = groupTrack === null || groupTrack === void 0 ? void 0 : groupTrack.name) !== null && _b !== void 0 ? _b : "",
                 mute: false,
                 solo: false,
                 arm: false,
@@ -931,27 +1185,28 @@ class RingManager {
                 volume: 0,
                 panning: 0,
                 sends: [],
+                xfade: "none",
+                routing: {
+                    input: "",
+                    inputOptions: [],
+                    channel: "",
+                    channelOptions: [],
+                    monitoring: "off",
+                },
+                midi: { device: "", output: "" },
             };
             // Name listener
             yield this.ringSubs.add(`track:${id}:name`, yield track.addListener("name", (value) => {
-                var _a, _b;
                 const s = this.trackStates.get(id);
                 if (s)
                     s.name = value;
                 const i = idx();
-                if (i !== undefined) {
-                    this.sendMessage({
-                        evt: "RT_INFO",
-                        i,
-                        name: value,
-                        color: (_a = s === null || s === void 0 ? void 0 : s.color) !== null && _a !== void 0 ? _a : [0, 0, 0],
-                        isMidi: (_b = s === null || s === void 0 ? void 0 : s.isMidi) !== null && _b !== void 0 ? _b : false,
-                    });
-                }
+                if (s && i !== undefined)
+                    this.sendTrackInfo(i, s);
             }));
             // Color listener (value is a Color object — convert to [r, g, b])
             yield this.ringSubs.add(`track:${id}:color`, yield track.addListener("color", (value) => {
-                var _a, _b, _c, _d, _e;
+                var _a, _b, _c;
                 const rawHex = typeof value === "number"
                     ? value
                     : ((_c = (_a = value === null || value === void 0 ? void 0 : value.numberRepresentation) !== null && _a !== void 0 ? _a : (_b = value === null || value === void 0 ? void 0 : value.toJSON) === null || _b === void 0 ? void 0 : _b.call(value)) !== null && _c !== void 0 ? _c : 0);
@@ -960,15 +1215,8 @@ class RingManager {
                 if (s)
                     s.color = rgb;
                 const i = idx();
-                if (i !== undefined) {
-                    this.sendMessage({
-                        evt: "RT_INFO",
-                        i,
-                        name: (_d = s === null || s === void 0 ? void 0 : s.name) !== null && _d !== void 0 ? _d : "",
-                        color: rgb,
-                        isMidi: (_e = s === null || s === void 0 ? void 0 : s.isMidi) !== null && _e !== void 0 ? _e : false,
-                    });
-                }
+                if (s && i !== undefined)
+                    this.sendTrackInfo(i, s);
             }));
             // Mute — fetch current value, not stale track.raw.mute
             if (!isMaster) {
@@ -1011,6 +1259,52 @@ class RingManager {
                         this.sendMessage({ evt: "RT_ARM", i, v: !!value });
                     }
                 }));
+                // Input routing & monitoring. The available options depend on the
+                // current routing type, so they are re-read on every change.
+                state.routing = yield this.readRouting(track);
+                const onRoutingChange = () => __awaiter(this, void 0, void 0, function* () {
+                    try {
+                        const s = this.trackStates.get(id);
+                        if (!s)
+                            return;
+                        s.routing = yield this.readRouting(track);
+                        const i = idx();
+                        if (i !== undefined)
+                            this.sendRouting(i, s);
+                    }
+                    catch (err) {
+                        logger_1.logger.warn(`[RingManager] Failed to refresh routing of track ${id}:`, err);
+                    }
+                });
+                const routable = track;
+                yield this.ringSubs.add(`track:${id}:input_routing_type`, yield routable.addListener("input_routing_type", onRoutingChange));
+                yield this.ringSubs.add(`track:${id}:input_routing_channel`, yield routable.addListener("input_routing_channel", onRoutingChange));
+                yield this.ringSubs.add(`track:${id}:monitoring`, yield track.addListener("current_monitoring_state", onRoutingChange));
+            }
+            // MIDI tracks: first device and output routing. Tracks that output MIDI
+            // (no instrument) also report note activity.
+            if (trackIsMidi) {
+                const midi = yield this.readMidiInfo(track);
+                state.midi = { device: midi.device, output: midi.output };
+                const onMidiChange = () => __awaiter(this, void 0, void 0, function* () {
+                    try {
+                        const s = this.trackStates.get(id);
+                        if (!s)
+                            return;
+                        const info = yield this.readMidiInfo(track);
+                        s.midi = { device: info.device, output: info.output };
+                        yield this.syncActivityListener(id, track, info.hasMidiOutput);
+                        const i = idx();
+                        if (i !== undefined)
+                            this.sendMidiInfo(i, s);
+                    }
+                    catch (err) {
+                        logger_1.logger.warn(`[RingManager] Failed to refresh MIDI info of track ${id}:`, err);
+                    }
+                });
+                yield this.ringSubs.add(`track:${id}:devices`, yield track.addListener("devices", onMidiChange));
+                yield this.ringSubs.add(`track:${id}:output_routing`, yield track.addListener("current_output_routing", onMidiChange));
+                yield this.syncActivityListener(id, track, midi.hasMidiOutput);
             }
             // Mixer device params
             const mixer = yield track.get("mixer_device");
@@ -1053,6 +1347,19 @@ class RingManager {
                     }
                 }));
             }
+            // Crossfade assignment — the master strip has no A/B assignment
+            if (!isMaster) {
+                state.xfade = xfadeAssignOf(yield mixer.get("crossfade_assign"));
+                yield this.ringSubs.add(`track:${id}:xfade`, yield mixer.addListener("crossfade_assign", (value) => {
+                    const s = this.trackStates.get(id);
+                    if (s)
+                        s.xfade = xfadeAssignOf(value);
+                    const i = idx();
+                    if (i !== undefined) {
+                        this.sendMessage({ evt: "RT_XFADE", i, v: xfadeAssignOf(value) });
+                    }
+                }));
+            }
             // Sends (array — one DeviceParameter per return track)
             let sendParams = [];
             if (!isMaster) {
@@ -1073,6 +1380,7 @@ class RingManager {
             }
             // Cache mixer DeviceParameter refs so set calls skip UDP round-trips
             this.mixerCache.set(id, {
+                mixer: isMaster ? null : mixer,
                 volume: volumeParam,
                 panning: panningParam,
                 sends: sendParams,
@@ -1081,6 +1389,410 @@ class RingManager {
             this.trackStates.set(id, state);
         });
     }
+    /**
+     * Fetch the input routing type and channel, their options and the
+     * monitoring state. The current type and channel are looked up in the
+     * available lists, so `input` / `channel` are always one of the options
+     * (or "" when Live reports none).
+     */
+    readRouting(track) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a, _b, _c;
+            const routable = track;
+            const [type, types, channel, channels, monitoring] = yield Promise.all([
+                routable.get("input_routing_type"),
+                track.get("available_input_routing_types"),
+                routable.get("input_routing_channel"),
+                track.get("available_input_routing_channels"),
+                track.get("current_monitoring_state"),
+            ]);
+            const inputOptions = (types !== null && types !== void 0 ? types : []).map((t) => t.display_name);
+            const channelOptions = (channels !== null && channels !== void 0 ? channels : []).map((c) => c.display_name);
+            return {
+                input: (_a = inputOptions.find((name) => name === (type === null || type === void 0 ? void 0 : type.display_name))) !== null && _a !== void 0 ? _a : "",
+                inputOptions,
+                channel: (_b = channelOptions.find((name) => name === (channel === null || channel === void 0 ? void 0 : channel.display_name))) !== null && _b !== void 0 ? _b : "",
+                channelOptions,
+                monitoring: (_c = MONITORING_STATES[monitoring]) !== null && _c !== void 0 ? _c : "off",
+            };
+        });
+    }
+    /** Fetch the first device name, output routing and MIDI output flag. */
+    readMidiInfo(track) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a, _b;
+            const [devices, output, hasMidiOutput] = yield Promise.all([
+                track.get("devices"),
+                track.get("current_output_routing"),
+                track.get("has_midi_output"),
+            ]);
+            return {
+                device: (_b = (_a = devices === null || devices === void 0 ? void 0 : devices[0]) === null || _a === void 0 ? void 0 : _a.raw.name) !== null && _b !== void 0 ? _b : "",
+                output: output !== null && output !== void 0 ? output : "",
+                hasMidiOutput: !!hasMidiOutput,
+            };
+        });
+    }
+    /**
+     * Listen for note activity on a track that outputs MIDI. Without an
+     * instrument, output_meter_level follows the velocity of the notes played,
+     * so every rise is sent as RT_ACTIVITY. Adding an instrument turns the
+     * meter into an audio meter, which removes the listener again.
+     */
+    syncActivityListener(id, track, hasMidiOutput) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const key = `track:${id}:activity`;
+            if (!hasMidiOutput) {
+                yield this.ringSubs.remove(key);
+                return;
+            }
+            if (this.ringSubs.has(key))
+                return;
+            let level = 0;
+            yield this.ringSubs.add(key, yield track.addListener("output_meter_level", (value) => {
+                const rising = value > level + ACTIVITY_THRESHOLD;
+                level = value;
+                const i = this.ringIndexByTrackId.get(id);
+                if (rising && i !== undefined) {
+                    this.sendMessage({ evt: "RT_ACTIVITY", i, v: value });
+                }
+            }));
+        });
+    }
+    // -----------------------------------------------------------------------
+    // Scene rows
+    // -----------------------------------------------------------------------
+    /**
+     * Compute the scene window, diff against the currently subscribed scenes
+     * and add/remove listeners — the scene counterpart of the track diff in
+     * `syncRingListeners`.
+     */
+    syncSceneListeners() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const windowScenes = this.allScenes.slice(this.sceneOffset, this.sceneOffset + this.ringScenes);
+            const newIds = windowScenes.map((s) => s.raw.id);
+            const oldIds = new Set(this.currentRingSceneIds);
+            const newIdSet = new Set(newIds);
+            // Scenes that left the ring — unsubscribe
+            const removed = this.currentRingSceneIds.filter((id) => !newIdSet.has(id));
+            for (const id of removed) {
+                yield this.sceneSubs.removeByPrefix(`scene:${id}:`);
+                this.ringIndexBySceneId.delete(id);
+                this.sceneStates.delete(id);
+            }
+            // Update index map for all scenes in the new window
+            for (let s = 0; s < windowScenes.length; s++) {
+                this.ringIndexBySceneId.set(windowScenes[s].raw.id, s);
+            }
+            // Scenes that entered the ring — subscribe
+            const added = windowScenes.filter((s) => !oldIds.has(s.raw.id));
+            for (const scene of added) {
+                try {
+                    yield this.subscribeRingScene(scene);
+                }
+                catch (err) {
+                    logger_1.logger.warn(`[RingManager] Failed to subscribe to scene ${scene.raw.id}:`, err);
+                }
+            }
+            this.currentRingSceneIds = newIds;
+        });
+    }
+    /**
+     * Subscribe to name, color and trigger state of a single scene. The ring
+     * row is resolved at callback time from `ringIndexBySceneId`.
+     */
+    subscribeRingScene(scene) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const id = scene.raw.id;
+            const [name, color, triggered] = yield Promise.all([
+                scene.get("name"),
+                scene.get("color"),
+                scene.get("is_triggered"),
+            ]);
+            const state = {
+                id,
+                name: name !== null && name !== void 0 ? name : "",
+                color: colorToRgb(color),
+                triggered: !!triggered,
+            };
+            yield this.sceneSubs.add(`scene:${id}:name`, yield scene.addListener("name", (value) => {
+                const s = this.sceneStates.get(id);
+                if (!s)
+                    return;
+                s.name = value !== null && value !== void 0 ? value : "";
+                this.sendSceneState(s);
+            }));
+            yield this.sceneSubs.add(`scene:${id}:color`, yield scene.addListener("color", (value) => {
+                const s = this.sceneStates.get(id);
+                if (!s)
+                    return;
+                s.color = colorToRgb(value);
+                this.sendSceneState(s);
+            }));
+            yield this.sceneSubs.add(`scene:${id}:is_triggered`, yield scene.addListener("is_triggered", (value) => {
+                const s = this.sceneStates.get(id);
+                if (!s)
+                    return;
+                s.triggered = !!value;
+                this.sendSceneState(s);
+            }));
+            this.sceneStates.set(id, state);
+        });
+    }
+    /** Push one scene's state to Grid, if it is still inside the ring. */
+    sendSceneState(state) {
+        const s = this.ringIndexBySceneId.get(state.id);
+        if (s === undefined)
+            return;
+        this.sendMessage({
+            evt: "RT_SCENE",
+            s,
+            name: state.name,
+            color: state.color,
+            triggered: state.triggered,
+        });
+    }
+    /** Push the state of every scene inside the ring to Grid. */
+    sendSceneSync() {
+        for (const id of this.currentRingSceneIds) {
+            const state = this.sceneStates.get(id);
+            if (state)
+                this.sendSceneState(state);
+        }
+    }
+    // -----------------------------------------------------------------------
+    // Clip slot grid (ringWidth × ringScenes)
+    // -----------------------------------------------------------------------
+    /**
+     * Diff the clip slots inside the ring window against what's currently
+     * subscribed. Slots are identified by track ID + absolute scene index, so
+     * moving the ring by one track or one scene only touches the slots that
+     * actually entered or left the window.
+     */
+    syncClipListeners() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const sceneEnd = this.sceneOffset + this.ringScenes;
+            const wanted = new Set();
+            for (const trackId of this.currentRingTrackIds) {
+                for (let scene = this.sceneOffset; scene < sceneEnd; scene++) {
+                    wanted.add(`${trackId}:${scene}`);
+                }
+            }
+            // Slots that left the ring — unsubscribe
+            for (const key of Array.from(this.clipStates.keys())) {
+                if (!wanted.has(key)) {
+                    yield this.clipSubs.removeByPrefix(`clip:${key}:`);
+                    this.clipStates.delete(key);
+                }
+            }
+            // Slots that entered the ring — one clip_slots fetch per affected track
+            for (const trackId of this.currentRingTrackIds) {
+                let missing = false;
+                for (let scene = this.sceneOffset; scene < sceneEnd; scene++) {
+                    if (!this.clipStates.has(`${trackId}:${scene}`))
+                        missing = true;
+                }
+                if (!missing)
+                    continue;
+                const track = this.allTracks.find((t) => t.raw.id === trackId);
+                if (!track)
+                    continue;
+                try {
+                    const slots = yield track.get("clip_slots");
+                    const end = Math.min(sceneEnd, slots.length);
+                    for (let scene = this.sceneOffset; scene < end; scene++) {
+                        if (this.clipStates.has(`${trackId}:${scene}`))
+                            continue;
+                        yield this.subscribeClipSlot(trackId, scene, slots[scene]);
+                    }
+                }
+                catch (err) {
+                    logger_1.logger.warn(`[RingManager] Failed to subscribe clip slots for track ${trackId}:`, err);
+                }
+            }
+        });
+    }
+    /**
+     * Subscribe to a single clip slot. The ring-relative position is resolved
+     * at callback time from `ringIndexByTrackId` and `sceneOffset`, so the
+     * listeners survive ring moves without re-subscription.
+     */
+    subscribeClipSlot(trackId, scene, slot) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a;
+            const key = `${trackId}:${scene}`;
+            // The raw snapshot is fresh — clip_slots was fetched just now
+            const state = {
+                trackId,
+                scene,
+                slot,
+                hasClip: !!slot.raw.has_clip,
+                playingStatus: slot.raw.is_recording
+                    ? "recording"
+                    : slot.raw.is_playing
+                        ? "playing"
+                        : "stopped",
+                triggered: !!slot.raw.is_triggered,
+                color: slot.raw.has_clip ? hexToRgb((_a = slot.raw.color) !== null && _a !== void 0 ? _a : 0) : [0, 0, 0],
+            };
+            this.clipStates.set(key, state);
+            yield this.clipSubs.add(`clip:${key}:has_clip`, yield slot.addListener("has_clip", (value) => __awaiter(this, void 0, void 0, function* () {
+                const s = this.clipStates.get(key);
+                if (!s)
+                    return;
+                s.hasClip = !!value;
+                if (!s.hasClip) {
+                    s.color = [0, 0, 0];
+                }
+                else {
+                    try {
+                        s.color = colorToRgb(yield slot.get("color"));
+                    }
+                    catch (_) {
+                        /* keep the previous color */
+                    }
+                }
+                this.sendClipState(s);
+            })));
+            yield this.clipSubs.add(`clip:${key}:color`, yield slot.addListener("color", (value) => {
+                const s = this.clipStates.get(key);
+                if (!s)
+                    return;
+                s.color = s.hasClip ? colorToRgb(value) : [0, 0, 0];
+                this.sendClipState(s);
+            }));
+            yield this.clipSubs.add(`clip:${key}:playing_status`, yield slot.addListener("playing_status", (value) => {
+                const s = this.clipStates.get(key);
+                if (!s)
+                    return;
+                s.playingStatus = String(value);
+                this.sendClipState(s);
+            }));
+            yield this.clipSubs.add(`clip:${key}:is_triggered`, yield slot.addListener("is_triggered", (value) => {
+                const s = this.clipStates.get(key);
+                if (!s)
+                    return;
+                s.triggered = !!value;
+                this.sendClipState(s);
+            }));
+        });
+    }
+    /** Push one clip slot's state to Grid, if it is still inside the ring. */
+    sendClipState(state) {
+        const i = this.ringIndexByTrackId.get(state.trackId);
+        const s = state.scene - this.sceneOffset;
+        if (i === undefined || s < 0 || s >= this.ringScenes)
+            return;
+        this.sendMessage({
+            evt: "RT_CLIP",
+            i,
+            s,
+            state: clipStateOf(state),
+            color: state.color,
+        });
+    }
+    /** Push the state of every clip slot inside the ring to Grid. */
+    sendClipSync() {
+        this.clipStates.forEach((state) => this.sendClipState(state));
+    }
+    // -----------------------------------------------------------------------
+    // Output metering (opt-in)
+    // -----------------------------------------------------------------------
+    /**
+     * Enable or disable metering for the ring tracks and master. Meter
+     * listeners only store the latest value; a timer running at `hz` quantizes
+     * them to 0–15 and sends one RT_METER for the whole ring, skipping frames
+     * where nothing changed.
+     */
+    setMetering(enabled, hz) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (typeof hz === "number" && hz > 0) {
+                this.meterHz = Math.max(1, Math.min(60, hz));
+            }
+            this.meteringEnabled = enabled;
+            this.stopMeterTimer();
+            if (!enabled) {
+                yield this.meterSubs.clear();
+                this.meterLevels.clear();
+                return;
+            }
+            yield this.syncMeterListeners();
+            this.lastMeterFrame = "";
+            this.meterTimer = setInterval(() => this.sendMeterFrame(), Math.round(1000 / this.meterHz));
+        });
+    }
+    stopMeterTimer() {
+        if (this.meterTimer !== undefined) {
+            clearInterval(this.meterTimer);
+            this.meterTimer = undefined;
+        }
+    }
+    /**
+     * Keep meter listeners in line with the ring window. Only active while
+     * metering is enabled; called from `syncRingListeners`.
+     */
+    syncMeterListeners() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.meteringEnabled)
+                return;
+            const wanted = new Set(this.currentRingTrackIds);
+            // Tracks that left the ring — unsubscribe
+            for (const id of Array.from(this.meterLevels.keys())) {
+                if (id !== "master" && !wanted.has(id)) {
+                    yield this.meterSubs.removeByPrefix(`meter:${id}:`);
+                    this.meterLevels.delete(id);
+                }
+            }
+            // Tracks that entered the ring — subscribe
+            for (const id of this.currentRingTrackIds) {
+                if (this.meterLevels.has(id))
+                    continue;
+                const track = this.allTracks.find((t) => t.raw.id === id);
+                if (track)
+                    yield this.subscribeMeter(id, track);
+            }
+            if (this.masterTrack && !this.meterLevels.has("master")) {
+                yield this.subscribeMeter("master", this.masterTrack);
+            }
+        });
+    }
+    subscribeMeter(key, track) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const levels = [0, 0];
+            this.meterLevels.set(key, levels);
+            try {
+                yield this.meterSubs.add(`meter:${key}:left`, yield track.addListener("output_meter_left", (value) => {
+                    levels[0] = value;
+                }));
+                yield this.meterSubs.add(`meter:${key}:right`, yield track.addListener("output_meter_right", (value) => {
+                    levels[1] = value;
+                }));
+            }
+            catch (err) {
+                // MIDI tracks without an instrument have no audio output to meter
+                logger_1.logger.warn(`[RingManager] Failed to subscribe meters for ${key}:`, err);
+            }
+        });
+    }
+    /** Quantize the current meter levels and send them as one RT_METER. */
+    sendMeterFrame() {
+        var _a, _b;
+        const l = [];
+        const r = [];
+        for (const id of this.currentRingTrackIds) {
+            const levels = (_a = this.meterLevels.get(id)) !== null && _a !== void 0 ? _a : [0, 0];
+            l.push(quantizeMeter(levels[0]));
+            r.push(quantizeMeter(levels[1]));
+        }
+        const master = (_b = this.meterLevels.get("master")) !== null && _b !== void 0 ? _b : [0, 0];
+        const ml = quantizeMeter(master[0]);
+        const mr = quantizeMeter(master[1]);
+        const frame = `${l.join(",")}|${r.join(",")}|${ml},${mr}`;
+        if (frame === this.lastMeterFrame)
+            return;
+        this.lastMeterFrame = frame;
+        this.sendMessage({ evt: "RT_METER", l, r, ml, mr });
+    }
     // -----------------------------------------------------------------------
     // Sends re-subscription (when return tracks change)
     // -----------------------------------------------------------------------
@@ -1130,7 +1842,7 @@ class RingManager {
                     }
                 }
                 catch (err) {
-                    console.warn(`[RingManager] Failed to resubscribe sends for track ${trackId} (may be invisible):`, err);
+                    logger_1.logger.warn(`[RingManager] Failed to resubscribe sends for track ${trackId} (may be invisible):`, err);
                 }
             }
             // Push updated sends state
@@ -1147,6 +1859,7 @@ class RingManager {
      */
     sendFullSync() {
         var _a;
+        this.sendRingState();
         for (const trackId of this.currentRingTrackIds) {
             const state = this.trackStates.get(trackId);
             if (!state)
@@ -1168,13 +1881,12 @@ class RingManager {
                 v: state.panning,
                 nv: (state.panning + 1) / 2,
             });
-            this.sendMessage({
-                evt: "RT_INFO",
-                i,
-                name: state.name,
-                color: state.color,
-                isMidi: state.isMidi,
-            });
+            this.sendTrackInfo(i, state);
+            this.sendMessage({ evt: "RT_XFADE", i, v: state.xfade });
+            if (state.canBeArmed)
+                this.sendRouting(i, state);
+            if (state.isMidi)
+                this.sendMidiInfo(i, state);
             for (let si = 0; si < state.sends.length; si++) {
                 this.sendMessage({
                     evt: "RT_SEND",
@@ -1185,6 +1897,48 @@ class RingManager {
                 });
             }
         }
+        this.sendSceneSync();
+        this.sendClipSync();
+    }
+    sendRouting(i, state) {
+        this.sendMessage(Object.assign({ evt: "RT_ROUTING", i }, state.routing));
+    }
+    sendMidiInfo(i, state) {
+        this.sendMessage(Object.assign({ evt: "RT_MIDI", i }, state.midi));
+    }
+    sendTrackInfo(i, state) {
+        this.sendMessage({
+            evt: "RT_INFO",
+            i,
+            name: state.name,
+            color: state.color,
+            isMidi: state.isMidi,
+            isFoldable: state.isFoldable,
+            foldState: state.foldState,
+            isGrouped: state.isGrouped,
+            groupName: state.groupName,
+        });
+    }
+    /**
+     * Push the ring position and the live track/scene counts, so Grid can
+     * light "can scroll" indicators without knowing the set's dimensions.
+     */
+    sendRingState() {
+        this.sendMessage({
+            evt: "RT_RING",
+            trackOffset: this.trackOffset,
+            sceneOffset: this.sceneOffset,
+            width: this.ringWidth,
+            scenes: this.ringScenes,
+            totalTracks: this.allTracks.length,
+            totalScenes: this.allScenes.length,
+            group: this.currentGroupName(),
+        });
+    }
+    /** Name of the entered group, "" when the ring spans the whole set. */
+    currentGroupName() {
+        var _a, _b;
+        return (_b = (_a = this.groupStack[this.groupStack.length - 1]) === null || _a === void 0 ? void 0 : _a.raw.name) !== null && _b !== void 0 ? _b : "";
     }
     // -----------------------------------------------------------------------
     // Utilities
@@ -1194,11 +1948,14 @@ class RingManager {
     }
     /**
      * Move the ring so that the given track index is visible within the ring
-     * window. If the track is already visible, no move occurs.
+     * window, placed according to the follow mode. If the track is already
+     * visible or following is off, no move occurs.
      * Called when the user selects a track in Ableton's UI.
      */
     followTrackIndex(trackIndex) {
         return __awaiter(this, void 0, void 0, function* () {
+            if (this.followMode === "off")
+                return;
             if (trackIndex < 0 || trackIndex >= this.allTracks.length)
                 return;
             // Already visible in the current ring window — no move needed
@@ -1206,24 +1963,49 @@ class RingManager {
                 trackIndex < this.trackOffset + this.ringWidth) {
                 return;
             }
-            // Move the ring so the selected track is at the left edge of the window.
+            // Place the selected track according to the follow mode.
             // Clamp to valid range.
+            const width = Math.max(1, this.ringWidth);
+            let target = trackIndex;
+            if (this.followMode === "center") {
+                target = trackIndex - Math.floor(width / 2);
+            }
+            else if (this.followMode === "page") {
+                target = Math.floor(trackIndex / width) * width;
+            }
             const maxOffset = Math.max(0, this.allTracks.length - this.ringWidth);
-            const newOffset = Math.max(0, Math.min(trackIndex, maxOffset));
+            const newOffset = Math.max(0, Math.min(target, maxOffset));
             yield this.setOffset(newOffset, this.sceneOffset);
         });
     }
     /** Expose current ring info for debugging / Preferences UI. */
     getRingInfo() {
         return {
+            drivesSessionBox: this.drivesSessionBox,
+            followMode: this.followMode,
+            selectFollowsRing: this.selectFollowsRing,
             width: this.ringWidth,
             scenes: this.ringScenes,
             trackOffset: this.trackOffset,
             sceneOffset: this.sceneOffset,
+            group: this.currentGroupName(),
+            takeover: this.takeoverMode,
+            activeProperty: this.activeProperty,
             trackIds: [...this.currentRingTrackIds],
+            trackNames: this.currentRingTrackIds.map((id) => { var _a, _b; return (_b = (_a = this.trackStates.get(id)) === null || _a === void 0 ? void 0 : _a.name) !== null && _b !== void 0 ? _b : ""; }),
             subCount: this.ringSubs.size,
         };
     }
+    /** Number of active subscriptions per SubscriptionGroup. */
+    getSubscriptionCounts() {
+        return (0, subscription_group_1.countSubscriptions)([
+            this.ringSubs,
+            this.clipSubs,
+            this.sceneSubs,
+            this.meterSubs,
+            this.globalSubs,
+        ]);
+    }
     /**
      * Request a full state dump — pushes all ring track data, the currently
      * selected track, and the currently selected parameter to Grid.
@@ -1231,9 +2013,9 @@ class RingManager {
      */
     requestFullState() {
         return __awaiter(this, void 0, void 0, function* () {
-            var _a;
             // Refresh visible tracks to pick up any fold/unfold changes
             yield this.refreshVisibleTracks();
+            yield this.refreshFoldStates();
             yield this.syncRingListeners();
             // 1. Push all ring track states
             this.sendFullSync();
@@ -1241,59 +2023,15 @@ class RingManager {
             try {
                 const selectedTrack = yield this.ableton.song.view.get("selected_track");
                 if (selectedTrack) {
-                    const trackIndex = this.allTracks.findIndex((t) => t.raw.id === selectedTrack.raw.id);
-                    const ringIdx = trackIndex !== -1
-                        ? ((_a = this.ringIndexByTrackId.get(selectedTrack.raw.id)) !== null && _a !== void 0 ? _a : -1)
-                        : -1;
-                    this.selectedTrackIndex = trackIndex;
-                    this.sendMessage({
-                        evt: "RT_SELECTED",
-                        index: trackIndex,
-                        ringIndex: ringIdx,
-                        name: this.selectedTrackName,
-                        color: this.selectedTrackColor,
-                    });
+                    this.selectedTrackIndex = this.allTracks.findIndex((t) => t.raw.id === selectedTrack.raw.id);
+                    this.sendSelectedTrack();
                 }
             }
             catch (err) {
-                console.warn("[RingManager] Failed to fetch selected track on state request:", err);
-            }
-            // 3. Push playing clip state
-            this.sendMessage({
-                evt: "RT_PLAYING_CLIP",
-                name: this.playingClipName,
-                color: this.playingClipColor,
-            });
-            // 4. Push transport state
-            this.sendMessage({
-                evt: "RT_TRANSPORT",
-                playing: this.isPlaying,
-                recording: this.isRecording,
-            });
-            // 4. Push currently selected parameter info
-            if (this.selectedParam) {
-                const range = this.selectedParamMax - this.selectedParamMin;
-                this.sendMessage({
-                    evt: "RT_PARAM",
-                    name: this.selectedParamName,
-                    v: this.selectedParamValue,
-                    nv: range !== 0
-                        ? (this.selectedParamValue - this.selectedParamMin) / range
-                        : 0,
-                    min: this.selectedParamMin,
-                    max: this.selectedParamMax,
-                });
-            }
-            else {
-                this.sendMessage({
-                    evt: "RT_PARAM",
-                    name: "",
-                    v: 0,
-                    nv: 0,
-                    min: 0,
-                    max: 1,
-                });
+                logger_1.logger.warn("[RingManager] Failed to fetch selected track on state request:", err);
             }
+            // 3. Push playing clip and selected parameter info
+            this.selection.requestFullState();
         });
     }
 }
@@ -1305,3 +2043,52 @@ exports.RingManager = RingManager;
 function hexToRgb(hex) {
     return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
 }
+/**
+ * Convert a color value from a listener or getter (Color object, raw hex
+ * integer, or null for empty slots) to an [r, g, b] tuple.
+ */
+function colorToRgb(value) {
+    var _a, _b, _c, _d, _e, _f;
+    if (value == null)
+        return [0, 0, 0];
+    if (typeof value === "number")
+        return hexToRgb(value);
+    if (value.rgb)
+        return [(_a = value.rgb.r) !== null && _a !== void 0 ? _a : 0, (_b = value.rgb.g) !== null && _b !== void 0 ? _b : 0, (_c = value.rgb.b) !== null && _c !== void 0 ? _c : 0];
+    return hexToRgb((_f = (_d = value.numberRepresentation) !== null && _d !== void 0 ? _d : (_e = value.toJSON) === null || _e === void 0 ? void 0 : _e.call(value)) !== null && _f !== void 0 ? _f : 0);
+}
+/** Quantize a raw meter value (0..1) to one of 16 LED levels (0–15). */
+function quantizeMeter(value) {
+    if (!(value > 0))
+        return 0;
+    return Math.min(15, Math.round(value * 15));
+}
+/** Distance (0..1) at which a pickup control counts as having reached its value. */
+const PICKUP_TOLERANCE = 2 / 255;
+/** Rise in output_meter_level (0..1) that counts as a new MIDI note. */
+const ACTIVITY_THRESHOLD = 0.02;
+/** Live's current_monitoring_state enum, indexed by value. */
+const MONITORING_STATES = ["in", "auto", "off"];
+const XFADE_ASSIGN_VALUES = {
+    A: 0,
+    none: 1,
+    B: 2,
+};
+/** Map Live's crossfade_assign enum (A=0, None=1, B=2) to RT_XFADE values. */
+function xfadeAssignOf(value) {
+    if (value === 0)
+        return "A";
+    if (value === 2)
+        return "B";
+    return "none";
+}
+/** Collapse a clip slot's cached flags into the single RT_CLIP state. */
+function clipStateOf(state) {
+    if (state.triggered)
+        return "triggered";
+    if (state.playingStatus === "recording")
+        return "recording";
+    if (!state.hasClip)
+        return "empty";
+    return state.playingStatus === "playing" ? "playing" : "stopped";
+}
@@ -7,6 +7,16 @@
  * The ring is decoupled from the selected track — the selected track can be
  * outside the ring, and the ring can be moved independently.
  *
+ * Several rings can exist side by side (see `src/index.ts`, which tags each
+ * ring's events with `ring: name`). Only the ring that drives the session
+ * box moves Ableton's red box and follows the selected track (see
+ * FollowMode); the others
+ * move only on command or when linked to another ring.
+ *
+ * The ring can also be scoped to the children of a group track ("enter
+ * group"); offsets are then relative to the group's children and Live's
+ * session box is placed on the matching visible track.
+ *
  * Events sent to Grid (via sendMessage callback):
  *   { evt: "RT_MUTE",  i: ringIndex, v: boolean }
  *   { evt: "RT_SOLO",  i: ringIndex, v: boolean }
@@ -14,16 +24,37 @@
  *   { evt: "RT_VOL",   i: ringIndex, v: number  }
  *   { evt: "RT_PAN",   i: ringIndex, v: number  }
  *   { evt: "RT_SEND",  i: ringIndex, si: sendIndex, v: number }
- *   { evt: "RT_INFO",  i: ringIndex, name: string, color: [r, g, b] }
+ *   { evt: "RT_XFADE", i: ringIndex, v: "A" | "none" | "B" }  — crossfade assignment
+ *   { evt: "RT_ROUTING", i: ringIndex, input, inputOptions: string[], channel,
+ *                        channelOptions: string[], monitoring: MonitoringState }  — armable tracks only
+ *   { evt: "RT_INFO",  i: ringIndex, name: string, color: [r, g, b], isMidi,
+ *                      isFoldable, foldState, isGrouped, groupName }
+ *   { evt: "RT_MIDI",  i: ringIndex, device: string, output: string }  — MIDI tracks only:
+ *                      first device name and output routing (MIDI without instrument)
+ *   { evt: "RT_ACTIVITY", i: ringIndex, v: number }  — note played on a MIDI track
+ *                      without instrument, v ≈ velocity (0..1)
+ *   { evt: "RT_CLIP",  i: ringIndex, s: sceneIndex, state: ClipState, color: [r, g, b] }
+ *   { evt: "RT_SCENE", s: sceneIndex, name: string, color: [r, g, b], triggered: boolean }
+ *   { evt: "RT_RING",  trackOffset, sceneOffset, width, scenes, totalTracks, totalScenes, group }  — ring position
+ *   { evt: "RT_METER", l: number[], r: number[], ml: number, mr: number }  — opt-in meters, 0–15 per ring index + master
+ *   { evt: "RT_TRACK_OP", op: string, ok: boolean, error?: string }  — result of a track create/delete/... command
  *   { evt: "RT_SELECTED", index, ringIndex, name, color: [r, g, b] }  — selected track info
- *   { evt: "RT_PLAYING_CLIP", name: string, color: [r, g, b] }  — currently playing clip on selected track
- *   { evt: "RT_PARAM", name: string, v: number, min: number, max: number }  — selected parameter
- *   { evt: "RT_TRANSPORT", playing: boolean, recording: boolean }  — transport state
+ *   { evt: "RT_PICKUP", i: ringIndex, direction: "up" | "down" | "none" }  — pickup takeover hint
+ *
+ * Transport state (RT_TRANSPORT) is owned by TransportManager. The
+ * song-view listeners (selected track, playing clip, selected parameter)
+ * are owned by SelectionManager, which is shared by all rings.
  */
 
 import { Ableton } from "ableton-js";
-import { Track } from "ableton-js/ns/track";
-import { SubscriptionGroup } from "./subscription-group";
+import { RoutingChannel, RoutingType, Track } from "ableton-js/ns/track";
+import { ClipSlot } from "ableton-js/ns/clip-slot";
+import { Scene } from "ableton-js/ns/scene";
+import { CrossfadeAssignment, MixerDevice } from "ableton-js/ns/mixer-device";
+import { SubscriptionGroup, countSubscriptions } from "./subscription-group";
+import { EncoderAcceleration } from "./encoder-acceleration";
+import { logger } from "./logger";
+import { SelectionManager } from "./selection-manager";
 
 // ---------------------------------------------------------------------------
 // Types
@@ -35,6 +66,14 @@ export interface RingTrackState {
   name: string;
   color: [number, number, number];
   isMidi: boolean;
+  /** Group track that can be folded. */
+  isFoldable: boolean;
+  /** Whether a foldable group is currently folded. */
+  foldState: boolean;
+  /** Whether the track is inside a group. */
+  isGrouped: boolean;
+  /** Name of the parent group track, "" when not grouped. */
+  groupName: string;
   mute: boolean;
   solo: boolean;
   arm: boolean;
@@ -42,10 +81,97 @@ export interface RingTrackState {
   volume: number;
   panning: number;
   sends: number[];
+  /** Crossfader side the track is assigned to. */
+  xfade: XfadeAssign;
+  /** Input routing — only populated for armable tracks. */
+  routing: RingRoutingState;
+  /** Device and output summary — only populated for MIDI tracks. */
+  midi: RingMidiState;
+}
+
+export interface RingMidiState {
+  /** Name of the track's first device, "" when it has none. */
+  device: string;
+  /** Display name of the current output routing. */
+  output: string;
+}
+
+/** Monitoring state as reported in RT_ROUTING events. */
+export type MonitoringState = "in" | "auto" | "off";
+
+export interface RingRoutingState {
+  /** Display name of the current input routing type. */
+  input: string;
+  /** Display names of the available input routing types. */
+  inputOptions: string[];
+  /** Display name of the current input channel. */
+  channel: string;
+  /** Display names of the available input channels. */
+  channelOptions: string[];
+  monitoring: MonitoringState;
+}
+
+/**
+ * How an absolute control (fader, pot) takes over a value that differs
+ * from its physical position:
+ *   "jump"          — the value follows the control immediately
+ *   "pickup"        — moves are ignored until the control crosses the value
+ *   "value-scaling" — the value moves proportionally so that both meet at
+ *                     the end of the control's travel
+ */
+export type TakeoverMode = "jump" | "pickup" | "value-scaling";
+
+/**
+ * How the session-box ring follows a newly selected track that lies
+ * outside its window:
+ *   "off"    — the ring stays put
+ *   "edge"   — the track becomes the ring's leftmost track
+ *   "center" — the track is moved to the middle of the ring
+ *   "page"   — the ring jumps by whole pages (multiples of its width)
+ */
+export type FollowMode = "off" | "edge" | "center" | "page";
+
+export const FOLLOW_MODES: FollowMode[] = ["off", "edge", "center", "page"];
+
+/** Which way to move a control to pick up its value, as sent in RT_PICKUP. */
+export type PickupDirection = "up" | "down" | "none";
+
+/** Crossfade assignment as reported in RT_XFADE events. */
+export type XfadeAssign = "A" | "none" | "B";
+
+/**
+ * Launch state of a clip slot as reported in RT_CLIP events.
+ * "triggered" wins over the playing status so pads can blink while a
+ * launch or stop is quantized.
+ */
+export type ClipState =
+  | "empty"
+  | "stopped"
+  | "playing"
+  | "triggered"
+  | "recording";
+
+export interface RingClipState {
+  trackId: string;
+  /** Absolute scene index (not ring-relative). */
+  scene: number;
+  slot: ClipSlot;
+  hasClip: boolean;
+  playingStatus: string;
+  triggered: boolean;
+  color: [number, number, number];
+}
+
+export interface RingSceneState {
+  id: string;
+  name: string;
+  color: [number, number, number];
+  triggered: boolean;
 }
 
 /** Cached DeviceParameter references — avoids re-fetching mixer_device on every set call. */
 interface MixerDeviceCache {
+  mixer: MixerDevice | null;
   volume: any; // DeviceParameter
   panning: any; // DeviceParameter
   sends: any[]; // DeviceParameter[]
@@ -60,10 +186,22 @@ export type SendMessageFn = (msg: { [key: string]: any }) => void;
 export class RingManager {
   private ableton: Ableton;
   private sendMessage: SendMessageFn;
+  /** Shared encoder acceleration / fine mode for relative adjustments. */
+  private acceleration: EncoderAcceleration;
 
   /** Listeners on ring tracks — keyed "track:{id}:mute", "track:{id}:send:0", etc. */
   private ringSubs = new SubscriptionGroup("ring");
 
+  /** Listeners on clip slots inside the ring — keyed "clip:{trackId}:{scene}:has_clip", etc. */
+  private clipSubs = new SubscriptionGroup("ring-clips");
+
+  /** Listeners on scenes inside the ring — keyed "scene:{id}:name", "scene:{id}:is_triggered", etc. */
+  private sceneSubs = new SubscriptionGroup("ring-scenes");
+
+  /** Output meter listeners — keyed "meter:{trackId}:left", "meter:master:right", etc.
+   *  Empty while metering is disabled. */
+  private meterSubs = new SubscriptionGroup("ring-meters");
+
   /** Global listeners owned by the ring manager (tracks list, return_tracks). */
   private globalSubs = new SubscriptionGroup("ring-global");
 
@@ -80,6 +218,44 @@ export class RingManager {
   /** Cached mixer DeviceParameter objects — avoids UDP round-trips on set calls. */
   private mixerCache = new Map<string, MixerDeviceCache>();
 
+  /** Clip slot state for every slot inside the ring, keyed "{trackId}:{scene}"
+   *  with the absolute scene index. */
+  private clipStates = new Map<string, RingClipState>();
+
+  /** Scene IDs currently in the ring window, in ring-row order. */
+  private currentRingSceneIds: string[] = [];
+
+  /** Maps scene ID → current ring row. Same role as `ringIndexByTrackId`. */
+  private ringIndexBySceneId = new Map<string, number>();
+
+  /** Per-scene state cache for scenes inside the ring. */
+  private sceneStates = new Map<string, RingSceneState>();
+
+  // -- Metering (opt-in) ---------------------------------------------------
+
+  /** Latest raw meter values (0..1) by track ID ("master" for the master track). */
+  private meterLevels = new Map<string, [number, number]>();
+  private meteringEnabled = false;
+  private meterHz = 20;
+  private meterTimer: ReturnType<typeof setInterval> | undefined;
+  /** Last RT_METER payload, used to skip unchanged frames. */
+  private lastMeterFrame = "";
+
+  /** Whether this ring moves Ableton's session box (red box). */
+  private drivesSessionBox = true;
+
+  /** How the session-box ring follows the selected track. */
+  private followMode: FollowMode = "edge";
+
+  /** Whether moving the ring left/right selects its first track. */
+  private selectFollowsRing = true;
+
+  /** Volume set by resetActivePropertyValue (0.85 ≈ 0 dB). */
+  private volumeResetValue = 0.85;
+
+  /** Called after every offset change — used to move linked rings. */
+  onMove: ((trackOffset: number, sceneOffset: number) => void) | undefined;
+
   /** Ring dimensions and offset. */
   private ringWidth = 0;
   private ringScenes = 0;
@@ -89,61 +265,115 @@ export class RingManager {
   /** Master track reference (no mute/solo/arm on master). */
   private masterTrack: Track | undefined;
 
-  /** Visible tracks in the session — excludes children of folded groups.
-   *  Re-fetched on track list changes and before each ring navigation. */
+  /** Tracks the ring navigates over — the visible tracks, or the children
+   *  of the entered group. Re-fetched on track list changes, fold
+   *  changes and before each ring navigation. */
   private allTracks: Track[] = [];
 
-  /** Currently active property for `setActivePropertyValue`. */
-  private activeProperty: string = "volume";
-
-  /** Cached transport state. */
-  private isPlaying: boolean = false;
-  private isRecording: boolean = false;
-
-  // -- Selected track live state (fixes stale raw.name bug) ---------------
+  /** Visible tracks in the session — excludes children of folded groups. */
+  private visibleTracks: Track[] = [];
 
-  /** Live-cached name of the currently selected track. */
-  private selectedTrackName: string = "";
-  /** Live-cached color of the currently selected track. */
-  private selectedTrackColor: [number, number, number] = [0, 0, 0];
-  /** Index of the currently selected track in allTracks. */
-  private selectedTrackIndex: number = -1;
+  /** Entered group tracks, outermost first. Empty = whole set. */
+  private groupStack: Track[] = [];
 
-  // -- Playing clip state (selected track) --------------------------------
+  /** All scenes in the set. Re-fetched whenever the scene list changes. */
+  private allScenes: Scene[] = [];
 
-  /** Name of the currently playing clip on the selected track. */
-  private playingClipName: string = "";
-  /** Color of the currently playing clip on the selected track. */
-  private playingClipColor: [number, number, number] = [0, 0, 0];
+  /** Currently active property for `setActivePropertyValue`. */
+  private activeProperty: string = "volume";
 
-  // -- Selected parameter state ------------------------------------------
+  // -- Takeover for absolute controls -------------------------------------
 
-  /** The DeviceParameter object currently selected in Ableton's UI. */
-  private selectedParam: any = null;
+  private takeoverMode: TakeoverMode = "jump";
+  /** Last hardware position (0..1) per ring index. */
+  private hardwarePositions = new Map<number, number>();
+  /** Ring indices that picked up their value, mapped to "{target}:{property}". */
+  private pickedUp = new Map<number, string>();
+  /** Last RT_PICKUP direction per ring index, so repeats are skipped. */
+  private pickupDirections = new Map<number, PickupDirection>();
 
-  /** Cached properties of the selected parameter. */
-  private selectedParamName: string = "";
-  private selectedParamValue: number = 0;
-  private selectedParamMin: number = 0;
-  private selectedParamMax: number = 1;
-  private selectedParamDefault: number = 0;
+  /** Selected track and parameter, shared by all rings. */
+  private selection: SelectionManager;
 
-  /** Guard: true while onSelectedParameterChanged is fetching min/max.
-   *  Blocks adjustSelectedParameter to prevent stale-range writes. */
-  private selectedParamSwitching: boolean = false;
+  /** Index of the currently selected track in allTracks. */
+  private selectedTrackIndex: number = -1;
 
-  constructor(ableton: Ableton, sendMessage: SendMessageFn) {
+  constructor(
+    ableton: Ableton,
+    sendMessage: SendMessageFn,
+    selection: SelectionManager,
+    acceleration: EncoderAcceleration = new EncoderAcceleration(),
+  ) {
     this.ableton = ableton;
     this.sendMessage = sendMessage;
+    this.selection = selection;
+    this.acceleration = acceleration;
   }
 
   /**
    * Fetch only the tracks currently visible in Ableton's session view.
    * Folded group children are excluded. Called on init, on track list
    * changes, and before each ring navigation to pick up fold changes.
+   *
+   * When a group is entered, `allTracks` is narrowed to its direct
+   * children. Groups that were deleted, hidden or left without visible
+   * children are exited automatically.
    */
   private async refreshVisibleTracks(): Promise<void> {
-    this.allTracks = await this.ableton.song.get("visible_tracks");
+    this.visibleTracks = await this.ableton.song.get("visible_tracks");
+
+    while (this.groupStack.length > 0) {
+      const group = this.groupStack[this.groupStack.length - 1];
+      const children = await this.visibleChildren(group);
+      if (children.length > 0) {
+        this.allTracks = children;
+        return;
+      }
+      this.groupStack.pop();
+    }
+
+    this.allTracks = this.visibleTracks;
+  }
+
+  /**
+   * Visible direct children of a group track. Live lists a group's tracks
+   * right after the group track, so only that run is checked instead of
+   * asking every visible track for its parent.
+   */
+  private async visibleChildren(group: Track): Promise<Track[]> {
+    const start = this.visibleTracks.findIndex(
+      (t) => t.raw.id === group.raw.id,
+    );
+    if (start === -1) return [];
+    const members = new Set([group.raw.id]);
+    const children: Track[] = [];
+    for (const track of this.visibleTracks.slice(start + 1)) {
+      if (!track.raw.is_grouped) break;
+      const parent = await track.get("group_track");
+      // The run ends at the first track outside the group
+      if (!parent || !members.has(parent.id)) break;
+      members.add(track.raw.id);
+      if (parent.id === group.raw.id) children.push(track);
+    }
+    return children;
+  }
+
+  /**
+   * Live's session box offset for the current ring offset. Equal to
+   * `trackOffset` unless the ring is scoped to a group.
+   */
+  private sessionTrackOffset(): number {
+    const first = this.allTracks[this.trackOffset];
+    if (!first) return this.trackOffset;
+    const index = this.visibleTracks.findIndex(
+      (t) => t.raw.id === first.raw.id,
+    );
+    return index === -1 ? this.trackOffset : index;
+  }
+
+  /** Fetch the scene list. Called on init and on scene list changes. */
+  private async refreshScenes(): Promise<void> {
+    this.allScenes = await this.ableton.song.get("scenes");
   }
 
   // -----------------------------------------------------------------------
@@ -158,6 +388,7 @@ export class RingManager {
   async init(): Promise<void> {
     this.masterTrack = await this.ableton.song.get("master_track");
     await this.refreshVisibleTracks();
+    await this.refreshScenes();
 
     // When tracks are added or removed in Ableton, refresh and re-sync.
     await this.globalSubs.add(
@@ -168,7 +399,7 @@ export class RingManager {
           await this.refreshVisibleTracks();
           await this.syncRingListeners();
         } catch (err) {
-          console.warn("[RingManager] Error handling tracks change:", err);
+          logger.warn("[RingManager] Error handling tracks change:", err);
         }
       }),
     );
@@ -181,7 +412,7 @@ export class RingManager {
         try {
           await this.resubscribeSendsForAllRingTracks();
         } catch (err) {
-          console.warn(
+          logger.warn(
             "[RingManager] Error handling return_tracks change:",
             err,
           );
@@ -189,104 +420,31 @@ export class RingManager {
       }),
     );
 
-    // When the user selects a different parameter in Ableton's UI,
-    // subscribe to its value and push name + value to Grid.
-    await this.globalSubs.add(
-      "song:view:selected_parameter",
-      await this.ableton.song.view.addListener(
-        "selected_parameter",
-        async (param) => {
-          try {
-            await this.onSelectedParameterChanged(param);
-          } catch (err) {
-            console.warn(
-              "[RingManager] Error handling selected_parameter change:",
-              err,
-            );
-          }
-        },
-      ),
-    );
-
-    // Also fetch the initially selected parameter
-    try {
-      const initialParam =
-        await this.ableton.song.view.get("selected_parameter");
-      if (initialParam) {
-        await this.onSelectedParameterChanged(initialParam);
-      }
-    } catch (_) {
-      /* no parameter selected yet */
-    }
-
-    // Transport: is_playing
-    this.isPlaying = await this.ableton.song.get("is_playing");
-    await this.globalSubs.add(
-      "song:is_playing",
-      await this.ableton.song.addListener("is_playing", (value) => {
-        this.isPlaying = !!value;
-        this.sendMessage({
-          evt: "RT_TRANSPORT",
-          playing: this.isPlaying,
-          recording: this.isRecording,
-        });
-      }),
-    );
-
-    // Transport: record_mode
-    this.isRecording = !!(await this.ableton.song.get("record_mode"));
+    // When scenes are added, removed or reordered, the clip slot at a given
+    // scene index changes identity — drop all clip listeners and re-sync.
+    // Scenes themselves keep their IDs, so they go through the usual diff.
     await this.globalSubs.add(
-      "song:record_mode",
-      await this.ableton.song.addListener("record_mode", (value) => {
-        this.isRecording = !!value;
-        this.sendMessage({
-          evt: "RT_TRANSPORT",
-          playing: this.isPlaying,
-          recording: this.isRecording,
-        });
+      "song:scenes",
+      await this.ableton.song.addListener("scenes", async () => {
+        try {
+          await this.refreshScenes();
+          await this.syncSceneListeners();
+          await this.clipSubs.clear();
+          this.clipStates.clear();
+          await this.syncClipListeners();
+          this.sendRingState();
+          this.sendSceneSync();
+          this.sendClipSync();
+        } catch (err) {
+          logger.warn("[RingManager] Error handling scenes change:", err);
+        }
       }),
     );
-
-    // Send initial transport state
-    this.sendMessage({
-      evt: "RT_TRANSPORT",
-      playing: this.isPlaying,
-      recording: this.isRecording,
-    });
-
-    // When the user selects a different track in Ableton, move the ring
-    // to keep it visible (if it's outside the current window).
-    await this.globalSubs.add(
-      "song:view:selected_track",
-      await this.ableton.song.view.addListener(
-        "selected_track",
-        async (track) => {
-          try {
-            if (!track) return;
-            const trackIndex = this.allTracks.findIndex(
-              (t) => t.raw.id === track.raw.id,
-            );
-            if (trackIndex !== -1) {
-              await this.followTrackIndex(trackIndex);
-            }
-            this.selectedTrackIndex = trackIndex;
-            // Subscribe to live name/color updates and playing clip for the new selected track
-            await this.subscribeSelectedTrack(track);
-            await this.subscribePlayingClip(track);
-          } catch (err) {
-            console.warn(
-              "[RingManager] Error handling selected_track change:",
-              err,
-            );
-          }
-        },
-      ),
-    );
   }
 
   /**
    * Set ring dimensions and move to an offset. Calls into Ableton's session
-   * box API and then syncs listeners.
+   * box API (when this ring drives it) and then syncs listeners.
    */
   async setupRing(
     numTracks: number,
@@ -299,28 +457,164 @@ export class RingManager {
     this.trackOffset = trackOffset;
     this.sceneOffset = sceneOffset;
 
-    await this.ableton.session.setupSessionBox(numTracks, numScenes);
-    await this.ableton.session.setSessionOffset(trackOffset, sceneOffset);
+    if (this.drivesSessionBox) {
+      await this.ableton.session.setupSessionBox(numTracks, numScenes);
+    }
+    await this.moveSessionBox();
     await this.syncRingListeners();
+    this.onMove?.(this.trackOffset, this.sceneOffset);
   }
 
   /**
-   * Move the ring offset. Syncs listeners via diff.
+   * Move the ring offset. Syncs listeners via diff. Moving to the current
+   * offset is a no-op, which also stops linked rings from moving each other
+   * back and forth.
    */
   async setOffset(trackOffset: number, sceneOffset: number): Promise<void> {
+    if (trackOffset === this.trackOffset && sceneOffset === this.sceneOffset) {
+      return;
+    }
     this.trackOffset = trackOffset;
     this.sceneOffset = sceneOffset;
-    await this.ableton.session.setSessionOffset(trackOffset, sceneOffset);
+    await this.moveSessionBox();
+    await this.syncRingListeners();
+    this.onMove?.(this.trackOffset, this.sceneOffset);
+  }
+
+  /**
+   * Hand Ableton's session box to or take it away from this ring. A ring
+   * taking over resizes and moves the box to its own window.
+   */
+  async setDrivesSessionBox(drives: boolean): Promise<void> {
+    this.drivesSessionBox = drives;
+    if (drives && this.ringWidth > 0) {
+      await this.ableton.session.setupSessionBox(
+        this.ringWidth,
+        this.ringScenes,
+      );
+      await this.moveSessionBox();
+    }
+  }
+
+  /** Set how the ring follows the selected track. Unknown modes are ignored. */
+  setFollowMode(mode: FollowMode): void {
+    if (FOLLOW_MODES.includes(mode)) this.followMode = mode;
+  }
+
+  /** Enable or disable selecting the ring's first track on navigation. */
+  setSelectFollowsRing(on: boolean): void {
+    this.selectFollowsRing = on;
+  }
+
+  /** Set the volume the reset command restores (0..1). */
+  setVolumeResetValue(value: number): void {
+    this.volumeResetValue = Math.max(0, Math.min(1, value));
+  }
+
+  private async moveSessionBox(): Promise<void> {
+    if (!this.drivesSessionBox) return;
+    await this.ableton.session.setSessionOffset(
+      this.sessionTrackOffset(),
+      this.sceneOffset,
+    );
+  }
+
+  // -----------------------------------------------------------------------
+  // Group tracks
+  // -----------------------------------------------------------------------
+
+  /**
+   * Fold or unfold the group track at a ring index. No-op for tracks that
+   * aren't groups. Visibility changes aren't observable, so the ring is
+   * re-synced here.
+   */
+  async toggleFold(ringIndex: number): Promise<void> {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track || !track.raw.is_foldable) return;
+    const folded = !!(await track.get("fold_state"));
+    await track.set("fold_state", folded ? 0 : 1);
+    await this.refreshVisibleTracks();
+    await this.refreshFoldStates();
     await this.syncRingListeners();
   }
 
   /**
-   * Move the ring left or right by 1 track.
+   * Scope the ring to the children of the group track at a ring index.
+   * The group is unfolded first so its children are visible in Live.
+   */
+  async enterGroup(ringIndex: number): Promise<void> {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track || !track.raw.is_foldable) return;
+    if (await track.get("fold_state")) {
+      await track.set("fold_state", 0);
+    }
+    this.groupStack.push(track);
+    await this.refreshVisibleTracks();
+    await this.setOffset(0, this.sceneOffset);
+  }
+
+  /**
+   * Leave the innermost entered group. The ring moves so the group track
+   * itself is in view.
+   */
+  async exitGroup(): Promise<void> {
+    const group = this.groupStack.pop();
+    if (!group) return;
+    await this.refreshVisibleTracks();
+    const index = this.allTracks.findIndex((t) => t.raw.id === group.raw.id);
+    const maxOffset = Math.max(0, this.allTracks.length - this.ringWidth);
+    await this.setOffset(
+      Math.max(0, Math.min(index, maxOffset)),
+      this.sceneOffset,
+    );
+  }
+
+  /**
+   * Re-read `fold_state` for groups in the ring. It isn't observable, so
+   * this runs after fold changes and on navigation.
+   */
+  private async refreshFoldStates(): Promise<void> {
+    for (const id of this.currentRingTrackIds) {
+      const state = this.trackStates.get(id);
+      const track = this.allTracks.find((t) => t.raw.id === id);
+      if (!state || !track || !state.isFoldable) continue;
+      try {
+        state.foldState = !!(await track.get("fold_state"));
+      } catch (err) {
+        logger.warn(`[RingManager] Failed to read fold state of ${id}:`, err);
+      }
+    }
+  }
+
+  /**
+   * Move the ring by 1 track (left/right) or 1 scene (up/down). In page
+   * mode the ring jumps by its full width or height instead. Offsets are
+   * clamped so the ring never runs past the last track or scene.
    */
-  async navigateRing(direction: "left" | "right"): Promise<void> {
+  async navigateRing(
+    direction: "left" | "right" | "up" | "down",
+    page = false,
+  ): Promise<void> {
     // Refresh visible tracks to pick up any fold/unfold changes
     await this.refreshVisibleTracks();
-    const delta = direction === "right" ? 1 : -1;
+    await this.refreshFoldStates();
+
+    if (direction === "up" || direction === "down") {
+      const step = page ? Math.max(1, this.ringScenes) : 1;
+      const delta = direction === "down" ? step : -step;
+      const maxOffset = Math.max(0, this.allScenes.length - this.ringScenes);
+      const newOffset = Math.max(
+        0,
+        Math.min(this.sceneOffset + delta, maxOffset),
+      );
+      if (newOffset !== this.sceneOffset) {
+        await this.setOffset(this.trackOffset, newOffset);
+      }
+      return;
+    }
+
+    const step = page ? Math.max(1, this.ringWidth) : 1;
+    const delta = direction === "right" ? step : -step;
     const maxOffset = Math.max(0, this.allTracks.length - this.ringWidth);
     const newOffset = Math.max(
       0,
@@ -329,7 +623,7 @@ export class RingManager {
     if (newOffset !== this.trackOffset) {
       await this.setOffset(newOffset, this.sceneOffset);
       // Also update Ableton's selected track so the session view follows the ring
-      this.selectTrackInRing(0);
+      if (this.selectFollowsRing) this.selectTrackInRing(0);
     }
   }
 
@@ -337,18 +631,51 @@ export class RingManager {
    * Clean up all listeners managed by this RingManager.
    */
   async destroy(): Promise<void> {
+    this.stopMeterTimer();
+    this.meteringEnabled = false;
+    await this.meterSubs.clear();
+    this.meterLevels.clear();
     await this.ringSubs.clear();
+    await this.clipSubs.clear();
+    await this.sceneSubs.clear();
     await this.globalSubs.clear();
     this.currentRingTrackIds = [];
+    this.groupStack = [];
+    this.hardwarePositions.clear();
+    this.pickedUp.clear();
+    this.pickupDirections.clear();
     this.ringIndexByTrackId.clear();
     this.trackStates.clear();
     this.mixerCache.clear();
-    this.selectedParam = null;
-    this.selectedTrackName = "";
-    this.selectedTrackColor = [0, 0, 0];
+    this.clipStates.clear();
+    this.currentRingSceneIds = [];
+    this.ringIndexBySceneId.clear();
+    this.sceneStates.clear();
     this.selectedTrackIndex = -1;
-    this.playingClipName = "";
-    this.playingClipColor = [0, 0, 0];
+  }
+
+  /**
+   * Drop every subscription and set the ring up again with its current
+   * dimensions, offsets, entered groups and metering. Used after a
+   * reconnection, when Live has forgotten all listeners.
+   */
+  async rebuild(): Promise<void> {
+    const metering = this.meteringEnabled;
+    const groupStack = this.groupStack;
+    await this.destroy();
+    this.groupStack = [...groupStack];
+    await this.init();
+    // The track offset is relative to the entered group; start over if
+    // init had to leave it (e.g. Live restarted with new track ids)
+    const trackOffset =
+      this.groupStack.length === groupStack.length ? this.trackOffset : 0;
+    await this.setupRing(
+      this.ringWidth,
+      this.ringScenes,
+      trackOffset,
+      this.sceneOffset,
+    );
+    if (metering) await this.setMetering(true);
   }
 
   // -----------------------------------------------------------------------
@@ -399,6 +726,84 @@ export class RingManager {
     track.set("arm", !state.arm);
   }
 
+  /**
+   * Cycle the monitoring state of the track at a ring index:
+   * In → Auto → Off → In. No-op for tracks that can't be armed.
+   * Fire-and-forget — the listener callback will update cache and notify Grid.
+   */
+  cycleMonitoring(ringIndex: number): void {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track) return;
+    const state = this.trackStates.get(track.raw.id);
+    if (!state || !state.canBeArmed) return;
+    const current = MONITORING_STATES.indexOf(state.routing.monitoring);
+    track
+      .set("current_monitoring_state", (current + 1) % 3)
+      .catch((err) =>
+        logger.warn("[RingManager] Failed to set monitoring state:", err),
+      );
+  }
+
+  /**
+   * Set the input routing type of the track at a ring index by its
+   * position in the `inputOptions` list of the last RT_ROUTING event.
+   * Fire-and-forget — the listener callback will update cache and notify Grid.
+   */
+  setInputRouting(ringIndex: number, optionIndex: number): void {
+    this.setRoutingOption(ringIndex, "type", optionIndex);
+  }
+
+  /**
+   * Set the input channel of the track at a ring index by its position in
+   * the `channelOptions` list of the last RT_ROUTING event.
+   * Fire-and-forget — the listener callback will update cache and notify Grid.
+   */
+  setInputChannel(ringIndex: number, optionIndex: number): void {
+    this.setRoutingOption(ringIndex, "channel", optionIndex);
+  }
+
+  /**
+   * Write an entry of the track's available input routing types or
+   * channels. The list is re-read first, and the entry is only written if
+   * it still carries the name Grid was shown.
+   */
+  private setRoutingOption(
+    ringIndex: number,
+    kind: "type" | "channel",
+    optionIndex: number,
+  ): void {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track) return;
+    const state = this.trackStates.get(track.raw.id);
+    if (!state || !state.canBeArmed) return;
+    const name =
+      kind === "type"
+        ? state.routing.inputOptions[optionIndex]
+        : state.routing.channelOptions[optionIndex];
+    if (name === undefined) return;
+
+    const routable = track as unknown as RoutableTrack;
+    const request =
+      kind === "type"
+        ? track
+            .get("available_input_routing_types")
+            .then((types) =>
+              types?.[optionIndex]?.display_name === name
+                ? routable.set("input_routing_type", types[optionIndex])
+                : null,
+            )
+        : track
+            .get("available_input_routing_channels")
+            .then((channels) =>
+              channels?.[optionIndex]?.display_name === name
+                ? routable.set("input_routing_channel", channels[optionIndex])
+                : null,
+            );
+    request.catch((err) =>
+      logger.warn(`[RingManager] Failed to set input routing ${kind}:`, err),
+    );
+  }
+
   /**
    * Set volume on the track at a ring index (0..1).
    * Fire-and-forget — the listener callback will update cache and notify Grid.
@@ -435,6 +840,155 @@ export class RingManager {
     cached.sends[sendIndex].set("value", value);
   }
 
+  /**
+   * Assign the track at a ring index to crossfader side A, B or neither.
+   * Fire-and-forget — the listener callback will update cache and notify Grid.
+   */
+  setXfadeAssign(ringIndex: number, side: XfadeAssign): void {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track) return;
+    const cached = this.mixerCache.get(track.raw.id);
+    const value = XFADE_ASSIGN_VALUES[side];
+    if (!cached?.mixer || value === undefined) return;
+    cached.mixer
+      .set("crossfade_assign", value)
+      .catch((err) =>
+        logger.warn("[RingManager] Failed to set crossfade assignment:", err),
+      );
+  }
+
+  /**
+   * Fire the clip slot at (ringIndex, sceneIndex) within the ring. Firing an
+   * empty slot triggers its stop button, matching Live's own pad behavior.
+   * Fire-and-forget — the slot listeners will notify Grid.
+   */
+  launchClip(ringIndex: number, sceneIndex: number): void {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track || sceneIndex < 0 || sceneIndex >= this.ringScenes) return;
+    const clip = this.clipStates.get(
+      `${track.raw.id}:${this.sceneOffset + sceneIndex}`,
+    );
+    if (!clip) return;
+    clip.slot
+      .fire()
+      .catch((err) =>
+        logger.warn("[RingManager] Failed to fire clip slot:", err),
+      );
+  }
+
+  /**
+   * Fire the scene at a ring row. Fire-and-forget — the scene's
+   * is_triggered listener will notify Grid.
+   */
+  launchScene(sceneIndex: number): void {
+    if (sceneIndex < 0 || sceneIndex >= this.ringScenes) return;
+    const scene = this.allScenes[this.sceneOffset + sceneIndex];
+    if (!scene) return;
+    scene
+      .fire()
+      .catch((err) => logger.warn("[RingManager] Failed to fire scene:", err));
+  }
+
+  /** Stop all playing clips in the set (Live's "Stop All Clips" button). */
+  stopAllClips(): void {
+    this.ableton.song
+      .stopAllClips()
+      .catch((err) =>
+        logger.warn("[RingManager] Failed to stop all clips:", err),
+      );
+  }
+
+  // -----------------------------------------------------------------------
+  // Track structure (create / duplicate / delete / rename / color)
+  // -----------------------------------------------------------------------
+  // The song:tracks listener re-syncs the ring after structural changes;
+  // these methods only report success or failure via RT_TRACK_OP.
+
+  /**
+   * Create a new audio, MIDI or return track. `index` is Live's track index
+   * (-1 or omitted appends at the end); return tracks are always appended.
+   */
+  async createTrack(
+    kind: "audio" | "midi" | "return",
+    index: number = -1,
+  ): Promise<void> {
+    await this.runTrackOp("create", async () => {
+      if (kind === "audio") {
+        await this.ableton.song.createAudioTrack(index);
+      } else if (kind === "midi") {
+        await this.ableton.song.createMidiTrack(index);
+      } else if (kind === "return") {
+        await this.ableton.song.createReturnTrack();
+      } else {
+        throw new Error(`Unknown track kind "${kind}"`);
+      }
+    });
+  }
+
+  /** Duplicate the track at a ring index (the copy is inserted after it). */
+  async duplicateTrack(ringIndex: number): Promise<void> {
+    await this.runTrackOp("duplicate", async () => {
+      const index = await this.songTrackIndex(ringIndex);
+      await this.ableton.song.duplicateTrack(index);
+    });
+  }
+
+  /** Delete the track at a ring index. */
+  async deleteTrack(ringIndex: number): Promise<void> {
+    await this.runTrackOp("delete", async () => {
+      const index = await this.songTrackIndex(ringIndex);
+      await this.ableton.song.deleteTrack(index);
+    });
+  }
+
+  /** Rename the track at a ring index. */
+  async renameTrack(ringIndex: number, name: string): Promise<void> {
+    await this.runTrackOp("rename", async () => {
+      const track = this.getTrackAtRingIndex(ringIndex);
+      if (!track) throw new Error(`No track at ring index ${ringIndex}`);
+      await track.set("name", String(name ?? ""));
+    });
+  }
+
+  /** Set the color of the track at a ring index from Live's color palette. */
+  async setTrackColor(ringIndex: number, colorIndex: number): Promise<void> {
+    await this.runTrackOp("color", async () => {
+      const track = this.getTrackAtRingIndex(ringIndex);
+      if (!track) throw new Error(`No track at ring index ${ringIndex}`);
+      await track.set("color_index", colorIndex);
+    });
+  }
+
+  /**
+   * Resolve a ring index to the track's index in `song.tracks`, which is
+   * what Live's duplicate/delete calls expect. The ring works on
+   * `visible_tracks`, so the two differ when groups are folded.
+   */
+  private async songTrackIndex(ringIndex: number): Promise<number> {
+    const track = this.getTrackAtRingIndex(ringIndex);
+    if (!track) throw new Error(`No track at ring index ${ringIndex}`);
+    const tracks = await this.ableton.song.get("tracks");
+    const index = tracks.findIndex((t) => t.raw.id === track.raw.id);
+    if (index === -1) throw new Error("Track no longer exists");
+    return index;
+  }
+
+  /** Run a track operation and report its outcome to Grid. */
+  private async runTrackOp(op: string, fn: () => Promise<void>): Promise<void> {
+    try {
+      await fn();
+      this.sendMessage({ evt: "RT_TRACK_OP", op, ok: true });
+    } catch (err) {
+      logger.warn(`[RingManager] Track operation "${op}" failed:`, err);
+      this.sendMessage({
+        evt: "RT_TRACK_OP",
+        op,
+        ok: false,
+        error: err instanceof Error ? err.message : String(err),
+      });
+    }
+  }
+
   /**
    * Select the track at a ring index in Ableton's UI (updates Ableton's
    * selected track without moving the ring).
@@ -461,30 +1015,7 @@ export class RingManager {
    */
   private sendActivePropertyState(): void {
     if (this.activeProperty === "selected_parameter") {
-      // Push selected parameter info
-      if (this.selectedParam) {
-        const range = this.selectedParamMax - this.selectedParamMin;
-        this.sendMessage({
-          evt: "RT_PARAM",
-          name: this.selectedParamName,
-          v: this.selectedParamValue,
-          nv:
-            range !== 0
-              ? (this.selectedParamValue - this.selectedParamMin) / range
-              : 0,
-          min: this.selectedParamMin,
-          max: this.selectedParamMax,
-        });
-      } else {
-        this.sendMessage({
-          evt: "RT_PARAM",
-          name: "",
-          v: 0,
-          nv: 0,
-          min: 0,
-          max: 1,
-        });
-      }
+      this.selection.sendParameter();
     } else {
       // Push the active property for all ring tracks
       for (const trackId of this.currentRingTrackIds) {
@@ -531,26 +1062,25 @@ export class RingManager {
    *   panning            → (raw / 255) * 2 - 1          (-1..1)
    *   send:N             → raw / 255                    (0..1)
    *   selected_parameter → raw / 255 * (max - min) + min
+   *
+   * In "pickup" and "value-scaling" takeover modes the raw position is
+   * first run through `takeover()`, which may ignore or rescale it.
    */
   setActivePropertyValue(ringIndex: number, rawValue: number): void {
     // Clamp to 0–255
     const clamped = Math.max(0, Math.min(255, rawValue));
-    const norm = clamped / 255;
+    let norm = clamped / 255;
+
+    const previous = this.hardwarePositions.get(ringIndex);
+    this.hardwarePositions.set(ringIndex, norm);
+    if (this.takeoverMode !== "jump") {
+      const target = this.takeover(ringIndex, norm, previous);
+      if (target === undefined) return;
+      norm = target;
+    }
 
     if (this.activeProperty === "selected_parameter") {
-      if (this.selectedParam && !this.selectedParamSwitching) {
-        const value =
-          this.selectedParamMin +
-          norm * (this.selectedParamMax - this.selectedParamMin);
-        try {
-          this.selectedParam.set("value", value);
-        } catch (err) {
-          console.warn(
-            "[RingManager] Failed to set selected parameter value:",
-            err,
-          );
-        }
-      }
+      this.selection.setParameterNorm(norm);
     } else if (this.activeProperty === "volume") {
       this.setVolume(ringIndex, norm);
     } else if (this.activeProperty === "panning") {
@@ -563,6 +1093,91 @@ export class RingManager {
     }
   }
 
+  /**
+   * Set how absolute controls take over values that differ from their
+   * position. Resets pickup state so every control has to pick up again.
+   */
+  setTakeoverMode(mode: TakeoverMode): void {
+    if (mode !== "jump" && mode !== "pickup" && mode !== "value-scaling") {
+      return;
+    }
+    this.takeoverMode = mode;
+    this.pickedUp.clear();
+    this.pickupDirections.clear();
+  }
+
+  /**
+   * Apply the takeover mode to a control move. Returns the normalized value
+   * to write, or undefined when the move should be ignored.
+   */
+  private takeover(
+    ringIndex: number,
+    position: number,
+    previous: number | undefined,
+  ): number | undefined {
+    const current = this.activePropertyNorm(ringIndex);
+    if (current === undefined) return position;
+
+    if (this.takeoverMode === "value-scaling") {
+      // Without a previous position there is no direction to scale along
+      if (previous === undefined || position === previous) return undefined;
+      const scaled =
+        position > previous
+          ? current + ((position - previous) * (1 - current)) / (1 - previous)
+          : current - ((previous - position) * current) / previous;
+      return Math.max(0, Math.min(1, scaled));
+    }
+
+    // Pickup — engaged once the control reaches or crosses the value, until
+    // the ring index points at another track or property.
+    const key = this.takeoverKey(ringIndex);
+    if (this.pickedUp.get(ringIndex) !== key) {
+      const crossed =
+        previous !== undefined &&
+        (previous - current) * (position - current) <= 0;
+      if (!crossed && Math.abs(position - current) > PICKUP_TOLERANCE) {
+        this.sendPickup(ringIndex, position < current ? "up" : "down");
+        return undefined;
+      }
+      this.pickedUp.set(ringIndex, key);
+      this.sendPickup(ringIndex, "none");
+    }
+    return position;
+  }
+
+  /** Current value of the active property at a ring index, as 0..1. */
+  private activePropertyNorm(ringIndex: number): number | undefined {
+    if (this.activeProperty === "selected_parameter") {
+      return this.selection.parameterNorm();
+    }
+
+    const track = this.getTrackAtRingIndex(ringIndex);
+    const state = track && this.trackStates.get(track.raw.id);
+    if (!state) return undefined;
+
+    if (this.activeProperty === "volume") return state.volume;
+    if (this.activeProperty === "panning") return (state.panning + 1) / 2;
+    if (this.activeProperty.startsWith("send:")) {
+      return state.sends[parseInt(this.activeProperty.slice(5), 10)];
+    }
+    return undefined;
+  }
+
+  /** Identifies what a ring index currently controls, for pickup state. */
+  private takeoverKey(ringIndex: number): string {
+    const target =
+      this.activeProperty === "selected_parameter"
+        ? this.selection.getParameterId()
+        : this.getTrackAtRingIndex(ringIndex)?.raw.id;
+    return `${target}:${this.activeProperty}`;
+  }
+
+  private sendPickup(ringIndex: number, direction: PickupDirection): void {
+    if (this.pickupDirections.get(ringIndex) === direction) return;
+    this.pickupDirections.set(ringIndex, direction);
+    this.sendMessage({ evt: "RT_PICKUP", i: ringIndex, direction });
+  }
+
   /**
    * Adjust the active property by a relative delta. This is the primary
    * method for continuous controls (encoders in relative mode) — it reads
@@ -574,7 +1189,8 @@ export class RingManager {
    * is always applied against the correct cached value.
    *
    * @param ringIndex  - The ring-relative track index
-   * @param delta      - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param delta      - Signed integer from the encoder (+1, -1, +N, -N),
+   *                     accelerated by turn speed and the fine modifier
    * @param stepSize   - How much each delta unit moves the parameter.
    *                     Defaults to 1/127 (~0.8% of full range).
    *                     Smaller = finer control, larger = faster sweeps.
@@ -586,7 +1202,7 @@ export class RingManager {
   ): void {
     if (this.activeProperty === "selected_parameter") {
       // Route to the selected parameter — no ring track needed
-      this.adjustSelectedParameter(delta, stepSize);
+      this.selection.adjustParameter(delta, stepSize);
       return;
     }
 
@@ -596,6 +1212,11 @@ export class RingManager {
     const state = this.trackStates.get(track.raw.id);
     if (!state) return;
 
+    delta = this.acceleration.scale(
+      `ring:${ringIndex}:${this.activeProperty}`,
+      delta,
+    );
+
     if (this.activeProperty === "volume") {
       // Volume range: 0..1
       const newVal = Math.max(0, Math.min(1, state.volume + delta * stepSize));
@@ -620,162 +1241,22 @@ export class RingManager {
     }
   }
 
-  // -----------------------------------------------------------------------
-  // Selected parameter (last-clicked parameter in Ableton's UI)
-  // -----------------------------------------------------------------------
-
-  /**
-   * Called when the selected parameter changes in Ableton.
-   * Tears down the old value listener, caches min/max/name, subscribes
-   * to the new parameter's value, and pushes an RT_PARAM event to Grid.
-   */
-  private async onSelectedParameterChanged(param: any): Promise<void> {
-    // Block encoder adjustments while we're switching
-    this.selectedParamSwitching = true;
-
-    // Remove old value listener
-    await this.globalSubs.removeByPrefix("selected_param:value");
-
-    if (!param) {
-      this.selectedParam = null;
-      this.selectedParamName = "";
-      this.selectedParamValue = 0;
-      this.selectedParamMin = 0;
-      this.selectedParamMax = 1;
-      this.selectedParamDefault = 0;
-      this.selectedParamSwitching = false;
-      this.sendMessage({
-        evt: "RT_PARAM",
-        name: "",
-        v: 0,
-        nv: 0,
-        min: 0,
-        max: 1,
-      });
-      return;
-    }
-
-    try {
-      // Fetch name, value, min, max, default in parallel
-      const [name, value, min, max, defaultVal] = await Promise.all([
-        param.get("name"),
-        param.get("value"),
-        param.get("min"),
-        param.get("max"),
-        param.get("default_value"),
-      ]);
-
-      // Update all cached state atomically before unblocking
-      this.selectedParam = param;
-      this.selectedParamName = name;
-      this.selectedParamValue = value;
-      this.selectedParamMin = min;
-      this.selectedParamMax = max;
-      this.selectedParamDefault =
-        typeof defaultVal === "number"
-          ? defaultVal
-          : parseFloat(defaultVal) || 0;
-
-      // Listen to value changes (e.g. automation, other controllers)
-      await this.globalSubs.add(
-        "selected_param:value",
-        await param.addListener("value", (v: number) => {
-          this.selectedParamValue = v;
-          const range = this.selectedParamMax - this.selectedParamMin;
-          this.sendMessage({
-            evt: "RT_PARAM",
-            name: this.selectedParamName,
-            v,
-            nv: range !== 0 ? (v - this.selectedParamMin) / range : 0,
-            min: this.selectedParamMin,
-            max: this.selectedParamMax,
-          });
-        }),
-      );
-
-      // Push the initial state
-      const range = max - min;
-      this.sendMessage({
-        evt: "RT_PARAM",
-        name,
-        v: value,
-        nv: range !== 0 ? (value - min) / range : 0,
-        min,
-        max,
-      });
-    } catch (err) {
-      console.warn("[RingManager] Failed to set up selected parameter:", err);
-      this.selectedParam = null;
-    } finally {
-      this.selectedParamSwitching = false;
-    }
-  }
-
-  /**
-   * Adjust the selected parameter by a relative delta.
-   * The delta is scaled to the parameter's native [min, max] range.
-   *
-   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
-   * @param stepSize - Fraction of full range per delta unit.
-   *                   Defaults to 1/127 (~0.8% of full range).
-   */
-  adjustSelectedParameter(delta: number, stepSize: number = 1 / 127): void {
-    if (!this.selectedParam || this.selectedParamSwitching) return;
-
-    const range = this.selectedParamMax - this.selectedParamMin;
-    if (range === 0) return;
-
-    const step = delta * stepSize * range;
-    const newVal = Math.max(
-      this.selectedParamMin,
-      Math.min(this.selectedParamMax, this.selectedParamValue + step),
-    );
-
-    try {
-      this.selectedParam.set("value", newVal);
-    } catch (err) {
-      console.warn(
-        "[RingManager] Failed to set selected parameter value:",
-        err,
-      );
-    }
-    // The value listener will update selectedParamValue and push RT_PARAM
-  }
-
-  /**
-   * Reset the selected parameter to its default value.
-   */
-  resetSelectedParameter(): void {
-    if (!this.selectedParam || this.selectedParamSwitching) return;
-
-    const value = Math.max(
-      this.selectedParamMin,
-      Math.min(this.selectedParamMax, this.selectedParamDefault),
-    );
-
-    try {
-      this.selectedParam.set("value", value);
-    } catch (err) {
-      console.warn("[RingManager] Failed to reset selected parameter:", err);
-    }
-  }
-
   /**
    * Reset the active property to its default value on the track at a ring
    * index. Uses Ableton's well-known defaults:
-   *   volume  → 0.85  (~0 dB)
+   *   volume  → 0.85  (~0 dB, configurable via setVolumeResetValue)
    *   panning → 0     (center)
    *   send:N  → 0     (off)
-   *   selected_parameter → factory default (via resetSelectedParameter)
+   *   selected_parameter → factory default (via SelectionManager)
    */
   resetActivePropertyValue(ringIndex: number): void {
     if (this.activeProperty === "selected_parameter") {
-      this.resetSelectedParameter();
+      this.selection.resetParameter();
       return;
     }
 
     if (this.activeProperty === "volume") {
-      this.setVolume(ringIndex, 0.85);
+      this.setVolume(ringIndex, this.volumeResetValue);
     } else if (this.activeProperty === "panning") {
       this.setPanning(ringIndex, 0);
     } else if (this.activeProperty.startsWith("send:")) {
@@ -787,208 +1268,38 @@ export class RingManager {
   }
 
   // -----------------------------------------------------------------------
-  // Selected track live subscriptions (fixes stale raw.name bug)
+  // Selected track (reported by SelectionManager)
   // -----------------------------------------------------------------------
 
   /**
-   * Subscribe to live name and color changes on the selected track.
-   * This replaces the stale `track.raw.name` snapshot with a live listener
-   * so that renames are immediately reflected in RT_SELECTED events.
+   * Called when another track is selected in Ableton. The session-box ring
+   * moves to keep it visible (if it's outside the current window); every
+   * ring reports it as RT_SELECTED.
    */
-  private async subscribeSelectedTrack(track: Track): Promise<void> {
-    // Tear down previous selected-track property listeners
-    await this.globalSubs.removeByPrefix("selected_track_prop");
-
-    // Fetch live name (not stale raw snapshot)
-    this.selectedTrackName = await track.get("name");
-    this.selectedTrackColor = hexToRgb(track.raw.color);
-
-    const trackId = track.raw.id;
-
-    // Send initial RT_SELECTED with the live name
-    const ringIdx = this.ringIndexByTrackId.get(trackId) ?? -1;
-    this.sendMessage({
-      evt: "RT_SELECTED",
-      index: this.selectedTrackIndex,
-      ringIndex: ringIdx,
-      name: this.selectedTrackName,
-      color: this.selectedTrackColor,
-    });
-
-    // Live name listener — fires when the selected track is renamed
-    await this.globalSubs.add(
-      "selected_track_prop:name",
-      await track.addListener("name", (value) => {
-        this.selectedTrackName = value;
-        const ri = this.ringIndexByTrackId.get(trackId) ?? -1;
-        this.sendMessage({
-          evt: "RT_SELECTED",
-          index: this.selectedTrackIndex,
-          ringIndex: ri,
-          name: value,
-          color: this.selectedTrackColor,
-        });
-      }),
-    );
-
-    // Live color listener — fires when the selected track's color changes
-    await this.globalSubs.add(
-      "selected_track_prop:color",
-      await track.addListener("color", (value: any) => {
-        const rawHex =
-          typeof value === "number"
-            ? value
-            : (value?.numberRepresentation ?? value?.toJSON?.() ?? 0);
-        this.selectedTrackColor = hexToRgb(rawHex);
-        const ri = this.ringIndexByTrackId.get(trackId) ?? -1;
-        this.sendMessage({
-          evt: "RT_SELECTED",
-          index: this.selectedTrackIndex,
-          ringIndex: ri,
-          name: this.selectedTrackName,
-          color: this.selectedTrackColor,
-        });
-      }),
+  async onSelectedTrackChanged(track: Track): Promise<void> {
+    const trackIndex = this.allTracks.findIndex(
+      (t) => t.raw.id === track.raw.id,
     );
+    if (trackIndex !== -1 && this.drivesSessionBox) {
+      await this.followTrackIndex(trackIndex);
+    }
+    this.selectedTrackIndex = trackIndex;
+    this.sendSelectedTrack();
   }
 
-  // -----------------------------------------------------------------------
-  // Playing clip on selected track
-  // -----------------------------------------------------------------------
-
   /**
-   * Subscribe to the playing clip on the selected track.
-   * Watches `playing_slot_index` to detect which clip is playing,
-   * then subscribes to that clip's name and color for live updates.
-   * Sends RT_PLAYING_CLIP events to Grid.
+   * Push RT_SELECTED with the live-cached name and color of the selected
+   * track and its index within this ring (-1 when outside it).
    */
-  private async subscribePlayingClip(track: Track): Promise<void> {
-    // Tear down previous playing-clip listeners
-    await this.globalSubs.removeByPrefix("selected_track_clip");
-    this.playingClipName = "";
-    this.playingClipColor = [0, 0, 0];
-
-    const handleSlotIndex = async (slotIndex: number) => {
-      // Remove any previous clip-property listeners
-      await this.globalSubs.removeByPrefix("selected_track_clip:props");
-
-      if (slotIndex < 0) {
-        // No clip playing (Ableton returns -2 when stopped)
-        this.playingClipName = "";
-        this.playingClipColor = [0, 0, 0];
-        this.sendMessage({
-          evt: "RT_PLAYING_CLIP",
-          name: "",
-          color: [0, 0, 0],
-        });
-        return;
-      }
-
-      try {
-        const clipSlots = await track.get("clip_slots");
-        if (!clipSlots || slotIndex >= clipSlots.length) return;
-
-        const clip = await clipSlots[slotIndex].get("clip");
-        if (!clip) {
-          this.playingClipName = "";
-          this.playingClipColor = [0, 0, 0];
-          this.sendMessage({
-            evt: "RT_PLAYING_CLIP",
-            name: "",
-            color: [0, 0, 0],
-          });
-          return;
-        }
-
-        // Fetch clip name and color
-        const [clipName, clipColor] = await Promise.all([
-          clip.get("name"),
-          clip.get("color"),
-        ]);
-
-        const colorRgb: [number, number, number] = clipColor?.rgb
-          ? [clipColor.rgb.r ?? 0, clipColor.rgb.g ?? 0, clipColor.rgb.b ?? 0]
-          : typeof clipColor === "number"
-            ? hexToRgb(clipColor)
-            : [0, 0, 0];
-
-        this.playingClipName = clipName ?? "";
-        this.playingClipColor = colorRgb;
-        this.sendMessage({
-          evt: "RT_PLAYING_CLIP",
-          name: this.playingClipName,
-          color: this.playingClipColor,
-        });
-
-        // Listen for live clip name changes
-        await this.globalSubs.add(
-          "selected_track_clip:props:name",
-          await clip.addListener("name", (value) => {
-            this.playingClipName = value;
-            this.sendMessage({
-              evt: "RT_PLAYING_CLIP",
-              name: value,
-              color: this.playingClipColor,
-            });
-          }),
-        );
-
-        // Listen for live clip color changes
-        await this.globalSubs.add(
-          "selected_track_clip:props:color",
-          await clip.addListener("color", (value: any) => {
-            const rgb: [number, number, number] = value?.rgb
-              ? [value.rgb.r ?? 0, value.rgb.g ?? 0, value.rgb.b ?? 0]
-              : typeof value === "number"
-                ? hexToRgb(value)
-                : (() => {
-                    const rawHex =
-                      value?.numberRepresentation ?? value?.toJSON?.() ?? 0;
-                    return hexToRgb(rawHex);
-                  })();
-            this.playingClipColor = rgb;
-            this.sendMessage({
-              evt: "RT_PLAYING_CLIP",
-              name: this.playingClipName,
-              color: rgb,
-            });
-          }),
-        );
-      } catch (err) {
-        console.warn("[RingManager] Failed to fetch playing clip info:", err);
-      }
-    };
-
-    // Listen for playing slot changes on the selected track
-    await this.globalSubs.add(
-      "selected_track_clip:slot",
-      await track.addListener(
-        "playing_slot_index",
-        async (slotIndex: number) => {
-          try {
-            await handleSlotIndex(slotIndex);
-          } catch (err) {
-            console.warn(
-              "[RingManager] Error handling playing_slot_index change:",
-              err,
-            );
-          }
-        },
-      ),
-    );
-
-    // Fetch the initial playing slot
-    try {
-      const initialSlot = await track.get("playing_slot_index");
-      await handleSlotIndex(initialSlot);
-    } catch (_) {
-      // No slot playing initially — send empty
-      this.sendMessage({
-        evt: "RT_PLAYING_CLIP",
-        name: "",
-        color: [0, 0, 0],
-      });
-    }
+  sendSelectedTrack(): void {
+    const { id, name, color } = this.selection.getSelectedTrackInfo();
+    this.sendMessage({
+      evt: "RT_SELECTED",
+      index: this.selectedTrackIndex,
+      ringIndex: this.ringIndexByTrackId.get(id) ?? -1,
+      name,
+      color,
+    });
   }
 
   // -----------------------------------------------------------------------
@@ -1030,7 +1341,7 @@ export class RingManager {
       try {
         await this.subscribeRingTrack(track);
       } catch (err) {
-        console.warn(
+        logger.warn(
           `[RingManager] Failed to subscribe to track ${track.raw.id} (may be invisible):`,
           err,
         );
@@ -1040,12 +1351,19 @@ export class RingManager {
     // Update the current ring track IDs
     this.currentRingTrackIds = newIds;
 
+    // Scene rows and clip slots depend on the scene offset as well
+    await this.syncSceneListeners();
+    await this.syncClipListeners();
+    await this.syncMeterListeners();
+
     // Send full state sync to Grid
     this.sendFullSync();
 
-    console.log(
-      `[RingManager] synced ring: offset=${this.trackOffset}, width=${this.ringWidth}, ` +
-        `added=${added.length}, removed=${removed.length}, total subs=${this.ringSubs.size}`,
+    logger.info(
+      `[RingManager] synced ring: offset=${this.trackOffset}/${this.sceneOffset}, ` +
+        `width=${this.ringWidth}, added=${added.length}, removed=${removed.length}, ` +
+        `total subs=${this.ringSubs.size}, scene subs=${this.sceneSubs.size}, ` +
+        `clip subs=${this.clipSubs.size}`,
     );
   }
 
@@ -1066,7 +1384,8 @@ export class RingManager {
     // Helper: resolve current ring index at callback time
     const idx = () => this.ringIndexByTrackId.get(id);
 
-    // Detect MIDI tracks — they lack meaningful volume/pan controls
+    // Detect MIDI tracks — without an instrument they lack meaningful
+    // volume/pan controls, so they report their devices and MIDI output
     const hasMidiInput = await track.get("has_midi_input");
     const hasAudioInput = await track.get("has_audio_input");
     const trackIsMidi = !!hasMidiInput && !hasAudioInput;
@@ -1074,12 +1393,19 @@ export class RingManager {
     // Initialize state — fetch ALL values fresh from Ableton, never use
     // stale track.raw snapshots for mutable properties.
     const liveName = await track.get("name");
+    const isFoldable = !!track.raw.is_foldable;
+    const isGrouped = !!track.raw.is_grouped;
+    const groupTrack = isGrouped ? await track.get("group_track") : null;
     const state: RingTrackState = {
       id,
       ringIndex: idx() ?? 0,
       name: liveName,
       color: hexToRgb(track.raw.color),
       isMidi: trackIsMidi,
+      isFoldable,
+      foldState: isFoldable ? !!(await track.get("fold_state")) : false,
+      isGrouped,
+      groupName: groupTrack?.name ?? "",
       mute: false,
       solo: false,
       arm: false,
@@ -1087,6 +1413,15 @@ export class RingManager {
       volume: 0,
       panning: 0,
       sends: [],
+      xfade: "none",
+      routing: {
+        input: "",
+        inputOptions: [],
+        channel: "",
+        channelOptions: [],
+        monitoring: "off",
+      },
+      midi: { device: "", output: "" },
     };
 
     // Name listener
@@ -1096,15 +1431,7 @@ export class RingManager {
         const s = this.trackStates.get(id);
         if (s) s.name = value;
         const i = idx();
-        if (i !== undefined) {
-          this.sendMessage({
-            evt: "RT_INFO",
-            i,
-            name: value,
-            color: s?.color ?? [0, 0, 0],
-            isMidi: s?.isMidi ?? false,
-          });
-        }
+        if (s && i !== undefined) this.sendTrackInfo(i, s);
       }),
     );
 
@@ -1120,15 +1447,7 @@ export class RingManager {
         const s = this.trackStates.get(id);
         if (s) s.color = rgb;
         const i = idx();
-        if (i !== undefined) {
-          this.sendMessage({
-            evt: "RT_INFO",
-            i,
-            name: s?.name ?? "",
-            color: rgb,
-            isMidi: s?.isMidi ?? false,
-          });
-        }
+        if (s && i !== undefined) this.sendTrackInfo(i, s);
       }),
     );
 
@@ -1181,6 +1500,69 @@ export class RingManager {
           }
         }),
       );
+
+      // Input routing & monitoring. The available options depend on the
+      // current routing type, so they are re-read on every change.
+      state.routing = await this.readRouting(track);
+      const onRoutingChange = async () => {
+        try {
+          const s = this.trackStates.get(id);
+          if (!s) return;
+          s.routing = await this.readRouting(track);
+          const i = idx();
+          if (i !== undefined) this.sendRouting(i, s);
+        } catch (err) {
+          logger.warn(
+            `[RingManager] Failed to refresh routing of track ${id}:`,
+            err,
+          );
+        }
+      };
+      const routable = track as unknown as RoutableTrack;
+      await this.ringSubs.add(
+        `track:${id}:input_routing_type`,
+        await routable.addListener("input_routing_type", onRoutingChange),
+      );
+      await this.ringSubs.add(
+        `track:${id}:input_routing_channel`,
+        await routable.addListener("input_routing_channel", onRoutingChange),
+      );
+      await this.ringSubs.add(
+        `track:${id}:monitoring`,
+        await track.addListener("current_monitoring_state", onRoutingChange),
+      );
+    }
+
+    // MIDI tracks: first device and output routing. Tracks that output MIDI
+    // (no instrument) also report note activity.
+    if (trackIsMidi) {
+      const midi = await this.readMidiInfo(track);
+      state.midi = { device: midi.device, output: midi.output };
+      const onMidiChange = async () => {
+        try {
+          const s = this.trackStates.get(id);
+          if (!s) return;
+          const info = await this.readMidiInfo(track);
+          s.midi = { device: info.device, output: info.output };
+          await this.syncActivityListener(id, track, info.hasMidiOutput);
+          const i = idx();
+          if (i !== undefined) this.sendMidiInfo(i, s);
+        } catch (err) {
+          logger.warn(
+            `[RingManager] Failed to refresh MIDI info of track ${id}:`,
+            err,
+          );
+        }
+      };
+      await this.ringSubs.add(
+        `track:${id}:devices`,
+        await track.addListener("devices", onMidiChange),
+      );
+      await this.ringSubs.add(
+        `track:${id}:output_routing`,
+        await track.addListener("current_output_routing", onMidiChange),
+      );
+      await this.syncActivityListener(id, track, midi.hasMidiOutput);
     }
 
     // Mixer device params
@@ -1232,6 +1614,22 @@ export class RingManager {
       );
     }
 
+    // Crossfade assignment — the master strip has no A/B assignment
+    if (!isMaster) {
+      state.xfade = xfadeAssignOf(await mixer.get("crossfade_assign"));
+      await this.ringSubs.add(
+        `track:${id}:xfade`,
+        await mixer.addListener("crossfade_assign", (value) => {
+          const s = this.trackStates.get(id);
+          if (s) s.xfade = xfadeAssignOf(value);
+          const i = idx();
+          if (i !== undefined) {
+            this.sendMessage({ evt: "RT_XFADE", i, v: xfadeAssignOf(value) });
+          }
+        }),
+      );
+    }
+
     // Sends (array — one DeviceParameter per return track)
     let sendParams: any[] = [];
     if (!isMaster) {
@@ -1255,6 +1653,7 @@ export class RingManager {
 
     // Cache mixer DeviceParameter refs so set calls skip UDP round-trips
     this.mixerCache.set(id, {
+      mixer: isMaster ? null : mixer,
       volume: volumeParam,
       panning: panningParam,
       sends: sendParams,
@@ -1264,6 +1663,461 @@ export class RingManager {
     this.trackStates.set(id, state);
   }
 
+  /**
+   * Fetch the input routing type and channel, their options and the
+   * monitoring state. The current type and channel are looked up in the
+   * available lists, so `input` / `channel` are always one of the options
+   * (or "" when Live reports none).
+   */
+  private async readRouting(track: Track): Promise<RingRoutingState> {
+    const routable = track as unknown as RoutableTrack;
+    const [type, types, channel, channels, monitoring] = await Promise.all([
+      routable.get("input_routing_type"),
+      track.get("available_input_routing_types"),
+      routable.get("input_routing_channel"),
+      track.get("available_input_routing_channels"),
+      track.get("current_monitoring_state"),
+    ]);
+    const inputOptions = (types ?? []).map((t) => t.display_name);
+    const channelOptions = (channels ?? []).map((c) => c.display_name);
+    return {
+      input: inputOptions.find((name) => name === type?.display_name) ?? "",
+      inputOptions,
+      channel:
+        channelOptions.find((name) => name === channel?.display_name) ?? "",
+      channelOptions,
+      monitoring: MONITORING_STATES[monitoring] ?? "off",
+    };
+  }
+
+  /** Fetch the first device name, output routing and MIDI output flag. */
+  private async readMidiInfo(
+    track: Track,
+  ): Promise<RingMidiState & { hasMidiOutput: boolean }> {
+    const [devices, output, hasMidiOutput] = await Promise.all([
+      track.get("devices"),
+      track.get("current_output_routing"),
+      track.get("has_midi_output"),
+    ]);
+    return {
+      device: devices?.[0]?.raw.name ?? "",
+      output: output ?? "",
+      hasMidiOutput: !!hasMidiOutput,
+    };
+  }
+
+  /**
+   * Listen for note activity on a track that outputs MIDI. Without an
+   * instrument, output_meter_level follows the velocity of the notes played,
+   * so every rise is sent as RT_ACTIVITY. Adding an instrument turns the
+   * meter into an audio meter, which removes the listener again.
+   */
+  private async syncActivityListener(
+    id: string,
+    track: Track,
+    hasMidiOutput: boolean,
+  ): Promise<void> {
+    const key = `track:${id}:activity`;
+    if (!hasMidiOutput) {
+      await this.ringSubs.remove(key);
+      return;
+    }
+    if (this.ringSubs.has(key)) return;
+
+    let level = 0;
+    await this.ringSubs.add(
+      key,
+      await track.addListener("output_meter_level", (value) => {
+        const rising = value > level + ACTIVITY_THRESHOLD;
+        level = value;
+        const i = this.ringIndexByTrackId.get(id);
+        if (rising && i !== undefined) {
+          this.sendMessage({ evt: "RT_ACTIVITY", i, v: value });
+        }
+      }),
+    );
+  }
+
+  // -----------------------------------------------------------------------
+  // Scene rows
+  // -----------------------------------------------------------------------
+
+  /**
+   * Compute the scene window, diff against the currently subscribed scenes
+   * and add/remove listeners — the scene counterpart of the track diff in
+   * `syncRingListeners`.
+   */
+  private async syncSceneListeners(): Promise<void> {
+    const windowScenes = this.allScenes.slice(
+      this.sceneOffset,
+      this.sceneOffset + this.ringScenes,
+    );
+    const newIds = windowScenes.map((s) => s.raw.id);
+    const oldIds = new Set(this.currentRingSceneIds);
+    const newIdSet = new Set(newIds);
+
+    // Scenes that left the ring — unsubscribe
+    const removed = this.currentRingSceneIds.filter((id) => !newIdSet.has(id));
+    for (const id of removed) {
+      await this.sceneSubs.removeByPrefix(`scene:${id}:`);
+      this.ringIndexBySceneId.delete(id);
+      this.sceneStates.delete(id);
+    }
+
+    // Update index map for all scenes in the new window
+    for (let s = 0; s < windowScenes.length; s++) {
+      this.ringIndexBySceneId.set(windowScenes[s].raw.id, s);
+    }
+
+    // Scenes that entered the ring — subscribe
+    const added = windowScenes.filter((s) => !oldIds.has(s.raw.id));
+    for (const scene of added) {
+      try {
+        await this.subscribeRingScene(scene);
+      } catch (err) {
+        logger.warn(
+          `[RingManager] Failed to subscribe to scene ${scene.raw.id}:`,
+          err,
+        );
+      }
+    }
+
+    this.currentRingSceneIds = newIds;
+  }
+
+  /**
+   * Subscribe to name, color and trigger state of a single scene. The ring
+   * row is resolved at callback time from `ringIndexBySceneId`.
+   */
+  private async subscribeRingScene(scene: Scene): Promise<void> {
+    const id = scene.raw.id;
+
+    const [name, color, triggered] = await Promise.all([
+      scene.get("name"),
+      scene.get("color"),
+      scene.get("is_triggered"),
+    ]);
+    const state: RingSceneState = {
+      id,
+      name: name ?? "",
+      color: colorToRgb(color),
+      triggered: !!triggered,
+    };
+
+    await this.sceneSubs.add(
+      `scene:${id}:name`,
+      await scene.addListener("name", (value) => {
+        const s = this.sceneStates.get(id);
+        if (!s) return;
+        s.name = value ?? "";
+        this.sendSceneState(s);
+      }),
+    );
+
+    await this.sceneSubs.add(
+      `scene:${id}:color`,
+      await scene.addListener("color", (value: any) => {
+        const s = this.sceneStates.get(id);
+        if (!s) return;
+        s.color = colorToRgb(value);
+        this.sendSceneState(s);
+      }),
+    );
+
+    await this.sceneSubs.add(
+      `scene:${id}:is_triggered`,
+      await scene.addListener("is_triggered", (value) => {
+        const s = this.sceneStates.get(id);
+        if (!s) return;
+        s.triggered = !!value;
+        this.sendSceneState(s);
+      }),
+    );
+
+    this.sceneStates.set(id, state);
+  }
+
+  /** Push one scene's state to Grid, if it is still inside the ring. */
+  private sendSceneState(state: RingSceneState): void {
+    const s = this.ringIndexBySceneId.get(state.id);
+    if (s === undefined) return;
+    this.sendMessage({
+      evt: "RT_SCENE",
+      s,
+      name: state.name,
+      color: state.color,
+      triggered: state.triggered,
+    });
+  }
+
+  /** Push the state of every scene inside the ring to Grid. */
+  private sendSceneSync(): void {
+    for (const id of this.currentRingSceneIds) {
+      const state = this.sceneStates.get(id);
+      if (state) this.sendSceneState(state);
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Clip slot grid (ringWidth × ringScenes)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Diff the clip slots inside the ring window against what's currently
+   * subscribed. Slots are identified by track ID + absolute scene index, so
+   * moving the ring by one track or one scene only touches the slots that
+   * actually entered or left the window.
+   */
+  private async syncClipListeners(): Promise<void> {
+    const sceneEnd = this.sceneOffset + this.ringScenes;
+    const wanted = new Set<string>();
+    for (const trackId of this.currentRingTrackIds) {
+      for (let scene = this.sceneOffset; scene < sceneEnd; scene++) {
+        wanted.add(`${trackId}:${scene}`);
+      }
+    }
+
+    // Slots that left the ring — unsubscribe
+    for (const key of Array.from(this.clipStates.keys())) {
+      if (!wanted.has(key)) {
+        await this.clipSubs.removeByPrefix(`clip:${key}:`);
+        this.clipStates.delete(key);
+      }
+    }
+
+    // Slots that entered the ring — one clip_slots fetch per affected track
+    for (const trackId of this.currentRingTrackIds) {
+      let missing = false;
+      for (let scene = this.sceneOffset; scene < sceneEnd; scene++) {
+        if (!this.clipStates.has(`${trackId}:${scene}`)) missing = true;
+      }
+      if (!missing) continue;
+
+      const track = this.allTracks.find((t) => t.raw.id === trackId);
+      if (!track) continue;
+
+      try {
+        const slots = await track.get("clip_slots");
+        const end = Math.min(sceneEnd, slots.length);
+        for (let scene = this.sceneOffset; scene < end; scene++) {
+          if (this.clipStates.has(`${trackId}:${scene}`)) continue;
+          await this.subscribeClipSlot(trackId, scene, slots[scene]);
+        }
+      } catch (err) {
+        logger.warn(
+          `[RingManager] Failed to subscribe clip slots for track ${trackId}:`,
+          err,
+        );
+      }
+    }
+  }
+
+  /**
+   * Subscribe to a single clip slot. The ring-relative position is resolved
+   * at callback time from `ringIndexByTrackId` and `sceneOffset`, so the
+   * listeners survive ring moves without re-subscription.
+   */
+  private async subscribeClipSlot(
+    trackId: string,
+    scene: number,
+    slot: ClipSlot,
+  ): Promise<void> {
+    const key = `${trackId}:${scene}`;
+
+    // The raw snapshot is fresh — clip_slots was fetched just now
+    const state: RingClipState = {
+      trackId,
+      scene,
+      slot,
+      hasClip: !!slot.raw.has_clip,
+      playingStatus: slot.raw.is_recording
+        ? "recording"
+        : slot.raw.is_playing
+          ? "playing"
+          : "stopped",
+      triggered: !!slot.raw.is_triggered,
+      color: slot.raw.has_clip ? hexToRgb(slot.raw.color ?? 0) : [0, 0, 0],
+    };
+    this.clipStates.set(key, state);
+
+    await this.clipSubs.add(
+      `clip:${key}:has_clip`,
+      await slot.addListener("has_clip", async (value) => {
+        const s = this.clipStates.get(key);
+        if (!s) return;
+        s.hasClip = !!value;
+        if (!s.hasClip) {
+          s.color = [0, 0, 0];
+        } else {
+          try {
+            s.color = colorToRgb(await slot.get("color"));
+          } catch (_) {
+            /* keep the previous color */
+          }
+        }
+        this.sendClipState(s);
+      }),
+    );
+
+    await this.clipSubs.add(
+      `clip:${key}:color`,
+      await slot.addListener("color", (value: any) => {
+        const s = this.clipStates.get(key);
+        if (!s) return;
+        s.color = s.hasClip ? colorToRgb(value) : [0, 0, 0];
+        this.sendClipState(s);
+      }),
+    );
+
+    await this.clipSubs.add(
+      `clip:${key}:playing_status`,
+      await slot.addListener("playing_status", (value) => {
+        const s = this.clipStates.get(key);
+        if (!s) return;
+        s.playingStatus = String(value);
+        this.sendClipState(s);
+      }),
+    );
+
+    await this.clipSubs.add(
+      `clip:${key}:is_triggered`,
+      await slot.addListener("is_triggered", (value) => {
+        const s = this.clipStates.get(key);
+        if (!s) return;
+        s.triggered = !!value;
+        this.sendClipState(s);
+      }),
+    );
+  }
+
+  /** Push one clip slot's state to Grid, if it is still inside the ring. */
+  private sendClipState(state: RingClipState): void {
+    const i = this.ringIndexByTrackId.get(state.trackId);
+    const s = state.scene - this.sceneOffset;
+    if (i === undefined || s < 0 || s >= this.ringScenes) return;
+    this.sendMessage({
+      evt: "RT_CLIP",
+      i,
+      s,
+      state: clipStateOf(state),
+      color: state.color,
+    });
+  }
+
+  /** Push the state of every clip slot inside the ring to Grid. */
+  private sendClipSync(): void {
+    this.clipStates.forEach((state) => this.sendClipState(state));
+  }
+
+  // -----------------------------------------------------------------------
+  // Output metering (opt-in)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Enable or disable metering for the ring tracks and master. Meter
+   * listeners only store the latest value; a timer running at `hz` quantizes
+   * them to 0–15 and sends one RT_METER for the whole ring, skipping frames
+   * where nothing changed.
+   */
+  async setMetering(enabled: boolean, hz?: number): Promise<void> {
+    if (typeof hz === "number" && hz > 0) {
+      this.meterHz = Math.max(1, Math.min(60, hz));
+    }
+    this.meteringEnabled = enabled;
+    this.stopMeterTimer();
+
+    if (!enabled) {
+      await this.meterSubs.clear();
+      this.meterLevels.clear();
+      return;
+    }
+
+    await this.syncMeterListeners();
+    this.lastMeterFrame = "";
+    this.meterTimer = setInterval(
+      () => this.sendMeterFrame(),
+      Math.round(1000 / this.meterHz),
+    );
+  }
+
+  private stopMeterTimer(): void {
+    if (this.meterTimer !== undefined) {
+      clearInterval(this.meterTimer);
+      this.meterTimer = undefined;
+    }
+  }
+
+  /**
+   * Keep meter listeners in line with the ring window. Only active while
+   * metering is enabled; called from `syncRingListeners`.
+   */
+  private async syncMeterListeners(): Promise<void> {
+    if (!this.meteringEnabled) return;
+
+    const wanted = new Set(this.currentRingTrackIds);
+
+    // Tracks that left the ring — unsubscribe
+    for (const id of Array.from(this.meterLevels.keys())) {
+      if (id !== "master" && !wanted.has(id)) {
+        await this.meterSubs.removeByPrefix(`meter:${id}:`);
+        this.meterLevels.delete(id);
+      }
+    }
+
+    // Tracks that entered the ring — subscribe
+    for (const id of this.currentRingTrackIds) {
+      if (this.meterLevels.has(id)) continue;
+      const track = this.allTracks.find((t) => t.raw.id === id);
+      if (track) await this.subscribeMeter(id, track);
+    }
+
+    if (this.masterTrack && !this.meterLevels.has("master")) {
+      await this.subscribeMeter("master", this.masterTrack);
+    }
+  }
+
+  private async subscribeMeter(key: string, track: Track): Promise<void> {
+    const levels: [number, number] = [0, 0];
+    this.meterLevels.set(key, levels);
+    try {
+      await this.meterSubs.add(
+        `meter:${key}:left`,
+        await track.addListener("output_meter_left", (value) => {
+          levels[0] = value;
+        }),
+      );
+      await this.meterSubs.add(
+        `meter:${key}:right`,
+        await track.addListener("output_meter_right", (value) => {
+          levels[1] = value;
+        }),
+      );
+    } catch (err) {
+      // MIDI tracks without an instrument have no audio output to meter
+      logger.warn(`[RingManager] Failed to subscribe meters for ${key}:`, err);
+    }
+  }
+
+  /** Quantize the current meter levels and send them as one RT_METER. */
+  private sendMeterFrame(): void {
+    const l: number[] = [];
+    const r: number[] = [];
+    for (const id of this.currentRingTrackIds) {
+      const levels = this.meterLevels.get(id) ?? [0, 0];
+      l.push(quantizeMeter(levels[0]));
+      r.push(quantizeMeter(levels[1]));
+    }
+    const master = this.meterLevels.get("master") ?? [0, 0];
+    const ml = quantizeMeter(master[0]);
+    const mr = quantizeMeter(master[1]);
+
+    const frame = `${l.join(",")}|${r.join(",")}|${ml},${mr}`;
+    if (frame === this.lastMeterFrame) return;
+    this.lastMeterFrame = frame;
+
+    this.sendMessage({ evt: "RT_METER", l, r, ml, mr });
+  }
+
   // -----------------------------------------------------------------------
   // Sends re-subscription (when return tracks change)
   // -----------------------------------------------------------------------
@@ -1319,7 +2173,7 @@ export class RingManager {
           );
         }
       } catch (err) {
-        console.warn(
+        logger.warn(
           `[RingManager] Failed to resubscribe sends for track ${trackId} (may be invisible):`,
           err,
         );
@@ -1340,6 +2194,8 @@ export class RingManager {
    * path as real-time changes — no separate RT_SYNC parsing needed.
    */
   private sendFullSync(): void {
+    this.sendRingState();
+
     for (const trackId of this.currentRingTrackIds) {
       const state = this.trackStates.get(trackId);
       if (!state) continue;
@@ -1362,13 +2218,10 @@ export class RingManager {
         v: state.panning,
         nv: (state.panning + 1) / 2,
       });
-      this.sendMessage({
-        evt: "RT_INFO",
-        i,
-        name: state.name,
-        color: state.color,
-        isMidi: state.isMidi,
-      });
+      this.sendTrackInfo(i, state);
+      this.sendMessage({ evt: "RT_XFADE", i, v: state.xfade });
+      if (state.canBeArmed) this.sendRouting(i, state);
+      if (state.isMidi) this.sendMidiInfo(i, state);
 
       for (let si = 0; si < state.sends.length; si++) {
         this.sendMessage({
@@ -1380,6 +2233,53 @@ export class RingManager {
         });
       }
     }
+
+    this.sendSceneSync();
+    this.sendClipSync();
+  }
+
+  private sendRouting(i: number, state: RingTrackState): void {
+    this.sendMessage({ evt: "RT_ROUTING", i, ...state.routing });
+  }
+
+  private sendMidiInfo(i: number, state: RingTrackState): void {
+    this.sendMessage({ evt: "RT_MIDI", i, ...state.midi });
+  }
+
+  private sendTrackInfo(i: number, state: RingTrackState): void {
+    this.sendMessage({
+      evt: "RT_INFO",
+      i,
+      name: state.name,
+      color: state.color,
+      isMidi: state.isMidi,
+      isFoldable: state.isFoldable,
+      foldState: state.foldState,
+      isGrouped: state.isGrouped,
+      groupName: state.groupName,
+    });
+  }
+
+  /**
+   * Push the ring position and the live track/scene counts, so Grid can
+   * light "can scroll" indicators without knowing the set's dimensions.
+   */
+  private sendRingState(): void {
+    this.sendMessage({
+      evt: "RT_RING",
+      trackOffset: this.trackOffset,
+      sceneOffset: this.sceneOffset,
+      width: this.ringWidth,
+      scenes: this.ringScenes,
+      totalTracks: this.allTracks.length,
+      totalScenes: this.allScenes.length,
+      group: this.currentGroupName(),
+    });
+  }
+
+  /** Name of the entered group, "" when the ring spans the whole set. */
+  private currentGroupName(): string {
+    return this.groupStack[this.groupStack.length - 1]?.raw.name ?? "";
   }
 
   // -----------------------------------------------------------------------
@@ -1394,10 +2294,12 @@ export class RingManager {
 
   /**
    * Move the ring so that the given track index is visible within the ring
-   * window. If the track is already visible, no move occurs.
+   * window, placed according to the follow mode. If the track is already
+   * visible or following is off, no move occurs.
    * Called when the user selects a track in Ableton's UI.
    */
   async followTrackIndex(trackIndex: number): Promise<void> {
+    if (this.followMode === "off") return;
     if (trackIndex < 0 || trackIndex >= this.allTracks.length) return;
 
     // Already visible in the current ring window — no move needed
@@ -1408,25 +2310,52 @@ export class RingManager {
       return;
     }
 
-    // Move the ring so the selected track is at the left edge of the window.
+    // Place the selected track according to the follow mode.
     // Clamp to valid range.
+    const width = Math.max(1, this.ringWidth);
+    let target = trackIndex;
+    if (this.followMode === "center") {
+      target = trackIndex - Math.floor(width / 2);
+    } else if (this.followMode === "page") {
+      target = Math.floor(trackIndex / width) * width;
+    }
     const maxOffset = Math.max(0, this.allTracks.length - this.ringWidth);
-    const newOffset = Math.max(0, Math.min(trackIndex, maxOffset));
+    const newOffset = Math.max(0, Math.min(target, maxOffset));
     await this.setOffset(newOffset, this.sceneOffset);
   }
 
   /** Expose current ring info for debugging / Preferences UI. */
   getRingInfo() {
     return {
+      drivesSessionBox: this.drivesSessionBox,
+      followMode: this.followMode,
+      selectFollowsRing: this.selectFollowsRing,
       width: this.ringWidth,
       scenes: this.ringScenes,
       trackOffset: this.trackOffset,
       sceneOffset: this.sceneOffset,
+      group: this.currentGroupName(),
+      takeover: this.takeoverMode,
+      activeProperty: this.activeProperty,
       trackIds: [...this.currentRingTrackIds],
+      trackNames: this.currentRingTrackIds.map(
+        (id) => this.trackStates.get(id)?.name ?? "",
+      ),
       subCount: this.ringSubs.size,
     };
   }
 
+  /** Number of active subscriptions per SubscriptionGroup. */
+  getSubscriptionCounts(): { [group: string]: number } {
+    return countSubscriptions([
+      this.ringSubs,
+      this.clipSubs,
+      this.sceneSubs,
+      this.meterSubs,
+      this.globalSubs,
+    ]);
+  }
+
   /**
    * Request a full state dump — pushes all ring track data, the currently
    * selected track, and the currently selected parameter to Grid.
@@ -1435,6 +2364,7 @@ export class RingManager {
   async requestFullState(): Promise<void> {
     // Refresh visible tracks to pick up any fold/unfold changes
     await this.refreshVisibleTracks();
+    await this.refreshFoldStates();
     await this.syncRingListeners();
 
     // 1. Push all ring track states
@@ -1444,67 +2374,20 @@ export class RingManager {
     try {
       const selectedTrack = await this.ableton.song.view.get("selected_track");
       if (selectedTrack) {
-        const trackIndex = this.allTracks.findIndex(
+        this.selectedTrackIndex = this.allTracks.findIndex(
           (t) => t.raw.id === selectedTrack.raw.id,
         );
-        const ringIdx =
-          trackIndex !== -1
-            ? (this.ringIndexByTrackId.get(selectedTrack.raw.id) ?? -1)
-            : -1;
-        this.selectedTrackIndex = trackIndex;
-        this.sendMessage({
-          evt: "RT_SELECTED",
-          index: trackIndex,
-          ringIndex: ringIdx,
-          name: this.selectedTrackName,
-          color: this.selectedTrackColor,
-        });
+        this.sendSelectedTrack();
       }
     } catch (err) {
-      console.warn(
+      logger.warn(
         "[RingManager] Failed to fetch selected track on state request:",
         err,
       );
     }
 
-    // 3. Push playing clip state
-    this.sendMessage({
-      evt: "RT_PLAYING_CLIP",
-      name: this.playingClipName,
-      color: this.playingClipColor,
-    });
-
-    // 4. Push transport state
-    this.sendMessage({
-      evt: "RT_TRANSPORT",
-      playing: this.isPlaying,
-      recording: this.isRecording,
-    });
-
-    // 4. Push currently selected parameter info
-    if (this.selectedParam) {
-      const range = this.selectedParamMax - this.selectedParamMin;
-      this.sendMessage({
-        evt: "RT_PARAM",
-        name: this.selectedParamName,
-        v: this.selectedParamValue,
-        nv:
-          range !== 0
-            ? (this.selectedParamValue - this.selectedParamMin) / range
-            : 0,
-        min: this.selectedParamMin,
-        max: this.selectedParamMax,
-      });
-    } else {
-      this.sendMessage({
-        evt: "RT_PARAM",
-        name: "",
-        v: 0,
-        nv: 0,
-        min: 0,
-        max: 1,
-      });
-    }
+    // 3. Push playing clip and selected parameter info
+    this.selection.requestFullState();
   }
 }
 
@@ -1513,6 +2396,69 @@ export class RingManager {
 // ---------------------------------------------------------------------------
 
 /** Convert a raw hex color integer (0xRRGGBB) to an [r, g, b] tuple. */
-function hexToRgb(hex: number): [number, number, number] {
+export function hexToRgb(hex: number): [number, number, number] {
   return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
 }
+
+/**
+ * Convert a color value from a listener or getter (Color object, raw hex
+ * integer, or null for empty slots) to an [r, g, b] tuple.
+ */
+export function colorToRgb(value: any): [number, number, number] {
+  if (value == null) return [0, 0, 0];
+  if (typeof value === "number") return hexToRgb(value);
+  if (value.rgb) return [value.rgb.r ?? 0, value.rgb.g ?? 0, value.rgb.b ?? 0];
+  return hexToRgb(value.numberRepresentation ?? value.toJSON?.() ?? 0);
+}
+
+/** Quantize a raw meter value (0..1) to one of 16 LED levels (0–15). */
+function quantizeMeter(value: number): number {
+  if (!(value > 0)) return 0;
+  return Math.min(15, Math.round(value * 15));
+}
+
+/** Distance (0..1) at which a pickup control counts as having reached its value. */
+const PICKUP_TOLERANCE = 2 / 255;
+
+/** Rise in output_meter_level (0..1) that counts as a new MIDI note. */
+const ACTIVITY_THRESHOLD = 0.02;
+
+/**
+ * Live's input routing type and channel. ableton-js only types them as
+ * settable numbers; Live reads, writes and observes them as entries of
+ * `available_input_routing_types` / `available_input_routing_channels`.
+ */
+interface RoutableTrack {
+  get(prop: "input_routing_type"): Promise<RoutingType | null>;
+  get(prop: "input_routing_channel"): Promise<RoutingChannel | null>;
+  set(prop: "input_routing_type", value: RoutingType): Promise<null>;
+  set(prop: "input_routing_channel", value: RoutingChannel): Promise<null>;
+  addListener(
+    prop: "input_routing_type" | "input_routing_channel",
+    listener: () => unknown,
+  ): Promise<() => Promise<boolean | undefined>>;
+}
+
+/** Live's current_monitoring_state enum, indexed by value. */
+const MONITORING_STATES: MonitoringState[] = ["in", "auto", "off"];
+
+const XFADE_ASSIGN_VALUES: Record<XfadeAssign, CrossfadeAssignment> = {
+  A: 0,
+  none: 1,
+  B: 2,
+};
+
+/** Map Live's crossfade_assign enum (A=0, None=1, B=2) to RT_XFADE values. */
+function xfadeAssignOf(value: number): XfadeAssign {
+  if (value === 0) return "A";
+  if (value === 2) return "B";
+  return "none";
+}
+
+/** Collapse a clip slot's cached flags into the single RT_CLIP state. */
+function clipStateOf(state: RingClipState): ClipState {
+  if (state.triggered) return "triggered";
+  if (state.playingStatus === "recording") return "recording";
+  if (!state.hasClip) return "empty";
+  return state.playingStatus === "playing" ? "playing" : "stopped";
+}
@@ -0,0 +1,432 @@
+"use strict";
+/**
+ * SelectionManager — owns the song-view listeners shared by every ring:
+ * the selected parameter, the selected track's name and color, and the
+ * clip playing on the selected track.
+ *
+ * These follow Live's global selection, so they are registered once here
+ * rather than once per ring. Rings are told about selected-track changes
+ * through `onSelectedTrack` / `onSelectedTrackInfo` (see `src/index.ts`)
+ * and report RT_SELECTED themselves, since its ring index is relative to
+ * each ring. Rings whose active property is "selected_parameter" read and
+ * write the parameter through this manager.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_PLAYING_CLIP", name: string, color: [r, g, b] }  — currently playing clip on selected track
+ *   { evt: "RT_PARAM", name: string, v: number, nv: number, min: number, max: number }  — selected parameter
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SelectionManager = void 0;
+const subscription_group_1 = require("./subscription-group");
+const encoder_acceleration_1 = require("./encoder-acceleration");
+const ring_manager_1 = require("./ring-manager");
+const logger_1 = require("./logger");
+// ---------------------------------------------------------------------------
+// SelectionManager
+// ---------------------------------------------------------------------------
+class SelectionManager {
+    constructor(ableton, sendMessage, acceleration = new encoder_acceleration_1.EncoderAcceleration()) {
+        /** Song-view listeners and the selected track, clip and parameter ones. */
+        this.globalSubs = new subscription_group_1.SubscriptionGroup("selection");
+        /** Live-cached name of the currently selected track. */
+        this.selectedTrackName = "";
+        /** Live-cached color of the currently selected track. */
+        this.selectedTrackColor = [0, 0, 0];
+        // -- Playing clip state (selected track) --------------------------------
+        /** Name of the currently playing clip on the selected track. */
+        this.playingClipName = "";
+        /** Color of the currently playing clip on the selected track. */
+        this.playingClipColor = [0, 0, 0];
+        // -- Selected parameter state ------------------------------------------
+        /** The DeviceParameter object currently selected in Ableton's UI. */
+        this.selectedParam = null;
+        /** Cached properties of the selected parameter. */
+        this.selectedParamName = "";
+        this.selectedParamValue = 0;
+        this.selectedParamMin = 0;
+        this.selectedParamMax = 1;
+        this.selectedParamDefault = 0;
+        this.selectedParamQuantized = false;
+        /** Guard: true while onSelectedParameterChanged is fetching min/max.
+         *  Blocks parameter writes to prevent stale-range writes. */
+        this.selectedParamSwitching = false;
+        this.ableton = ableton;
+        this.sendMessage = sendMessage;
+        this.acceleration = acceleration;
+    }
+    // -----------------------------------------------------------------------
+    // Lifecycle
+    // -----------------------------------------------------------------------
+    /**
+     * Initialize: register the selected_parameter and selected_track
+     * listeners and push the initially selected parameter.
+     */
+    init() {
+        return __awaiter(this, void 0, void 0, function* () {
+            // When the user selects a different parameter in Ableton's UI,
+            // subscribe to its value and push name + value to Grid.
+            yield this.globalSubs.add("song:view:selected_parameter", yield this.ableton.song.view.addListener("selected_parameter", (param) => __awaiter(this, void 0, void 0, function* () {
+                try {
+                    yield this.onSelectedParameterChanged(param);
+                }
+                catch (err) {
+                    logger_1.logger.warn("[SelectionManager] Error handling selected_parameter change:", err);
+                }
+            })));
+            // Also fetch the initially selected parameter
+            try {
+                const initialParam = yield this.ableton.song.view.get("selected_parameter");
+                if (initialParam) {
+                    yield this.onSelectedParameterChanged(initialParam);
+                }
+            }
+            catch (_) {
+                /* no parameter selected yet */
+            }
+            // When the user selects a different track in Ableton, follow its name,
+            // color and playing clip, and let the rings react.
+            yield this.globalSubs.add("song:view:selected_track", yield this.ableton.song.view.addListener("selected_track", (track) => __awaiter(this, void 0, void 0, function* () {
+                var _a;
+                try {
+                    if (!track)
+                        return;
+                    yield this.subscribeSelectedTrack(track);
+                    yield ((_a = this.onSelectedTrack) === null || _a === void 0 ? void 0 : _a.call(this, track));
+                    yield this.subscribePlayingClip(track);
+                }
+                catch (err) {
+                    logger_1.logger.warn("[SelectionManager] Error handling selected_track change:", err);
+                }
+            })));
+        });
+    }
+    /**
+     * Clean up all listeners managed by this SelectionManager.
+     */
+    destroy() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.globalSubs.clear();
+            this.selectedParam = null;
+            this.selectedTrackId = undefined;
+            this.selectedTrackName = "";
+            this.selectedTrackColor = [0, 0, 0];
+            this.playingClipName = "";
+            this.playingClipColor = [0, 0, 0];
+        });
+    }
+    /** Number of active subscriptions per SubscriptionGroup. */
+    getSubscriptionCounts() {
+        return (0, subscription_group_1.countSubscriptions)([this.globalSubs]);
+    }
+    /** Live-cached id, name and color of the selected track. */
+    getSelectedTrackInfo() {
+        return {
+            id: this.selectedTrackId,
+            name: this.selectedTrackName,
+            color: this.selectedTrackColor,
+        };
+    }
+    /** Push the playing clip and the selected parameter to Grid. */
+    requestFullState() {
+        this.sendPlayingClip();
+        this.sendParameter();
+    }
+    // -----------------------------------------------------------------------
+    // Selected parameter (last-clicked parameter in Ableton's UI)
+    // -----------------------------------------------------------------------
+    /**
+     * Called when the selected parameter changes in Ableton.
+     * Tears down the old value listener, caches min/max/name, subscribes
+     * to the new parameter's value, and pushes an RT_PARAM event to Grid.
+     */
+    onSelectedParameterChanged(param) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a;
+            // Block encoder adjustments while we're switching
+            this.selectedParamSwitching = true;
+            // Remove old value listener
+            yield this.globalSubs.removeByPrefix("selected_param:value");
+            if (!param) {
+                this.selectedParam = null;
+                this.selectedParamName = "";
+                this.selectedParamValue = 0;
+                this.selectedParamMin = 0;
+                this.selectedParamMax = 1;
+                this.selectedParamDefault = 0;
+                this.selectedParamQuantized = false;
+                this.selectedParamSwitching = false;
+                this.sendParameter();
+                return;
+            }
+            try {
+                // Fetch name, value, min, max, default in parallel
+                const [name, value, min, max, defaultVal] = yield Promise.all([
+                    param.get("name"),
+                    param.get("value"),
+                    param.get("min"),
+                    param.get("max"),
+                    param.get("default_value"),
+                ]);
+                // Update all cached state atomically before unblocking
+                this.selectedParam = param;
+                this.selectedParamName = name;
+                this.selectedParamValue = value;
+                this.selectedParamMin = min;
+                this.selectedParamMax = max;
+                this.selectedParamQuantized = !!((_a = param.raw) === null || _a === void 0 ? void 0 : _a.is_quantized);
+                this.selectedParamDefault =
+                    typeof defaultVal === "number"
+                        ? defaultVal
+                        : parseFloat(defaultVal) || 0;
+                // Listen to value changes (e.g. automation, other controllers)
+                yield this.globalSubs.add("selected_param:value", yield param.addListener("value", (v) => {
+                    this.selectedParamValue = v;
+                    this.sendParameter();
+                }));
+                // Push the initial state
+                this.sendParameter();
+            }
+            catch (err) {
+                logger_1.logger.warn("[SelectionManager] Failed to set up selected parameter:", err);
+                this.selectedParam = null;
+            }
+            finally {
+                this.selectedParamSwitching = false;
+            }
+        });
+    }
+    /** Push RT_PARAM for the selected parameter (empty when none). */
+    sendParameter() {
+        if (!this.selectedParam) {
+            this.sendMessage({
+                evt: "RT_PARAM",
+                name: "",
+                v: 0,
+                nv: 0,
+                min: 0,
+                max: 1,
+            });
+            return;
+        }
+        this.sendMessage({
+            evt: "RT_PARAM",
+            name: this.selectedParamName,
+            v: this.selectedParamValue,
+            nv: this.parameterNorm(),
+            min: this.selectedParamMin,
+            max: this.selectedParamMax,
+        });
+    }
+    /** Id of the selected parameter, or undefined when none is selected. */
+    getParameterId() {
+        var _a, _b;
+        return (_b = (_a = this.selectedParam) === null || _a === void 0 ? void 0 : _a.raw) === null || _b === void 0 ? void 0 : _b.id;
+    }
+    /**
+     * Value of the selected parameter as 0..1, or undefined when none is
+     * selected.
+     */
+    parameterNorm() {
+        if (!this.selectedParam)
+            return undefined;
+        const range = this.selectedParamMax - this.selectedParamMin;
+        return range !== 0
+            ? (this.selectedParamValue - this.selectedParamMin) / range
+            : 0;
+    }
+    /**
+     * Set the selected parameter from a 0..1 position mapped to its native
+     * [min, max] range. Fire-and-forget — the value listener will notify Grid.
+     */
+    setParameterNorm(norm) {
+        if (!this.selectedParam || this.selectedParamSwitching)
+            return;
+        const value = this.selectedParamMin +
+            norm * (this.selectedParamMax - this.selectedParamMin);
+        this.setParameterValue(value);
+    }
+    /**
+     * Adjust the selected parameter by a relative delta.
+     * The delta is accelerated by turn speed and scaled to the parameter's
+     * native [min, max] range; quantized parameters move one choice per click.
+     *
+     * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+     * @param stepSize - Fraction of full range per delta unit.
+     *                   Defaults to 1/127 (~0.8% of full range).
+     */
+    adjustParameter(delta, stepSize = 1 / 127) {
+        if (!this.selectedParam || this.selectedParamSwitching)
+            return;
+        const range = this.selectedParamMax - this.selectedParamMin;
+        if (range === 0)
+            return;
+        const newVal = this.selectedParamQuantized
+            ? (0, encoder_acceleration_1.detentValue)(this.selectedParamValue, delta, this.selectedParamMin, this.selectedParamMax)
+            : Math.max(this.selectedParamMin, Math.min(this.selectedParamMax, this.selectedParamValue +
+                this.acceleration.scale("selected_parameter", delta) *
+                    stepSize *
+                    range));
+        this.setParameterValue(newVal);
+        // The value listener will update selectedParamValue and push RT_PARAM
+    }
+    /**
+     * Reset the selected parameter to its default value.
+     */
+    resetParameter() {
+        if (!this.selectedParam || this.selectedParamSwitching)
+            return;
+        this.setParameterValue(Math.max(this.selectedParamMin, Math.min(this.selectedParamMax, this.selectedParamDefault)));
+    }
+    setParameterValue(value) {
+        this.selectedParam
+            .set("value", value)
+            .catch((err) => logger_1.logger.warn("[SelectionManager] Failed to set selected parameter value:", err));
+    }
+    // -----------------------------------------------------------------------
+    // Selected track live subscriptions (fixes stale raw.name bug)
+    // -----------------------------------------------------------------------
+    /**
+     * Subscribe to live name and color changes on the selected track.
+     * This replaces the stale `track.raw.name` snapshot with a live listener
+     * so that renames are immediately reflected in RT_SELECTED events.
+     */
+    subscribeSelectedTrack(track) {
+        return __awaiter(this, void 0, void 0, function* () {
+            // Tear down previous selected-track property listeners
+            yield this.globalSubs.removeByPrefix("selected_track_prop");
+            // Fetch live name (not stale raw snapshot)
+            this.selectedTrackId = track.raw.id;
+            this.selectedTrackName = yield track.get("name");
+            this.selectedTrackColor = (0, ring_manager_1.hexToRgb)(track.raw.color);
+            // Live name listener — fires when the selected track is renamed
+            yield this.globalSubs.add("selected_track_prop:name", yield track.addListener("name", (value) => {
+                var _a;
+                this.selectedTrackName = value;
+                (_a = this.onSelectedTrackInfo) === null || _a === void 0 ? void 0 : _a.call(this);
+            }));
+            // Live color listener — fires when the selected track's color changes
+            yield this.globalSubs.add("selected_track_prop:color", yield track.addListener("color", (value) => {
+                var _a, _b, _c, _d;
+                const rawHex = typeof value === "number"
+                    ? value
+                    : ((_c = (_a = value === null || value === void 0 ? void 0 : value.numberRepresentation) !== null && _a !== void 0 ? _a : (_b = value === null || value === void 0 ? void 0 : value.toJSON) === null || _b === void 0 ? void 0 : _b.call(value)) !== null && _c !== void 0 ? _c : 0);
+                this.selectedTrackColor = (0, ring_manager_1.hexToRgb)(rawHex);
+                (_d = this.onSelectedTrackInfo) === null || _d === void 0 ? void 0 : _d.call(this);
+            }));
+        });
+    }
+    // -----------------------------------------------------------------------
+    // Playing clip on selected track
+    // -----------------------------------------------------------------------
+    /**
+     * Subscribe to the playing clip on the selected track.
+     * Watches `playing_slot_index` to detect which clip is playing,
+     * then subscribes to that clip's name and color for live updates.
+     * Sends RT_PLAYING_CLIP events to Grid.
+     */
+    subscribePlayingClip(track) {
+        return __awaiter(this, void 0, void 0, function* () {
+            // Tear down previous playing-clip listeners
+            yield this.globalSubs.removeByPrefix("selected_track_clip");
+            this.playingClipName = "";
+            this.playingClipColor = [0, 0, 0];
+            const handleSlotIndex = (slotIndex) => __awaiter(this, void 0, void 0, function* () {
+                var _a, _b, _c;
+                // Remove any previous clip-property listeners
+                yield this.globalSubs.removeByPrefix("selected_track_clip:props");
+                if (slotIndex < 0) {
+                    // No clip playing (Ableton returns -2 when stopped)
+                    this.playingClipName = "";
+                    this.playingClipColor = [0, 0, 0];
+                    this.sendPlayingClip();
+                    return;
+                }
+                try {
+                    const clipSlots = yield track.get("clip_slots");
+                    if (!clipSlots || slotIndex >= clipSlots.length)
+                        return;
+                    const clip = yield clipSlots[slotIndex].get("clip");
+                    if (!clip) {
+                        this.playingClipName = "";
+                        this.playingClipColor = [0, 0, 0];
+                        this.sendPlayingClip();
+                        return;
+                    }
+                    // Fetch clip name and color
+                    const [clipName, clipColor] = yield Promise.all([
+                        clip.get("name"),
+                        clip.get("color"),
+                    ]);
+                    const colorRgb = (clipColor === null || clipColor === void 0 ? void 0 : clipColor.rgb)
+                        ? [(_a = clipColor.rgb.r) !== null && _a !== void 0 ? _a : 0, (_b = clipColor.rgb.g) !== null && _b !== void 0 ? _b : 0, (_c = clipColor.rgb.b) !== null && _c !== void 0 ? _c : 0]
+                        : typeof clipColor === "number"
+                            ? (0, ring_manager_1.hexToRgb)(clipColor)
+                            : [0, 0, 0];
+                    this.playingClipName = clipName !== null && clipName !== void 0 ? clipName : "";
+                    this.playingClipColor = colorRgb;
+                    this.sendPlayingClip();
+                    // Listen for live clip name changes
+                    yield this.globalSubs.add("selected_track_clip:props:name", yield clip.addListener("name", (value) => {
+                        this.playingClipName = value;
+                        this.sendPlayingClip();
+                    }));
+                    // Listen for live clip color changes
+                    yield this.globalSubs.add("selected_track_clip:props:color", yield clip.addListener("color", (value) => {
+                        var _a, _b, _c;
+                        const rgb = (value === null || value === void 0 ? void 0 : value.rgb)
+                            ? [(_a = value.rgb.r) !== null && _a !== void 0 ? _a : 0, (_b = value.rgb.g) !== null && _b !== void 0 ? _b : 0, (_c = value.rgb.b) !== null && _c !== void 0 ? _c : 0]
+                            : typeof value === "number"
+                                ? (0, ring_manager_1.hexToRgb)(value)
+                                : (() => {
+                                    var _a, _b, _c;
+                                    const rawHex = (_c = (_a = value === null || value === void 0 ? void 0 : value.numberRepresentation) !== null && _a !== void 0 ? _a : (_b = value === null || value === void 0 ? void 0 : value.toJSON) === null || _b === void 0 ? void 0 : _b.call(value)) !== null && _c !== void 0 ? _c : 0;
+                                    return (0, ring_manager_1.hexToRgb)(rawHex);
+                                })();
+                        this.playingClipColor = rgb;
+                        this.sendPlayingClip();
+                    }));
+                }
+                catch (err) {
+                    logger_1.logger.warn("[SelectionManager] Failed to fetch playing clip info:", err);
+                }
+            });
+            // Listen for playing slot changes on the selected track
+            yield this.globalSubs.add("selected_track_clip:slot", yield track.addListener("playing_slot_index", (slotIndex) => __awaiter(this, void 0, void 0, function* () {
+                try {
+                    yield handleSlotIndex(slotIndex);
+                }
+                catch (err) {
+                    logger_1.logger.warn("[SelectionManager] Error handling playing_slot_index change:", err);
+                }
+            })));
+            // Fetch the initial playing slot
+            try {
+                const initialSlot = yield track.get("playing_slot_index");
+                yield handleSlotIndex(initialSlot);
+            }
+            catch (_) {
+                // No slot playing initially — send empty
+                this.playingClipName = "";
+                this.playingClipColor = [0, 0, 0];
+                this.sendPlayingClip();
+            }
+        });
+    }
+    sendPlayingClip() {
+        this.sendMessage({
+            evt: "RT_PLAYING_CLIP",
+            name: this.playingClipName,
+            color: this.playingClipColor,
+        });
+    }
+}
+exports.SelectionManager = SelectionManager;
@@ -0,0 +1,546 @@
+/**
+ * SelectionManager — owns the song-view listeners shared by every ring:
+ * the selected parameter, the selected track's name and color, and the
+ * clip playing on the selected track.
+ *
+ * These follow Live's global selection, so they are registered once here
+ * rather than once per ring. Rings are told about selected-track changes
+ * through `onSelectedTrack` / `onSelectedTrackInfo` (see `src/index.ts`)
+ * and report RT_SELECTED themselves, since its ring index is relative to
+ * each ring. Rings whose active property is "selected_parameter" read and
+ * write the parameter through this manager.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_PLAYING_CLIP", name: string, color: [r, g, b] }  — currently playing clip on selected track
+ *   { evt: "RT_PARAM", name: string, v: number, nv: number, min: number, max: number }  — selected parameter
+ */
+
+import { Ableton } from "ableton-js";
+import { Track } from "ableton-js/ns/track";
+import { SubscriptionGroup, countSubscriptions } from "./subscription-group";
+import { EncoderAcceleration, detentValue } from "./encoder-acceleration";
+import { SendMessageFn, hexToRgb } from "./ring-manager";
+import { logger } from "./logger";
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface SelectedTrackInfo {
+  /** Id of the selected track, or undefined before the first selection. */
+  id: string | undefined;
+  name: string;
+  color: [number, number, number];
+}
+
+// ---------------------------------------------------------------------------
+// SelectionManager
+// ---------------------------------------------------------------------------
+
+export class SelectionManager {
+  private ableton: Ableton;
+  private sendMessage: SendMessageFn;
+  private acceleration: EncoderAcceleration;
+
+  /** Song-view listeners and the selected track, clip and parameter ones. */
+  private globalSubs = new SubscriptionGroup("selection");
+
+  /** Called after another track was selected. */
+  onSelectedTrack: ((track: Track) => Promise<void>) | undefined;
+
+  /** Called when the selected track was renamed or recolored. */
+  onSelectedTrackInfo: (() => void) | undefined;
+
+  // -- Selected track live state (fixes stale raw.name bug) ---------------
+
+  private selectedTrackId: string | undefined;
+  /** Live-cached name of the currently selected track. */
+  private selectedTrackName: string = "";
+  /** Live-cached color of the currently selected track. */
+  private selectedTrackColor: [number, number, number] = [0, 0, 0];
+
+  // -- Playing clip state (selected track) --------------------------------
+
+  /** Name of the currently playing clip on the selected track. */
+  private playingClipName: string = "";
+  /** Color of the currently playing clip on the selected track. */
+  private playingClipColor: [number, number, number] = [0, 0, 0];
+
+  // -- Selected parameter state ------------------------------------------
+
+  /** The DeviceParameter object currently selected in Ableton's UI. */
+  private selectedParam: any = null;
+
+  /** Cached properties of the selected parameter. */
+  private selectedParamName: string = "";
+  private selectedParamValue: number = 0;
+  private selectedParamMin: number = 0;
+  private selectedParamMax: number = 1;
+  private selectedParamDefault: number = 0;
+  private selectedParamQuantized: boolean = false;
+
+  /** Guard: true while onSelectedParameterChanged is fetching min/max.
+   *  Blocks parameter writes to prevent stale-range writes. */
+  private selectedParamSwitching: boolean = false;
+
+  constructor(
+    ableton: Ableton,
+    sendMessage: SendMessageFn,
+    acceleration: EncoderAcceleration = new EncoderAcceleration(),
+  ) {
+    this.ableton = ableton;
+    this.sendMessage = sendMessage;
+    this.acceleration = acceleration;
+  }
+
+  // -----------------------------------------------------------------------
+  // Lifecycle
+  // -----------------------------------------------------------------------
+
+  /**
+   * Initialize: register the selected_parameter and selected_track
+   * listeners and push the initially selected parameter.
+   */
+  async init(): Promise<void> {
+    // When the user selects a different parameter in Ableton's UI,
+    // subscribe to its value and push name + value to Grid.
+    await this.globalSubs.add(
+      "song:view:selected_parameter",
+      await this.ableton.song.view.addListener(
+        "selected_parameter",
+        async (param) => {
+          try {
+            await this.onSelectedParameterChanged(param);
+          } catch (err) {
+            logger.warn(
+              "[SelectionManager] Error handling selected_parameter change:",
+              err,
+            );
+          }
+        },
+      ),
+    );
+
+    // Also fetch the initially selected parameter
+    try {
+      const initialParam =
+        await this.ableton.song.view.get("selected_parameter");
+      if (initialParam) {
+        await this.onSelectedParameterChanged(initialParam);
+      }
+    } catch (_) {
+      /* no parameter selected yet */
+    }
+
+    // When the user selects a different track in Ableton, follow its name,
+    // color and playing clip, and let the rings react.
+    await this.globalSubs.add(
+      "song:view:selected_track",
+      await this.ableton.song.view.addListener(
+        "selected_track",
+        async (track) => {
+          try {
+            if (!track) return;
+            await this.subscribeSelectedTrack(track);
+            await this.onSelectedTrack?.(track);
+            await this.subscribePlayingClip(track);
+          } catch (err) {
+            logger.warn(
+              "[SelectionManager] Error handling selected_track change:",
+              err,
+            );
+          }
+        },
+      ),
+    );
+  }
+
+  /**
+   * Clean up all listeners managed by this SelectionManager.
+   */
+  async destroy(): Promise<void> {
+    await this.globalSubs.clear();
+    this.selectedParam = null;
+    this.selectedTrackId = undefined;
+    this.selectedTrackName = "";
+    this.selectedTrackColor = [0, 0, 0];
+    this.playingClipName = "";
+    this.playingClipColor = [0, 0, 0];
+  }
+
+  /** Number of active subscriptions per SubscriptionGroup. */
+  getSubscriptionCounts(): { [group: string]: number } {
+    return countSubscriptions([this.globalSubs]);
+  }
+
+  /** Live-cached id, name and color of the selected track. */
+  getSelectedTrackInfo(): SelectedTrackInfo {
+    return {
+      id: this.selectedTrackId,
+      name: this.selectedTrackName,
+      color: this.selectedTrackColor,
+    };
+  }
+
+  /** Push the playing clip and the selected parameter to Grid. */
+  requestFullState(): void {
+    this.sendPlayingClip();
+    this.sendParameter();
+  }
+
+  // -----------------------------------------------------------------------
+  // Selected parameter (last-clicked parameter in Ableton's UI)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Called when the selected parameter changes in Ableton.
+   * Tears down the old value listener, caches min/max/name, subscribes
+   * to the new parameter's value, and pushes an RT_PARAM event to Grid.
+   */
+  private async onSelectedParameterChanged(param: any): Promise<void> {
+    // Block encoder adjustments while we're switching
+    this.selectedParamSwitching = true;
+
+    // Remove old value listener
+    await this.globalSubs.removeByPrefix("selected_param:value");
+
+    if (!param) {
+      this.selectedParam = null;
+      this.selectedParamName = "";
+      this.selectedParamValue = 0;
+      this.selectedParamMin = 0;
+      this.selectedParamMax = 1;
+      this.selectedParamDefault = 0;
+      this.selectedParamQuantized = false;
+      this.selectedParamSwitching = false;
+      this.sendParameter();
+      return;
+    }
+
+    try {
+      // Fetch name, value, min, max, default in parallel
+      const [name, value, min, max, defaultVal] = await Promise.all([
+        param.get("name"),
+        param.get("value"),
+        param.get("min"),
+        param.get("max"),
+        param.get("default_value"),
+      ]);
+
+      // Update all cached state atomically before unblocking
+      this.selectedParam = param;
+      this.selectedParamName = name;
+      this.selectedParamValue = value;
+      this.selectedParamMin = min;
+      this.selectedParamMax = max;
+      this.selectedParamQuantized = !!param.raw?.is_quantized;
+      this.selectedParamDefault =
+        typeof defaultVal === "number"
+          ? defaultVal
+          : parseFloat(defaultVal) || 0;
+
+      // Listen to value changes (e.g. automation, other controllers)
+      await this.globalSubs.add(
+        "selected_param:value",
+        await param.addListener("value", (v: number) => {
+          this.selectedParamValue = v;
+          this.sendParameter();
+        }),
+      );
+
+      // Push the initial state
+      this.sendParameter();
+    } catch (err) {
+      logger.warn(
+        "[SelectionManager] Failed to set up selected parameter:",
+        err,
+      );
+      this.selectedParam = null;
+    } finally {
+      this.selectedParamSwitching = false;
+    }
+  }
+
+  /** Push RT_PARAM for the selected parameter (empty when none). */
+  sendParameter(): void {
+    if (!this.selectedParam) {
+      this.sendMessage({
+        evt: "RT_PARAM",
+        name: "",
+        v: 0,
+        nv: 0,
+        min: 0,
+        max: 1,
+      });
+      return;
+    }
+    this.sendMessage({
+      evt: "RT_PARAM",
+      name: this.selectedParamName,
+      v: this.selectedParamValue,
+      nv: this.parameterNorm(),
+      min: this.selectedParamMin,
+      max: this.selectedParamMax,
+    });
+  }
+
+  /** Id of the selected parameter, or undefined when none is selected. */
+  getParameterId(): string | undefined {
+    return this.selectedParam?.raw?.id;
+  }
+
+  /**
+   * Value of the selected parameter as 0..1, or undefined when none is
+   * selected.
+   */
+  parameterNorm(): number | undefined {
+    if (!this.selectedParam) return undefined;
+    const range = this.selectedParamMax - this.selectedParamMin;
+    return range !== 0
+      ? (this.selectedParamValue - this.selectedParamMin) / range
+      : 0;
+  }
+
+  /**
+   * Set the selected parameter from a 0..1 position mapped to its native
+   * [min, max] range. Fire-and-forget — the value listener will notify Grid.
+   */
+  setParameterNorm(norm: number): void {
+    if (!this.selectedParam || this.selectedParamSwitching) return;
+    const value =
+      this.selectedParamMin +
+      norm * (this.selectedParamMax - this.selectedParamMin);
+    this.setParameterValue(value);
+  }
+
+  /**
+   * Adjust the selected parameter by a relative delta.
+   * The delta is accelerated by turn speed and scaled to the parameter's
+   * native [min, max] range; quantized parameters move one choice per click.
+   *
+   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param stepSize - Fraction of full range per delta unit.
+   *                   Defaults to 1/127 (~0.8% of full range).
+   */
+  adjustParameter(delta: number, stepSize: number = 1 / 127): void {
+    if (!this.selectedParam || this.selectedParamSwitching) return;
+
+    const range = this.selectedParamMax - this.selectedParamMin;
+    if (range === 0) return;
+
+    const newVal = this.selectedParamQuantized
+      ? detentValue(
+          this.selectedParamValue,
+          delta,
+          this.selectedParamMin,
+          this.selectedParamMax,
+        )
+      : Math.max(
+          this.selectedParamMin,
+          Math.min(
+            this.selectedParamMax,
+            this.selectedParamValue +
+              this.acceleration.scale("selected_parameter", delta) *
+                stepSize *
+                range,
+          ),
+        );
+
+    this.setParameterValue(newVal);
+    // The value listener will update selectedParamValue and push RT_PARAM
+  }
+
+  /**
+   * Reset the selected parameter to its default value.
+   */
+  resetParameter(): void {
+    if (!this.selectedParam || this.selectedParamSwitching) return;
+
+    this.setParameterValue(
+      Math.max(
+        this.selectedParamMin,
+        Math.min(this.selectedParamMax, this.selectedParamDefault),
+      ),
+    );
+  }
+
+  private setParameterValue(value: number): void {
+    this.selectedParam
+      .set("value", value)
+      .catch((err) =>
+        logger.warn(
+          "[SelectionManager] Failed to set selected parameter value:",
+          err,
+        ),
+      );
+  }
+
+  // -----------------------------------------------------------------------
+  // Selected track live subscriptions (fixes stale raw.name bug)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Subscribe to live name and color changes on the selected track.
+   * This replaces the stale `track.raw.name` snapshot with a live listener
+   * so that renames are immediately reflected in RT_SELECTED events.
+   */
+  private async subscribeSelectedTrack(track: Track): Promise<void> {
+    // Tear down previous selected-track property listeners
+    await this.globalSubs.removeByPrefix("selected_track_prop");
+
+    // Fetch live name (not stale raw snapshot)
+    this.selectedTrackId = track.raw.id;
+    this.selectedTrackName = await track.get("name");
+    this.selectedTrackColor = hexToRgb(track.raw.color);
+
+    // Live name listener — fires when the selected track is renamed
+    await this.globalSubs.add(
+      "selected_track_prop:name",
+      await track.addListener("name", (value) => {
+        this.selectedTrackName = value;
+        this.onSelectedTrackInfo?.();
+      }),
+    );
+
+    // Live color listener — fires when the selected track's color changes
+    await this.globalSubs.add(
+      "selected_track_prop:color",
+      await track.addListener("color", (value: any) => {
+        const rawHex =
+          typeof value === "number"
+            ? value
+            : (value?.numberRepresentation ?? value?.toJSON?.() ?? 0);
+        this.selectedTrackColor = hexToRgb(rawHex);
+        this.onSelectedTrackInfo?.();
+      }),
+    );
+  }
+
+  // -----------------------------------------------------------------------
+  // Playing clip on selected track
+  // -----------------------------------------------------------------------
+
+  /**
+   * Subscribe to the playing clip on the selected track.
+   * Watches `playing_slot_index` to detect which clip is playing,
+   * then subscribes to that clip's name and color for live updates.
+   * Sends RT_PLAYING_CLIP events to Grid.
+   */
+  private async subscribePlayingClip(track: Track): Promise<void> {
+    // Tear down previous playing-clip listeners
+    await this.globalSubs.removeByPrefix("selected_track_clip");
+    this.playingClipName = "";
+    this.playingClipColor = [0, 0, 0];
+
+    const handleSlotIndex = async (slotIndex: number) => {
+      // Remove any previous clip-property listeners
+      await this.globalSubs.removeByPrefix("selected_track_clip:props");
+
+      if (slotIndex < 0) {
+        // No clip playing (Ableton returns -2 when stopped)
+        this.playingClipName = "";
+        this.playingClipColor = [0, 0, 0];
+        this.sendPlayingClip();
+        return;
+      }
+
+      try {
+        const clipSlots = await track.get("clip_slots");
+        if (!clipSlots || slotIndex >= clipSlots.length) return;
+
+        const clip = await clipSlots[slotIndex].get("clip");
+        if (!clip) {
+          this.playingClipName = "";
+          this.playingClipColor = [0, 0, 0];
+          this.sendPlayingClip();
+          return;
+        }
+
+        // Fetch clip name and color
+        const [clipName, clipColor] = await Promise.all([
+          clip.get("name"),
+          clip.get("color"),
+        ]);
+
+        const colorRgb: [number, number, number] = clipColor?.rgb
+          ? [clipColor.rgb.r ?? 0, clipColor.rgb.g ?? 0, clipColor.rgb.b ?? 0]
+          : typeof clipColor === "number"
+            ? hexToRgb(clipColor)
+            : [0, 0, 0];
+
+        this.playingClipName = clipName ?? "";
+        this.playingClipColor = colorRgb;
+        this.sendPlayingClip();
+
+        // Listen for live clip name changes
+        await this.globalSubs.add(
+          "selected_track_clip:props:name",
+          await clip.addListener("name", (value) => {
+            this.playingClipName = value;
+            this.sendPlayingClip();
+          }),
+        );
+
+        // Listen for live clip color changes
+        await this.globalSubs.add(
+          "selected_track_clip:props:color",
+          await clip.addListener("color", (value: any) => {
+            const rgb: [number, number, number] = value?.rgb
+              ? [value.rgb.r ?? 0, value.rgb.g ?? 0, value.rgb.b ?? 0]
+              : typeof value === "number"
+                ? hexToRgb(value)
+                : (() => {
+                    const rawHex =
+                      value?.numberRepresentation ?? value?.toJSON?.() ?? 0;
+                    return hexToRgb(rawHex);
+                  })();
+            this.playingClipColor = rgb;
+            this.sendPlayingClip();
+          }),
+        );
+      } catch (err) {
+        logger.warn(
+          "[SelectionManager] Failed to fetch playing clip info:",
+          err,
+        );
+      }
+    };
+
+    // Listen for playing slot changes on the selected track
+    await this.globalSubs.add(
+      "selected_track_clip:slot",
+      await track.addListener(
+        "playing_slot_index",
+        async (slotIndex: number) => {
+          try {
+            await handleSlotIndex(slotIndex);
+          } catch (err) {
+            logger.warn(
+              "[SelectionManager] Error handling playing_slot_index change:",
+              err,
+            );
+          }
+        },
+      ),
+    );
+
+    // Fetch the initial playing slot
+    try {
+      const initialSlot = await track.get("playing_slot_index");
+      await handleSlotIndex(initialSlot);
+    } catch (_) {
+      // No slot playing initially — send empty
+      this.playingClipName = "";
+      this.playingClipColor = [0, 0, 0];
+      this.sendPlayingClip();
+    }
+  }
+
+  private sendPlayingClip(): void {
+    this.sendMessage({
+      evt: "RT_PLAYING_CLIP",
+      name: this.playingClipName,
+      color: this.playingClipColor,
+    });
+  }
+}
@@ -0,0 +1,91 @@
+"use strict";
+/**
+ * Package settings — edited in the Preferences panel and persisted through
+ * the editor's `persist-data` message as `{ settingsVersion, settings }`.
+ *
+ * Every setting has a default and a validator, so persisted blobs from
+ * older versions (or hand-edited ones) always load: unknown fields are
+ * dropped, invalid values fall back to their default and out-of-range
+ * numbers are clamped.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_SETTINGS = exports.SETTINGS_VERSION = void 0;
+exports.validateSettings = validateSettings;
+exports.migrateSettings = migrateSettings;
+exports.persistableSettings = persistableSettings;
+const logger_1 = require("./logger");
+const ring_manager_1 = require("./ring-manager");
+exports.SETTINGS_VERSION = 2;
+exports.DEFAULT_SETTINGS = {
+    ringWidth: 1,
+    ringScenes: 8,
+    followMode: "edge",
+    selectFollowsRing: true,
+    stepSize: 1 / 127,
+    volumeResetValue: 0.85,
+    eventRate: 0,
+    wireFormat: "verbose",
+    logLevel: "info",
+};
+const WIRE_FORMATS = ["verbose", "compact"];
+/**
+ * Validate a (partial) settings object. Missing or invalid fields take the
+ * value from `fallback`.
+ */
+function validateSettings(input, fallback = exports.DEFAULT_SETTINGS) {
+    const value = input && typeof input === "object" ? input : {};
+    return {
+        ringWidth: integer(value.ringWidth, 1, 64, fallback.ringWidth),
+        ringScenes: integer(value.ringScenes, 1, 64, fallback.ringScenes),
+        followMode: choice(value.followMode, ring_manager_1.FOLLOW_MODES, fallback.followMode),
+        selectFollowsRing: boolean(value.selectFollowsRing, fallback.selectFollowsRing),
+        stepSize: number(value.stepSize, 0.0001, 1, fallback.stepSize),
+        volumeResetValue: number(value.volumeResetValue, 0, 1, fallback.volumeResetValue),
+        eventRate: integer(value.eventRate, 0, 100, fallback.eventRate),
+        wireFormat: choice(value.wireFormat, WIRE_FORMATS, fallback.wireFormat),
+        logLevel: choice(value.logLevel, logger_1.LOG_LEVELS, fallback.logLevel),
+    };
+}
+/**
+ * Load settings from persisted package data. Blobs written before settings
+ * were versioned (which only held the unused `myFirstVariable`) load as
+ * defaults.
+ */
+function migrateSettings(persisted) {
+    if (!persisted || typeof persisted.settingsVersion !== "number") {
+        return Object.assign({}, exports.DEFAULT_SETTINGS);
+    }
+    const settings = Object.assign({}, persisted.settings);
+    if (persisted.settingsVersion < 2) {
+        // Version 1 had an on/off followSelected instead of followMode
+        settings.followMode = settings.followSelected === false ? "off" : "edge";
+        delete settings.followSelected;
+    }
+    return validateSettings(settings);
+}
+/** The blob to hand to `persist-data`. */
+function persistableSettings(settings) {
+    return { settingsVersion: exports.SETTINGS_VERSION, settings };
+}
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function number(value, min, max, fallback) {
+    const n = typeof value === "string" ? parseFloat(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n))
+        return fallback;
+    return Math.max(min, Math.min(max, n));
+}
+function integer(value, min, max, fallback) {
+    return Math.round(number(value, min, max, fallback));
+}
+function boolean(value, fallback) {
+    if (typeof value === "boolean")
+        return value;
+    if (value === 0 || value === 1)
+        return value === 1;
+    return fallback;
+}
+function choice(value, choices, fallback) {
+    return choices.includes(value) ? value : fallback;
+}
@@ -0,0 +1,126 @@
+/**
+ * Package settings — edited in the Preferences panel and persisted through
+ * the editor's `persist-data` message as `{ settingsVersion, settings }`.
+ *
+ * Every setting has a default and a validator, so persisted blobs from
+ * older versions (or hand-edited ones) always load: unknown fields are
+ * dropped, invalid values fall back to their default and out-of-range
+ * numbers are clamped.
+ */
+
+import { LogLevel, LOG_LEVELS } from "./logger";
+import { FOLLOW_MODES, FollowMode } from "./ring-manager";
+import { WireFormat } from "./wire-format";
+
+export interface PackageSettings {
+  /** Width of the default ring, in tracks. */
+  ringWidth: number;
+  /** Height of the default ring, in scenes. */
+  ringScenes: number;
+  /** How the session-box ring follows the selected track. */
+  followMode: FollowMode;
+  /** Select the ring's first track when navigating left/right. */
+  selectFollowsRing: boolean;
+  /** Fraction of the full range per encoder click when Grid sends none. */
+  stepSize: number;
+  /** Volume the reset command sets (0..1, 0.85 ≈ 0 dB). */
+  volumeResetValue: number;
+  /** Event batching rate in Hz (0 sends every event immediately). */
+  eventRate: number;
+  /** Wire format for modules that haven't chosen one with set_wire_format. */
+  wireFormat: WireFormat;
+  logLevel: LogLevel;
+}
+
+export const SETTINGS_VERSION = 2;
+
+export const DEFAULT_SETTINGS: PackageSettings = {
+  ringWidth: 1,
+  ringScenes: 8,
+  followMode: "edge",
+  selectFollowsRing: true,
+  stepSize: 1 / 127,
+  volumeResetValue: 0.85,
+  eventRate: 0,
+  wireFormat: "verbose",
+  logLevel: "info",
+};
+
+const WIRE_FORMATS: WireFormat[] = ["verbose", "compact"];
+
+/**
+ * Validate a (partial) settings object. Missing or invalid fields take the
+ * value from `fallback`.
+ */
+export function validateSettings(
+  input: any,
+  fallback: PackageSettings = DEFAULT_SETTINGS,
+): PackageSettings {
+  const value = input && typeof input === "object" ? input : {};
+  return {
+    ringWidth: integer(value.ringWidth, 1, 64, fallback.ringWidth),
+    ringScenes: integer(value.ringScenes, 1, 64, fallback.ringScenes),
+    followMode: choice(value.followMode, FOLLOW_MODES, fallback.followMode),
+    selectFollowsRing: boolean(
+      value.selectFollowsRing,
+      fallback.selectFollowsRing,
+    ),
+    stepSize: number(value.stepSize, 0.0001, 1, fallback.stepSize),
+    volumeResetValue: number(
+      value.volumeResetValue,
+      0,
+      1,
+      fallback.volumeResetValue,
+    ),
+    eventRate: integer(value.eventRate, 0, 100, fallback.eventRate),
+    wireFormat: choice(value.wireFormat, WIRE_FORMATS, fallback.wireFormat),
+    logLevel: choice(value.logLevel, LOG_LEVELS, fallback.logLevel),
+  };
+}
+
+/**
+ * Load settings from persisted package data. Blobs written before settings
+ * were versioned (which only held the unused `myFirstVariable`) load as
+ * defaults.
+ */
+export function migrateSettings(persisted: any): PackageSettings {
+  if (!persisted || typeof persisted.settingsVersion !== "number") {
+    return { ...DEFAULT_SETTINGS };
+  }
+  const settings = { ...persisted.settings };
+  if (persisted.settingsVersion < 2) {
+    // Version 1 had an on/off followSelected instead of followMode
+    settings.followMode = settings.followSelected === false ? "off" : "edge";
+    delete settings.followSelected;
+  }
+  return validateSettings(settings);
+}
+
+/** The blob to hand to `persist-data`. */
+export function persistableSettings(settings: PackageSettings) {
+  return { settingsVersion: SETTINGS_VERSION, settings };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function number(value: any, min: number, max: number, fallback: number) {
+  const n = typeof value === "string" ? parseFloat(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function integer(value: any, min: number, max: number, fallback: number) {
+  return Math.round(number(value, min, max, fallback));
+}
+
+function boolean(value: any, fallback: boolean): boolean {
+  if (typeof value === "boolean") return value;
+  if (value === 0 || value === 1) return value === 1;
+  return fallback;
+}
+
+function choice<T extends string>(value: any, choices: T[], fallback: T): T {
+  return choices.includes(value) ? value : fallback;
+}
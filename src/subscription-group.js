@@ -17,6 +17,8 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.SubscriptionGroup = void 0;
+exports.countSubscriptions = countSubscriptions;
+const logger_1 = require("./logger");
 class SubscriptionGroup {
     constructor(name) {
         this.subs = new Map();
@@ -34,7 +36,7 @@ class SubscriptionGroup {
                     yield existing();
                 }
                 catch (e) {
-                    console.warn(`[${this.name}] Failed to unsub existing key "${key}":`, e);
+                    logger_1.logger.warn(`[${this.name}] Failed to unsub existing key "${key}":`, e);
                 }
             }
             this.subs.set(key, unsubFn);
@@ -51,7 +53,7 @@ class SubscriptionGroup {
                     yield unsub();
                 }
                 catch (e) {
-                    console.warn(`[${this.name}] Failed to unsub key "${key}":`, e);
+                    logger_1.logger.warn(`[${this.name}] Failed to unsub key "${key}":`, e);
                 }
                 this.subs.delete(key);
             }
@@ -85,7 +87,7 @@ class SubscriptionGroup {
                     yield unsub();
                 }
                 catch (e) {
-                    console.warn(`[${this.name}] Failed to unsub key "${key}" during clear:`, e);
+                    logger_1.logger.warn(`[${this.name}] Failed to unsub key "${key}" during clear:`, e);
                 }
             })));
         });
@@ -100,3 +102,10 @@ class SubscriptionGroup {
     }
 }
 exports.SubscriptionGroup = SubscriptionGroup;
+/** Subscription count per group name, for diagnostics. */
+function countSubscriptions(groups) {
+    const counts = {};
+    for (const group of groups)
+        counts[group.name] = group.size;
+    return counts;
+}
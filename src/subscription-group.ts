@@ -6,6 +6,8 @@
  * without tearing down the entire group.
  */
 
+import { logger } from "./logger";
+
 type UnsubFn = () => Promise<boolean | undefined>;
 
 export class SubscriptionGroup {
@@ -26,10 +28,7 @@ export class SubscriptionGroup {
       try {
         await existing();
       } catch (e) {
-        console.warn(
-          `[${this.name}] Failed to unsub existing key "${key}":`,
-          e,
-        );
+        logger.warn(`[${this.name}] Failed to unsub existing key "${key}":`, e);
       }
     }
     this.subs.set(key, unsubFn);
@@ -44,7 +43,7 @@ export class SubscriptionGroup {
       try {
         await unsub();
       } catch (e) {
-        console.warn(`[${this.name}] Failed to unsub key "${key}":`, e);
+        logger.warn(`[${this.name}] Failed to unsub key "${key}":`, e);
       }
       this.subs.delete(key);
     }
@@ -76,7 +75,7 @@ export class SubscriptionGroup {
         try {
           await unsub();
         } catch (e) {
-          console.warn(
+          logger.warn(
             `[${this.name}] Failed to unsub key "${key}" during clear:`,
             e,
           );
@@ -95,3 +94,12 @@ export class SubscriptionGroup {
     return this.subs.has(key);
   }
 }
+
+/** Subscription count per group name, for diagnostics. */
+export function countSubscriptions(groups: SubscriptionGroup[]): {
+  [group: string]: number;
+} {
+  const counts: { [group: string]: number } = {};
+  for (const group of groups) counts[group.name] = group.size;
+  return counts;
+}
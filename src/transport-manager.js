@@ -0,0 +1,413 @@
+"use strict";
+/**
+ * TransportManager — owns Live's transport: play/stop, recording, tempo,
+ * metronome, loop, punch, overdub, session record and undo/redo.
+ *
+ * Every transport property is kept live via song listeners and pushed to
+ * Grid as one combined RT_TRANSPORT event, so the controller never has to
+ * merge partial updates.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_TRANSPORT", playing, recording, tempo, metronome, loop,
+ *     punch_in, punch_out, overdub, session_record, back_to_arranger,
+ *     can_capture_midi, can_undo, can_redo }
+ *   { evt: "RT_BEAT", bar, beat, sixteenth }  — opt-in beat clock, 1-based
+ *
+ * Live does not notify about undo history changes, so can_undo/can_redo are
+ * re-read whenever another transport property changes and after every
+ * command that edits the set.
+ *
+ * The beat clock is off by default: Live reports `current_song_time` many
+ * times per beat, so when enabled the position is only forwarded when the
+ * bar or beat changes.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TransportManager = void 0;
+const subscription_group_1 = require("./subscription-group");
+/** Tempo range accepted by Live. */
+const MIN_TEMPO = 20;
+const MAX_TEMPO = 999;
+// ---------------------------------------------------------------------------
+// TransportManager
+// ---------------------------------------------------------------------------
+class TransportManager {
+    constructor(ableton, sendMessage) {
+        /** Song-level transport listeners — keyed "song:is_playing", etc. */
+        this.globalSubs = new subscription_group_1.SubscriptionGroup("transport");
+        /** Beat clock listeners — keyed "song:current_song_time", etc. Empty while disabled. */
+        this.beatSubs = new subscription_group_1.SubscriptionGroup("transport-beat");
+        /** Whether Grid enabled the beat clock — restored by init after a reconnect. */
+        this.beatClockEnabled = false;
+        /** Time signature, kept live while the beat clock is enabled. */
+        this.signatureNumerator = 4;
+        this.signatureDenominator = 4;
+        /** Last position sent as RT_BEAT, or null if none was sent yet. */
+        this.lastBeat = null;
+        /** Cached transport state. */
+        this.state = {
+            playing: false,
+            recording: false,
+            tempo: 120,
+            metronome: false,
+            loop: false,
+            punchIn: false,
+            punchOut: false,
+            overdub: false,
+            sessionRecord: false,
+            backToArranger: false,
+            canCaptureMidi: false,
+            canUndo: false,
+            canRedo: false,
+        };
+        this.ableton = ableton;
+        this.sendMessage = sendMessage;
+    }
+    // -----------------------------------------------------------------------
+    // Lifecycle
+    // -----------------------------------------------------------------------
+    /**
+     * Initialize: fetch the current transport state, register a listener per
+     * transport property and push the initial RT_TRANSPORT to Grid.
+     */
+    init() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const song = this.ableton.song;
+            const [playing, recordMode, tempo, metronome, loop, punchIn, punchOut, overdub, sessionRecord, backToArranger, canCaptureMidi,] = yield Promise.all([
+                song.get("is_playing"),
+                song.get("record_mode"),
+                song.get("tempo"),
+                song.get("metronome"),
+                song.get("loop"),
+                song.get("punch_in"),
+                song.get("punch_out"),
+                song.get("arrangement_overdub"),
+                song.get("session_record"),
+                song.get("back_to_arranger"),
+                song.get("can_capture_midi"),
+            ]);
+            this.state.playing = !!playing;
+            this.state.recording = !!recordMode;
+            this.state.tempo = tempo;
+            this.state.metronome = !!metronome;
+            this.state.loop = !!loop;
+            this.state.punchIn = !!punchIn;
+            this.state.punchOut = !!punchOut;
+            this.state.overdub = !!overdub;
+            this.state.sessionRecord = !!sessionRecord;
+            this.state.backToArranger = !!backToArranger;
+            this.state.canCaptureMidi = !!canCaptureMidi;
+            yield this.refreshUndoState();
+            yield this.listen("is_playing", (v) => (this.state.playing = !!v));
+            yield this.listen("record_mode", (v) => (this.state.recording = !!v));
+            yield this.listen("tempo", (v) => (this.state.tempo = v));
+            yield this.listen("metronome", (v) => (this.state.metronome = !!v));
+            yield this.listen("loop", (v) => (this.state.loop = !!v));
+            yield this.listen("punch_in", (v) => (this.state.punchIn = !!v));
+            yield this.listen("punch_out", (v) => (this.state.punchOut = !!v));
+            yield this.listen("arrangement_overdub", (v) => (this.state.overdub = !!v));
+            yield this.listen("session_record", (v) => (this.state.sessionRecord = !!v));
+            yield this.listen("back_to_arranger", (v) => (this.state.backToArranger = !!v));
+            yield this.listen("can_capture_midi", (v) => (this.state.canCaptureMidi = !!v));
+            this.sendTransportState();
+            if (this.beatClockEnabled)
+                yield this.setBeatClock(true);
+        });
+    }
+    /**
+     * Clean up all listeners managed by this TransportManager.
+     */
+    destroy() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.beatSubs.clear();
+            yield this.globalSubs.clear();
+            this.lastBeat = null;
+        });
+    }
+    /** Number of active subscriptions per SubscriptionGroup. */
+    getSubscriptionCounts() {
+        return (0, subscription_group_1.countSubscriptions)([this.globalSubs, this.beatSubs]);
+    }
+    /**
+     * Register a song listener that updates the cache, refreshes the undo
+     * state and pushes RT_TRANSPORT.
+     */
+    listen(prop, update) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.globalSubs.add(`song:${prop}`, yield this.ableton.song.addListener(prop, (value) => __awaiter(this, void 0, void 0, function* () {
+                update(value);
+                try {
+                    yield this.refreshUndoState();
+                }
+                catch (_) {
+                    /* keep the previous undo state */
+                }
+                this.sendTransportState();
+            })));
+        });
+    }
+    // -----------------------------------------------------------------------
+    // Commands (called from Grid)
+    // -----------------------------------------------------------------------
+    /** Start playback, or stop it if Live is playing. */
+    playOrStop() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (this.state.playing) {
+                yield this.ableton.song.stopPlaying();
+            }
+            else {
+                yield this.ableton.song.startPlaying();
+            }
+        });
+    }
+    /** Continue playback from the current position instead of the start marker. */
+    continuePlaying() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.continuePlaying();
+        });
+    }
+    /**
+     * Stop playback. Stopping while already stopped returns the playhead to
+     * the start of the set, like pressing Live's stop button twice.
+     */
+    stop() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (this.state.playing) {
+                yield this.ableton.song.stopPlaying();
+            }
+            else {
+                yield this.ableton.song.set("current_song_time", 0);
+            }
+        });
+    }
+    /** Toggle arrangement record. */
+    toggleRecord() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("record_mode", this.state.recording ? 0 : 1);
+        });
+    }
+    /** Tap tempo — one call per tap. */
+    tapTempo() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.tapTempo();
+        });
+    }
+    /** Set the tempo in BPM, clamped to Live's range. */
+    setTempo(bpm) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (typeof bpm !== "number" || isNaN(bpm))
+                return;
+            yield this.ableton.song.set("tempo", Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, bpm)));
+        });
+    }
+    /**
+     * Adjust the tempo by a relative delta.
+     *
+     * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+     * @param stepSize - BPM per delta unit. Defaults to 1.
+     */
+    adjustTempo(delta_1) {
+        return __awaiter(this, arguments, void 0, function* (delta, stepSize = 1) {
+            yield this.setTempo(this.state.tempo + delta * stepSize);
+        });
+    }
+    toggleMetronome() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("metronome", this.state.metronome ? 0 : 1);
+        });
+    }
+    toggleLoop() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("loop", !this.state.loop);
+        });
+    }
+    togglePunchIn() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("punch_in", !this.state.punchIn);
+        });
+    }
+    togglePunchOut() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("punch_out", !this.state.punchOut);
+        });
+    }
+    /** Toggle arrangement overdub (MIDI records into existing clips). */
+    toggleOverdub() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("arrangement_overdub", !this.state.overdub);
+        });
+    }
+    /** Toggle session record (Live's session view record button). */
+    toggleSessionRecord() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("session_record", this.state.sessionRecord ? 0 : 1);
+        });
+    }
+    /** Leave session clips and return playback to the arrangement. */
+    backToArrangement() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.ableton.song.set("back_to_arranger", 0);
+        });
+    }
+    undo() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.state.canUndo)
+                return;
+            yield this.ableton.song.undo();
+            yield this.refreshUndoState();
+            this.sendTransportState();
+        });
+    }
+    redo() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.state.canRedo)
+                return;
+            yield this.ableton.song.redo();
+            yield this.refreshUndoState();
+            this.sendTransportState();
+        });
+    }
+    /** Capture recently played MIDI into a new clip. */
+    captureMidi() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.state.canCaptureMidi)
+                return;
+            // Not wrapped by ableton-js — forwarded to Live's Song.capture_midi()
+            yield this.ableton.song.sendCommand("capture_midi");
+            yield this.refreshUndoState();
+            this.sendTransportState();
+        });
+    }
+    /** Move the playhead by a number of beats (negative moves backwards). */
+    jump(beats) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (typeof beats !== "number" || isNaN(beats))
+                return;
+            yield this.ableton.song.jumpBy(beats);
+        });
+    }
+    /** Jump to the next or previous cue point (arrangement locator). */
+    jumpToCue(direction) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (direction === "next") {
+                if (yield this.ableton.song.get("can_jump_to_next_cue")) {
+                    yield this.ableton.song.jumpToNextCue();
+                }
+            }
+            else if (yield this.ableton.song.get("can_jump_to_prev_cue")) {
+                yield this.ableton.song.jumpToPrevCue();
+            }
+        });
+    }
+    /**
+     * Enable or disable the RT_BEAT clock. While enabled, the song position
+     * and time signature are observed and the position is pushed on every
+     * beat boundary.
+     */
+    setBeatClock(enabled) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.beatClockEnabled = enabled;
+            yield this.beatSubs.clear();
+            this.lastBeat = null;
+            if (!enabled)
+                return;
+            const song = this.ableton.song;
+            const [numerator, denominator, songTime] = yield Promise.all([
+                song.get("signature_numerator"),
+                song.get("signature_denominator"),
+                song.get("current_song_time"),
+            ]);
+            this.signatureNumerator = numerator;
+            this.signatureDenominator = denominator;
+            yield this.beatSubs.add("song:signature_numerator", yield song.addListener("signature_numerator", (value) => {
+                this.signatureNumerator = value;
+            }));
+            yield this.beatSubs.add("song:signature_denominator", yield song.addListener("signature_denominator", (value) => {
+                this.signatureDenominator = value;
+            }));
+            yield this.beatSubs.add("song:current_song_time", yield song.addListener("current_song_time", (value) => {
+                this.onSongTime(value);
+            }));
+            this.onSongTime(songTime);
+        });
+    }
+    /** Push the full transport state to Grid. */
+    requestFullState() {
+        this.sendTransportState();
+        if (this.lastBeat) {
+            this.sendMessage(Object.assign({ evt: "RT_BEAT" }, this.lastBeat));
+        }
+    }
+    // -----------------------------------------------------------------------
+    // State sync to Grid
+    // -----------------------------------------------------------------------
+    /** Re-read the undo history flags, which Live cannot observe. */
+    refreshUndoState() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const [canUndo, canRedo] = yield Promise.all([
+                this.ableton.song.get("can_undo"),
+                this.ableton.song.get("can_redo"),
+            ]);
+            this.state.canUndo = !!canUndo;
+            this.state.canRedo = !!canRedo;
+        });
+    }
+    /**
+     * Convert a song time (in quarter notes) to bar/beat/sixteenth and send
+     * RT_BEAT when the bar or beat differs from the last one sent.
+     */
+    onSongTime(songTime) {
+        const position = beatPosition(songTime, this.signatureNumerator, this.signatureDenominator);
+        const last = this.lastBeat;
+        if (last && last.bar === position.bar && last.beat === position.beat) {
+            return;
+        }
+        this.lastBeat = position;
+        this.sendMessage(Object.assign({ evt: "RT_BEAT" }, position));
+    }
+    sendTransportState() {
+        this.sendMessage({
+            evt: "RT_TRANSPORT",
+            playing: this.state.playing,
+            recording: this.state.recording,
+            tempo: this.state.tempo,
+            metronome: this.state.metronome,
+            loop: this.state.loop,
+            punch_in: this.state.punchIn,
+            punch_out: this.state.punchOut,
+            overdub: this.state.overdub,
+            session_record: this.state.sessionRecord,
+            back_to_arranger: this.state.backToArranger,
+            can_capture_midi: this.state.canCaptureMidi,
+            can_undo: this.state.canUndo,
+            can_redo: this.state.canRedo,
+        });
+    }
+}
+exports.TransportManager = TransportManager;
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+/**
+ * Convert a song time in quarter notes to a 1-based bar/beat/sixteenth
+ * position, the way Live's arrangement position display counts it.
+ */
+function beatPosition(songTime, numerator, denominator) {
+    const beatLength = 4 / (denominator || 4);
+    const beats = Math.max(0, songTime) / beatLength;
+    const beatsPerBar = numerator || 4;
+    const sixteenthsPerBeat = Math.max(1, 16 / (denominator || 4));
+    return {
+        bar: Math.floor(beats / beatsPerBar) + 1,
+        beat: (Math.floor(beats) % beatsPerBar) + 1,
+        sixteenth: Math.floor((beats % 1) * sixteenthsPerBeat) + 1,
+    };
+}
@@ -0,0 +1,484 @@
+/**
+ * TransportManager — owns Live's transport: play/stop, recording, tempo,
+ * metronome, loop, punch, overdub, session record and undo/redo.
+ *
+ * Every transport property is kept live via song listeners and pushed to
+ * Grid as one combined RT_TRANSPORT event, so the controller never has to
+ * merge partial updates.
+ *
+ * Events sent to Grid (via sendMessage callback):
+ *   { evt: "RT_TRANSPORT", playing, recording, tempo, metronome, loop,
+ *     punch_in, punch_out, overdub, session_record, back_to_arranger,
+ *     can_capture_midi, can_undo, can_redo }
+ *   { evt: "RT_BEAT", bar, beat, sixteenth }  — opt-in beat clock, 1-based
+ *
+ * Live does not notify about undo history changes, so can_undo/can_redo are
+ * re-read whenever another transport property changes and after every
+ * command that edits the set.
+ *
+ * The beat clock is off by default: Live reports `current_song_time` many
+ * times per beat, so when enabled the position is only forwarded when the
+ * bar or beat changes.
+ */
+
+import { Ableton } from "ableton-js";
+import { SubscriptionGroup, countSubscriptions } from "./subscription-group";
+import { SendMessageFn } from "./ring-manager";
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface TransportState {
+  playing: boolean;
+  recording: boolean;
+  tempo: number;
+  metronome: boolean;
+  loop: boolean;
+  punchIn: boolean;
+  punchOut: boolean;
+  overdub: boolean;
+  sessionRecord: boolean;
+  backToArranger: boolean;
+  canCaptureMidi: boolean;
+  canUndo: boolean;
+  canRedo: boolean;
+}
+
+export interface BeatPosition {
+  bar: number;
+  beat: number;
+  sixteenth: number;
+}
+
+/** Tempo range accepted by Live. */
+const MIN_TEMPO = 20;
+const MAX_TEMPO = 999;
+
+// ---------------------------------------------------------------------------
+// TransportManager
+// ---------------------------------------------------------------------------
+
+export class TransportManager {
+  private ableton: Ableton;
+  private sendMessage: SendMessageFn;
+
+  /** Song-level transport listeners — keyed "song:is_playing", etc. */
+  private globalSubs = new SubscriptionGroup("transport");
+
+  /** Beat clock listeners — keyed "song:current_song_time", etc. Empty while disabled. */
+  private beatSubs = new SubscriptionGroup("transport-beat");
+
+  /** Whether Grid enabled the beat clock — restored by init after a reconnect. */
+  private beatClockEnabled = false;
+
+  /** Time signature, kept live while the beat clock is enabled. */
+  private signatureNumerator = 4;
+  private signatureDenominator = 4;
+
+  /** Last position sent as RT_BEAT, or null if none was sent yet. */
+  private lastBeat: BeatPosition | null = null;
+
+  /** Cached transport state. */
+  private state: TransportState = {
+    playing: false,
+    recording: false,
+    tempo: 120,
+    metronome: false,
+    loop: false,
+    punchIn: false,
+    punchOut: false,
+    overdub: false,
+    sessionRecord: false,
+    backToArranger: false,
+    canCaptureMidi: false,
+    canUndo: false,
+    canRedo: false,
+  };
+
+  constructor(ableton: Ableton, sendMessage: SendMessageFn) {
+    this.ableton = ableton;
+    this.sendMessage = sendMessage;
+  }
+
+  // -----------------------------------------------------------------------
+  // Lifecycle
+  // -----------------------------------------------------------------------
+
+  /**
+   * Initialize: fetch the current transport state, register a listener per
+   * transport property and push the initial RT_TRANSPORT to Grid.
+   */
+  async init(): Promise<void> {
+    const song = this.ableton.song;
+
+    const [
+      playing,
+      recordMode,
+      tempo,
+      metronome,
+      loop,
+      punchIn,
+      punchOut,
+      overdub,
+      sessionRecord,
+      backToArranger,
+      canCaptureMidi,
+    ] = await Promise.all([
+      song.get("is_playing"),
+      song.get("record_mode"),
+      song.get("tempo"),
+      song.get("metronome"),
+      song.get("loop"),
+      song.get("punch_in"),
+      song.get("punch_out"),
+      song.get("arrangement_overdub"),
+      song.get("session_record"),
+      song.get("back_to_arranger"),
+      song.get("can_capture_midi"),
+    ]);
+
+    this.state.playing = !!playing;
+    this.state.recording = !!recordMode;
+    this.state.tempo = tempo;
+    this.state.metronome = !!metronome;
+    this.state.loop = !!loop;
+    this.state.punchIn = !!punchIn;
+    this.state.punchOut = !!punchOut;
+    this.state.overdub = !!overdub;
+    this.state.sessionRecord = !!sessionRecord;
+    this.state.backToArranger = !!backToArranger;
+    this.state.canCaptureMidi = !!canCaptureMidi;
+    await this.refreshUndoState();
+
+    await this.listen("is_playing", (v) => (this.state.playing = !!v));
+    await this.listen("record_mode", (v) => (this.state.recording = !!v));
+    await this.listen("tempo", (v) => (this.state.tempo = v));
+    await this.listen("metronome", (v) => (this.state.metronome = !!v));
+    await this.listen("loop", (v) => (this.state.loop = !!v));
+    await this.listen("punch_in", (v) => (this.state.punchIn = !!v));
+    await this.listen("punch_out", (v) => (this.state.punchOut = !!v));
+    await this.listen("arrangement_overdub", (v) => (this.state.overdub = !!v));
+    await this.listen(
+      "session_record",
+      (v) => (this.state.sessionRecord = !!v),
+    );
+    await this.listen(
+      "back_to_arranger",
+      (v) => (this.state.backToArranger = !!v),
+    );
+    await this.listen(
+      "can_capture_midi",
+      (v) => (this.state.canCaptureMidi = !!v),
+    );
+
+    this.sendTransportState();
+
+    if (this.beatClockEnabled) await this.setBeatClock(true);
+  }
+
+  /**
+   * Clean up all listeners managed by this TransportManager.
+   */
+  async destroy(): Promise<void> {
+    await this.beatSubs.clear();
+    await this.globalSubs.clear();
+    this.lastBeat = null;
+  }
+
+  /** Number of active subscriptions per SubscriptionGroup. */
+  getSubscriptionCounts(): { [group: string]: number } {
+    return countSubscriptions([this.globalSubs, this.beatSubs]);
+  }
+
+  /**
+   * Register a song listener that updates the cache, refreshes the undo
+   * state and pushes RT_TRANSPORT.
+   */
+  private async listen(
+    prop:
+      | "is_playing"
+      | "record_mode"
+      | "tempo"
+      | "metronome"
+      | "loop"
+      | "punch_in"
+      | "punch_out"
+      | "arrangement_overdub"
+      | "session_record"
+      | "back_to_arranger"
+      | "can_capture_midi",
+    update: (value: any) => void,
+  ): Promise<void> {
+    await this.globalSubs.add(
+      `song:${prop}`,
+      await this.ableton.song.addListener(prop, async (value) => {
+        update(value);
+        try {
+          await this.refreshUndoState();
+        } catch (_) {
+          /* keep the previous undo state */
+        }
+        this.sendTransportState();
+      }),
+    );
+  }
+
+  // -----------------------------------------------------------------------
+  // Commands (called from Grid)
+  // -----------------------------------------------------------------------
+
+  /** Start playback, or stop it if Live is playing. */
+  async playOrStop(): Promise<void> {
+    if (this.state.playing) {
+      await this.ableton.song.stopPlaying();
+    } else {
+      await this.ableton.song.startPlaying();
+    }
+  }
+
+  /** Continue playback from the current position instead of the start marker. */
+  async continuePlaying(): Promise<void> {
+    await this.ableton.song.continuePlaying();
+  }
+
+  /**
+   * Stop playback. Stopping while already stopped returns the playhead to
+   * the start of the set, like pressing Live's stop button twice.
+   */
+  async stop(): Promise<void> {
+    if (this.state.playing) {
+      await this.ableton.song.stopPlaying();
+    } else {
+      await this.ableton.song.set("current_song_time", 0);
+    }
+  }
+
+  /** Toggle arrangement record. */
+  async toggleRecord(): Promise<void> {
+    await this.ableton.song.set("record_mode", this.state.recording ? 0 : 1);
+  }
+
+  /** Tap tempo — one call per tap. */
+  async tapTempo(): Promise<void> {
+    await this.ableton.song.tapTempo();
+  }
+
+  /** Set the tempo in BPM, clamped to Live's range. */
+  async setTempo(bpm: number): Promise<void> {
+    if (typeof bpm !== "number" || isNaN(bpm)) return;
+    await this.ableton.song.set(
+      "tempo",
+      Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, bpm)),
+    );
+  }
+
+  /**
+   * Adjust the tempo by a relative delta.
+   *
+   * @param delta    - Signed integer from the encoder (+1, -1, +N, -N)
+   * @param stepSize - BPM per delta unit. Defaults to 1.
+   */
+  async adjustTempo(delta: number, stepSize: number = 1): Promise<void> {
+    await this.setTempo(this.state.tempo + delta * stepSize);
+  }
+
+  async toggleMetronome(): Promise<void> {
+    await this.ableton.song.set("metronome", this.state.metronome ? 0 : 1);
+  }
+
+  async toggleLoop(): Promise<void> {
+    await this.ableton.song.set("loop", !this.state.loop);
+  }
+
+  async togglePunchIn(): Promise<void> {
+    await this.ableton.song.set("punch_in", !this.state.punchIn);
+  }
+
+  async togglePunchOut(): Promise<void> {
+    await this.ableton.song.set("punch_out", !this.state.punchOut);
+  }
+
+  /** Toggle arrangement overdub (MIDI records into existing clips). */
+  async toggleOverdub(): Promise<void> {
+    await this.ableton.song.set("arrangement_overdub", !this.state.overdub);
+  }
+
+  /** Toggle session record (Live's session view record button). */
+  async toggleSessionRecord(): Promise<void> {
+    await this.ableton.song.set(
+      "session_record",
+      this.state.sessionRecord ? 0 : 1,
+    );
+  }
+
+  /** Leave session clips and return playback to the arrangement. */
+  async backToArrangement(): Promise<void> {
+    await this.ableton.song.set("back_to_arranger", 0);
+  }
+
+  async undo(): Promise<void> {
+    if (!this.state.canUndo) return;
+    await this.ableton.song.undo();
+    await this.refreshUndoState();
+    this.sendTransportState();
+  }
+
+  async redo(): Promise<void> {
+    if (!this.state.canRedo) return;
+    await this.ableton.song.redo();
+    await this.refreshUndoState();
+    this.sendTransportState();
+  }
+
+  /** Capture recently played MIDI into a new clip. */
+  async captureMidi(): Promise<void> {
+    if (!this.state.canCaptureMidi) return;
+    // Not wrapped by ableton-js — forwarded to Live's Song.capture_midi()
+    await this.ableton.song.sendCommand("capture_midi");
+    await this.refreshUndoState();
+    this.sendTransportState();
+  }
+
+  /** Move the playhead by a number of beats (negative moves backwards). */
+  async jump(beats: number): Promise<void> {
+    if (typeof beats !== "number" || isNaN(beats)) return;
+    await this.ableton.song.jumpBy(beats);
+  }
+
+  /** Jump to the next or previous cue point (arrangement locator). */
+  async jumpToCue(direction: "next" | "prev"): Promise<void> {
+    if (direction === "next") {
+      if (await this.ableton.song.get("can_jump_to_next_cue")) {
+        await this.ableton.song.jumpToNextCue();
+      }
+    } else if (await this.ableton.song.get("can_jump_to_prev_cue")) {
+      await this.ableton.song.jumpToPrevCue();
+    }
+  }
+
+  /**
+   * Enable or disable the RT_BEAT clock. While enabled, the song position
+   * and time signature are observed and the position is pushed on every
+   * beat boundary.
+   */
+  async setBeatClock(enabled: boolean): Promise<void> {
+    this.beatClockEnabled = enabled;
+    await this.beatSubs.clear();
+    this.lastBeat = null;
+    if (!enabled) return;
+
+    const song = this.ableton.song;
+    const [numerator, denominator, songTime] = await Promise.all([
+      song.get("signature_numerator"),
+      song.get("signature_denominator"),
+      song.get("current_song_time"),
+    ]);
+    this.signatureNumerator = numerator;
+    this.signatureDenominator = denominator;
+
+    await this.beatSubs.add(
+      "song:signature_numerator",
+      await song.addListener("signature_numerator", (value) => {
+        this.signatureNumerator = value;
+      }),
+    );
+    await this.beatSubs.add(
+      "song:signature_denominator",
+      await song.addListener("signature_denominator", (value) => {
+        this.signatureDenominator = value;
+      }),
+    );
+    await this.beatSubs.add(
+      "song:current_song_time",
+      await song.addListener("current_song_time", (value) => {
+        this.onSongTime(value);
+      }),
+    );
+
+    this.onSongTime(songTime);
+  }
+
+  /** Push the full transport state to Grid. */
+  requestFullState(): void {
+    this.sendTransportState();
+    if (this.lastBeat) {
+      this.sendMessage({ evt: "RT_BEAT", ...this.lastBeat });
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // State sync to Grid
+  // -----------------------------------------------------------------------
+
+  /** Re-read the undo history flags, which Live cannot observe. */
+  private async refreshUndoState(): Promise<void> {
+    const [canUndo, canRedo] = await Promise.all([
+      this.ableton.song.get("can_undo"),
+      this.ableton.song.get("can_redo"),
+    ]);
+    this.state.canUndo = !!canUndo;
+    this.state.canRedo = !!canRedo;
+  }
+
+  /**
+   * Convert a song time (in quarter notes) to bar/beat/sixteenth and send
+   * RT_BEAT when the bar or beat differs from the last one sent.
+   */
+  private onSongTime(songTime: number): void {
+    const position = beatPosition(
+      songTime,
+      this.signatureNumerator,
+      this.signatureDenominator,
+    );
+    const last = this.lastBeat;
+    if (last && last.bar === position.bar && last.beat === position.beat) {
+      return;
+    }
+    this.lastBeat = position;
+    this.sendMessage({ evt: "RT_BEAT", ...position });
+  }
+
+  private sendTransportState(): void {
+    this.sendMessage({
+      evt: "RT_TRANSPORT",
+      playing: this.state.playing,
+      recording: this.state.recording,
+      tempo: this.state.tempo,
+      metronome: this.state.metronome,
+      loop: this.state.loop,
+      punch_in: this.state.punchIn,
+      punch_out: this.state.punchOut,
+      overdub: this.state.overdub,
+      session_record: this.state.sessionRecord,
+      back_to_arranger: this.state.backToArranger,
+      can_capture_midi: this.state.canCaptureMidi,
+      can_undo: this.state.canUndo,
+      can_redo: this.state.canRedo,
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a song time in quarter notes to a 1-based bar/beat/sixteenth
+ * position, the way Live's arrangement position display counts it.
+ */
+function beatPosition(
+  songTime: number,
+  numerator: number,
+  denominator: number,
+): BeatPosition {
+  const beatLength = 4 / (denominator || 4);
+  const beats = Math.max(0, songTime) / beatLength;
+  const beatsPerBar = numerator || 4;
+  const sixteenthsPerBeat = Math.max(1, 16 / (denominator || 4));
+  return {
+    bar: Math.floor(beats / beatsPerBar) + 1,
+    beat: (Math.floor(beats) % beatsPerBar) + 1,
+    sixteenth: Math.floor((beats % 1) * sixteenthsPerBeat) + 1,
+  };
+}
@@ -0,0 +1,365 @@
+"use strict";
+/**
+ * Compact wire format for the Lua bridge.
+ *
+ * Keyed event tables spend most of their bytes on key names. In the
+ * compact format every event is a positional array whose first element is
+ * a numeric event ID, followed by the event's fields in a fixed order and
+ * — for ring events — the ring name last:
+ *
+ *   { evt: "RT_VOL", i: 2, v: 0.85, nv: 0.85, ring: "main" }  →  {4,2,108,"main"}
+ *
+ * Field encodings:
+ *   int   — rounded integer
+ *   bool  — 0 / 1
+ *   norm  — 0..1 value quantized to 0..resolution (127 or 255)
+ *   bipol — -1..1 value quantized to 0..resolution (centre = resolution/2)
+ *   centi — value × 100, rounded (tempo 120.5 → 12050)
+ *   enum  — index into the field's list of choices (0-based)
+ *   str, rgb, list — passed through
+ *
+ * Event ID table (fields in order):
+ *    1 RT_MUTE          i, v:bool
+ *    2 RT_SOLO          i, v:bool
+ *    3 RT_ARM           i, v:bool
+ *    4 RT_VOL           i, nv:norm
+ *    5 RT_PAN           i, nv:norm
+ *    6 RT_SEND          i, si, nv:norm
+ *    7 RT_INFO          i, name, color, isMidi, isFoldable, foldState, isGrouped, groupName
+ *    8 RT_CLIP          i, s, state:enum(empty,stopped,playing,triggered,recording), color
+ *    9 RT_SCENE         s, name, color, triggered
+ *   10 RT_RING          trackOffset, sceneOffset, width, scenes, totalTracks, totalScenes, group
+ *   11 RT_METER         l, r, ml, mr
+ *   12 RT_SELECTED      index, ringIndex, name, color
+ *   13 RT_PLAYING_CLIP  name, color
+ *   14 RT_PARAM         name, nv:norm
+ *   15 RT_TRANSPORT     playing, recording, tempo:centi, metronome, loop, punch_in, punch_out,
+ *                       overdub, session_record, back_to_arranger, can_capture_midi, can_undo, can_redo
+ *   16 RT_BEAT          bar, beat, sixteenth
+ *   17 RT_DEVICE        name, bank, bankCount, active
+ *   18 RT_DEVICE_PARAM  i, name, nv:norm, quantized
+ *   19 RT_DEVICE_CHAIN  index, count, names, showingChains
+ *   20 RT_RETURN        i, name, color, vol:norm, pan:bipol, mute
+ *   21 RT_MASTER        vol:norm, pan:bipol, cue_vol:norm, crossfader:bipol
+ *   22 RT_XFADE         i, v:enum(A,none,B)
+ *   23 RT_ROUTING       i, input, inputOptions, channel, channelOptions, monitoring:enum(in,auto,off)
+ *   24 RT_TRACK_OP      op, ok, error
+ *   25 RT_CONNECTION    state:enum(connecting,connected,lost)
+ *   26 RT_MIDI          i, device, output
+ *   27 RT_ACTIVITY      i, v:norm
+ *   28 RT_PICKUP        i, direction:enum(up,down,none)
+ *
+ * Events missing from the table are sent as keyed tables unchanged.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EVENT_SCHEMAS = void 0;
+exports.encodeCompact = encodeCompact;
+exports.luaDecoder = luaDecoder;
+const CLIP_STATES = ["empty", "stopped", "playing", "triggered", "recording"];
+exports.EVENT_SCHEMAS = {
+    RT_MUTE: {
+        id: 1,
+        fields: [
+            ["i", "int"],
+            ["v", "bool"],
+        ],
+    },
+    RT_SOLO: {
+        id: 2,
+        fields: [
+            ["i", "int"],
+            ["v", "bool"],
+        ],
+    },
+    RT_ARM: {
+        id: 3,
+        fields: [
+            ["i", "int"],
+            ["v", "bool"],
+        ],
+    },
+    RT_VOL: {
+        id: 4,
+        fields: [
+            ["i", "int"],
+            ["nv", "norm"],
+        ],
+    },
+    RT_PAN: {
+        id: 5,
+        fields: [
+            ["i", "int"],
+            ["nv", "norm"],
+        ],
+    },
+    RT_SEND: {
+        id: 6,
+        fields: [
+            ["i", "int"],
+            ["si", "int"],
+            ["nv", "norm"],
+        ],
+    },
+    RT_INFO: {
+        id: 7,
+        fields: [
+            ["i", "int"],
+            ["name", "str"],
+            ["color", "rgb"],
+            ["isMidi", "bool"],
+            ["isFoldable", "bool"],
+            ["foldState", "bool"],
+            ["isGrouped", "bool"],
+            ["groupName", "str"],
+        ],
+    },
+    RT_CLIP: {
+        id: 8,
+        fields: [
+            ["i", "int"],
+            ["s", "int"],
+            ["state", CLIP_STATES],
+            ["color", "rgb"],
+        ],
+    },
+    RT_SCENE: {
+        id: 9,
+        fields: [
+            ["s", "int"],
+            ["name", "str"],
+            ["color", "rgb"],
+            ["triggered", "bool"],
+        ],
+    },
+    RT_RING: {
+        id: 10,
+        fields: [
+            ["trackOffset", "int"],
+            ["sceneOffset", "int"],
+            ["width", "int"],
+            ["scenes", "int"],
+            ["totalTracks", "int"],
+            ["totalScenes", "int"],
+            ["group", "str"],
+        ],
+    },
+    RT_METER: {
+        id: 11,
+        fields: [
+            ["l", "list"],
+            ["r", "list"],
+            ["ml", "int"],
+            ["mr", "int"],
+        ],
+    },
+    RT_SELECTED: {
+        id: 12,
+        fields: [
+            ["index", "int"],
+            ["ringIndex", "int"],
+            ["name", "str"],
+            ["color", "rgb"],
+        ],
+    },
+    RT_PLAYING_CLIP: {
+        id: 13,
+        fields: [
+            ["name", "str"],
+            ["color", "rgb"],
+        ],
+    },
+    RT_PARAM: {
+        id: 14,
+        fields: [
+            ["name", "str"],
+            ["nv", "norm"],
+        ],
+    },
+    RT_TRANSPORT: {
+        id: 15,
+        fields: [
+            ["playing", "bool"],
+            ["recording", "bool"],
+            ["tempo", "centi"],
+            ["metronome", "bool"],
+            ["loop", "bool"],
+            ["punch_in", "bool"],
+            ["punch_out", "bool"],
+            ["overdub", "bool"],
+            ["session_record", "bool"],
+            ["back_to_arranger", "bool"],
+            ["can_capture_midi", "bool"],
+            ["can_undo", "bool"],
+            ["can_redo", "bool"],
+        ],
+    },
+    RT_BEAT: {
+        id: 16,
+        fields: [
+            ["bar", "int"],
+            ["beat", "int"],
+            ["sixteenth", "int"],
+        ],
+    },
+    RT_DEVICE: {
+        id: 17,
+        fields: [
+            ["name", "str"],
+            ["bank", "int"],
+            ["bankCount", "int"],
+            ["active", "bool"],
+        ],
+    },
+    RT_DEVICE_PARAM: {
+        id: 18,
+        fields: [
+            ["i", "int"],
+            ["name", "str"],
+            ["nv", "norm"],
+            ["quantized", "bool"],
+        ],
+    },
+    RT_DEVICE_CHAIN: {
+        id: 19,
+        fields: [
+            ["index", "int"],
+            ["count", "int"],
+            ["names", "list"],
+            ["showingChains", "bool"],
+        ],
+    },
+    RT_RETURN: {
+        id: 20,
+        fields: [
+            ["i", "int"],
+            ["name", "str"],
+            ["color", "rgb"],
+            ["vol", "norm"],
+            ["pan", "bipol"],
+            ["mute", "bool"],
+        ],
+    },
+    RT_MASTER: {
+        id: 21,
+        fields: [
+            ["vol", "norm"],
+            ["pan", "bipol"],
+            ["cue_vol", "norm"],
+            ["crossfader", "bipol"],
+        ],
+    },
+    RT_XFADE: {
+        id: 22,
+        fields: [
+            ["i", "int"],
+            ["v", ["A", "none", "B"]],
+        ],
+    },
+    RT_ROUTING: {
+        id: 23,
+        fields: [
+            ["i", "int"],
+            ["input", "str"],
+            ["inputOptions", "list"],
+            ["channel", "str"],
+            ["channelOptions", "list"],
+            ["monitoring", ["in", "auto", "off"]],
+        ],
+    },
+    RT_TRACK_OP: {
+        id: 24,
+        fields: [
+            ["op", "str"],
+            ["ok", "bool"],
+            ["error", "str"],
+        ],
+    },
+    RT_CONNECTION: {
+        id: 25,
+        fields: [["state", ["connecting", "connected", "lost"]]],
+    },
+    RT_MIDI: {
+        id: 26,
+        fields: [
+            ["i", "int"],
+            ["device", "str"],
+            ["output", "str"],
+        ],
+    },
+    RT_ACTIVITY: {
+        id: 27,
+        fields: [
+            ["i", "int"],
+            ["v", "norm"],
+        ],
+    },
+    RT_PICKUP: {
+        id: 28,
+        fields: [
+            ["i", "int"],
+            ["direction", ["up", "down", "none"]],
+        ],
+    },
+};
+/**
+ * Encode an event as a positional array. `resolution` is the integer that
+ * a normalized value of 1 maps to (127 or 255). Events without a schema
+ * are returned unchanged.
+ */
+function encodeCompact(event, resolution = 127) {
+    const schema = exports.EVENT_SCHEMAS[event.evt];
+    if (!schema)
+        return event;
+    const out = [schema.id];
+    for (const [key, encoding] of schema.fields) {
+        out.push(encodeField(event[key], encoding, resolution));
+    }
+    if (event.ring !== undefined)
+        out.push(event.ring);
+    return out;
+}
+/**
+ * Generate the Lua snippet that turns compact events back into keyed
+ * tables: `ableton_js_decode(t)` returns `{ evt = "RT_VOL", i = 2, nv = 108,
+ * ring = "main" }`. Quantized values stay quantized.
+ */
+function luaDecoder() {
+    const rows = Object.entries(exports.EVENT_SCHEMAS)
+        .map(([evt, schema]) => `[${schema.id}]={"${evt}",${schema.fields
+        .map(([key]) => `"${key}"`)
+        .join(",")}}`)
+        .join(",");
+    return (`ABLETON_JS_EVENTS={${rows}} ` +
+        "function ableton_js_decode(t) " +
+        "local d=ABLETON_JS_EVENTS[t[1]] if not d then return t end " +
+        "local e={evt=d[1]} for k=2,#d do e[d[k]]=t[k] end " +
+        "e.ring=t[#d+1] return e end");
+}
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function encodeField(value, encoding, resolution) {
+    if (Array.isArray(encoding)) {
+        return Math.max(0, encoding.indexOf(value));
+    }
+    switch (encoding) {
+        case "int":
+            return Math.round(Number(value) || 0);
+        case "bool":
+            return value ? 1 : 0;
+        case "norm":
+            return quantize(Number(value) || 0, resolution);
+        case "bipol":
+            return quantize(((Number(value) || 0) + 1) / 2, resolution);
+        case "centi":
+            return Math.round((Number(value) || 0) * 100);
+        case "str":
+            return value == null ? "" : String(value);
+        case "rgb":
+        case "list":
+            return Array.isArray(value) ? value : [];
+    }
+}
+function quantize(value, resolution) {
+    return Math.round(Math.max(0, Math.min(1, value)) * resolution);
+}
@@ -0,0 +1,111 @@
+// Nasty track and clip names through the Lua serializer. Runs against the
+// compiled output in src/ (rebuild with `npx tsc` after editing the .ts).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toLua, toAscii } = require("../src/lua-serializer.js");
+
+/**
+ * Decode a Lua double-quoted string literal the way Lua does, so tests can
+ * check that escaped strings round-trip to the transliterated input.
+ */
+function decodeLuaString(literal) {
+  assert.match(literal, /^".*"$/s);
+  const body = literal.slice(1, -1);
+  let out = "";
+  for (let k = 0; k < body.length; k++) {
+    const char = body[k];
+    assert.notEqual(char, '"', "unescaped quote inside string");
+    assert.notEqual(char, "\n", "raw newline inside string");
+    if (char !== "\\") {
+      out += char;
+      continue;
+    }
+    const next = body[++k];
+    const simple = { n: "\n", r: "\r", t: "\t", "\\": "\\", '"': '"' };
+    if (simple[next] !== undefined) {
+      out += simple[next];
+    } else {
+      // Lua reads up to three decimal digits
+      const digits = body.slice(k).match(/^\d{1,3}/)[0];
+      out += String.fromCharCode(Number(digits));
+      k += digits.length - 1;
+    }
+  }
+  return out;
+}
+
+test("escapes backslashes and quotes", () => {
+  const name = 'Kick \\ "808"';
+  const lua = toLua(name);
+  assert.equal(lua, '"Kick \\\\ \\"808\\""');
+  assert.equal(decodeLuaString(lua), name);
+});
+
+test("escapes newline, carriage return and tab", () => {
+  assert.equal(toLua("a\nb\rc\td"), '"a\\nb\\rc\\td"');
+});
+
+test("leaves long-bracket closers harmless inside quoted strings", () => {
+  const lua = toLua("Pad ]] [[ ]=]");
+  assert.equal(lua, '"Pad ]] [[ ]=]"');
+  assert.equal(decodeLuaString(lua), "Pad ]] [[ ]=]");
+});
+
+test("escapes control characters as three-digit decimals", () => {
+  assert.equal(toLua("a\x01b\x1fc\x7f"), '"a\\001b\\031c\\127"');
+});
+
+test("keeps NUL followed by digits unambiguous", () => {
+  const lua = toLua("\x00123");
+  assert.equal(lua, '"\\000123"');
+  assert.equal(decodeLuaString(lua), "\x00123");
+});
+
+test("escapes ?> so names can't end the <?lua ?> wrapper", () => {
+  const lua = toLua({ name: "a ?> b" });
+  assert.equal(lua, '{name = "a \\063> b"}');
+  assert.ok(!lua.includes("?>"));
+  assert.equal(decodeLuaString(lua.slice(8, -1)), "a ?> b");
+});
+
+test("transliterates non-ASCII text", () => {
+  assert.equal(toAscii("Café Ümlaut ñ"), "Cafe Umlaut n");
+  assert.equal(toAscii("Straße Øre “Lead” – 1…"), 'Strasse Ore "Lead" - 1...');
+  assert.equal(toAscii("F♯ B♭"), "F# Bb");
+});
+
+test("replaces emoji and other untransliterable characters", () => {
+  assert.equal(toAscii("Drums 🥁"), "Drums ?");
+  assert.equal(toAscii("ベース"), "???");
+  assert.equal(toLua("🔥"), '"\\063"');
+});
+
+test("truncates to maxLength after transliteration", () => {
+  assert.equal(toAscii("Ünïcödé name", 5), "Unico");
+  assert.equal(toLua("abcdefgh", { maxLength: 3 }), '"abc"');
+  assert.equal(toLua("abcdefgh", { maxLength: 0 }), '"abcdefgh"');
+});
+
+test("maps NaN to 0 and clamps infinities", () => {
+  assert.equal(toLua(NaN), "0");
+  assert.equal(toLua(Infinity), "2147483647");
+  assert.equal(toLua(-Infinity), "-2147483647");
+  assert.equal(toLua([1.5, NaN]), "{1.5,0}");
+});
+
+test("turns undefined into nil and skips undefined fields", () => {
+  assert.equal(toLua(undefined), "nil");
+  assert.equal(toLua({ a: 1, b: undefined, c: () => {} }), "{a = 1}");
+  assert.equal(toLua([undefined, null]), "{nil,nil}");
+});
+
+test("brackets reserved-word and non-identifier keys", () => {
+  assert.equal(toLua({ end: 1 }), '{["end"] = 1}');
+  assert.equal(
+    toLua({ nil: true, function: false }),
+    '{["nil"] = true,["function"] = false}',
+  );
+  assert.equal(toLua({ "my key": 1, "2x": 2 }), '{["my key"] = 1,["2x"] = 2}');
+  assert.equal(toLua({ _ok: 1 }), "{_ok = 1}");
+});